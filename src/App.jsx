@@ -1,38 +1,544 @@
-import React, { useCallback, useEffect, useMemo, useState } from "react";
-import { renderToStaticMarkup } from "react-dom/server";
-import html2pdf from "html2pdf.js";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import toast from "react-hot-toast";
-import { FIELD_DEFINITIONS, REQUIRED_FIELDS } from "./constants.js";
+import { DEFAULT_WORDS_SETTINGS, WORDS_GROUPINGS, WORDS_LANGUAGES } from "./amountInWords.js";
+import { DEFAULT_ATTENDANCE_SETTINGS } from "./attendance.js";
+import { DEFAULT_BONUS_BANDS } from "./bonusBands.js";
+import { findAutomaticOverlaps, parseDeductions } from "./deductions.js";
+import { DEFAULT_OVERTIME_SETTINGS } from "./overtime.js";
 import {
+  BASE_CURRENCY,
+  CURRENCY_OPTIONS,
+  DEFAULT_COMPANY_PROFILE,
+  DEFAULT_PAYSLIP_LANGUAGE,
+  DEFAULT_RECONCILIATION,
+  PAYSLIP_LANGUAGES,
+  RECONCILIATION_MODES,
+} from "./constants.js";
+import {
+  automaticDeductions,
   buildErrorSet,
+  collectRowErrors,
   createEmptyEmployee,
+  createSampleEmployee,
+  downloadBlob,
   enrichEmployeeData,
+  findTotalMismatch,
+  formatCurrency,
+  isEmployeeEmpty,
+  lacksTaxExchangeRate,
   makeErrorKey,
+  normaliseEmployeeRecord,
   normaliseInputValue,
+  resolveExchangeRate,
+  resolveTotalMismatch,
   sanitiseFilename,
+  summarisePayRun,
 } from "./utils.js";
-import AssetUpload from "./components/AssetUpload.jsx";
+import { buildPayslipFilename, buildPayslipZip } from "./payslipArchive.js";
+import { DEFAULT_PDF_ENGINE, PDF_ENGINES, buildPdfFromPages, renderPageImages } from "./pdf.js";
+import {
+  DEFAULT_PDF_PASSWORD_RULE,
+  PDF_PASSWORD_RULES,
+  PDF_PASSWORD_STRENGTH,
+  derivePdfPassword,
+  findPdfPasswordRule,
+  pdfEncryptionOptions,
+} from "./pdfPassword.js";
+import { createVerificationQr, payslipVerificationFields } from "./verification.js";
+import { loadPdfFonts } from "./vectorPdf.js";
+import { canDrawCoverAsVector, canDrawPayslipAsVector, drawPayRunCover, drawPayslip } from "./vectorPayslip.js";
+import { DEFAULT_PAYSLIP_TEMPLATE, PAYSLIP_TEMPLATES, findPayslipTemplate } from "./payslipTemplates.js";
+import { DEFAULT_SALARY_STRUCTURE, buildFieldDefinitions } from "./salaryStructure.js";
+import { exportEmployees } from "./spreadsheet.js";
+import { loadSetting, saveSetting } from "./storage.js";
+import { DEFAULT_TAX_SETTINGS } from "./tax.js";
+import useCompanyProfiles from "./useCompanyProfiles.js";
+import useEmployeeDirectory from "./useEmployeeDirectory.js";
+import usePayRuns from "./usePayRuns.js";
+import { createPayRunRows, entriesFromGrid } from "./employeeDirectory.js";
+import { createPayRunSnapshot, reopenPayRun, rowsForNextPayRun, yearToDateFromRuns } from "./payRuns.js";
+import useWorkspaceDrafts from "./useWorkspaceDrafts.js";
+import BankAdvice from "./components/BankAdvice.jsx";
+import BonusBandSettings from "./components/BonusBandSettings.jsx";
+import CompanyManager from "./components/CompanyManager.jsx";
+import EmployeeDirectory from "./components/EmployeeDirectory.jsx";
+import DeductionsEditor from "./components/DeductionsEditor.jsx";
+import DraftManager from "./components/DraftManager.jsx";
 import EmployeeRow from "./components/EmployeeRow.jsx";
-import Payslip from "./components/Payslip.jsx";
+import ExportDialog from "./components/ExportDialog.jsx";
+import GenerationQueue from "./components/GenerationQueue.jsx";
+import ImportDialog from "./components/ImportDialog.jsx";
+import PayslipDocument from "./components/PayslipDocument.jsx";
 import Modal from "./components/Modal.jsx";
-import TechchefInvoiceTab from "./components/TechchefInvoiceTab.jsx";
+import PayRunArchive from "./components/PayRunArchive.jsx";
+import PayRunCover from "./components/PayRunCover.jsx";
+import SalaryStructureEditor from "./components/SalaryStructureEditor.jsx";
+import TemplatePicker from "./components/TemplatePicker.jsx";
+import VarianceReport from "./components/VarianceReport.jsx";
+import TaxSettings from "./components/TaxSettings.jsx";
+import TechchefInvoiceTab, { createDefaultInvoice } from "./components/TechchefInvoiceTab.jsx";
+import VerifyTab from "./components/VerifyTab.jsx";
+
+const BULK_OUTPUT_OPTIONS = [
+  { id: "zip", label: "ZIP of individual PDFs", hint: "One file per employee plus a manifest." },
+  { id: "combined", label: "Single combined PDF", hint: "Cover summary page followed by every pay slip." },
+];
 
 const TAB_OPTIONS = [
   { id: "payroll", label: "Salary Pay Slip Generator" },
   { id: "techchef", label: "Techchef Invoice" },
+  { id: "verify", label: "Verify" },
 ];
 
+const ARCHIVED_COLUMN_PASSWORD_MESSAGE =
+  "This run was protected with the PDF Password column, and those passwords are not archived. Its slips cannot be re-protected from the archive.";
+
+function finalisedRunMessage(run) {
+  return `This grid is finalised as the ${run.payPeriod} pay run. Reopen it from the archive to make changes.`;
+}
+
+function createBlankWorkspace() {
+  return {
+    payroll: {
+      employees: [createEmptyEmployee()],
+      errors: [],
+      companyId: null,
+      exchangeRates: {},
+      showBaseEquivalent: false,
+      templateId: DEFAULT_PAYSLIP_TEMPLATE,
+      payRunId: null,
+    },
+    invoice: createDefaultInvoice(),
+  };
+}
+
 export default function App() {
   const [activeTab, setActiveTab] = useState("payroll");
   const [employees, setEmployees] = useState(() => [createEmptyEmployee()]);
   const [errors, setErrors] = useState(new Set());
   const [previewData, setPreviewData] = useState(null);
-  const [assets, setAssets] = useState({ logo: null, signature: null });
+  const [companyId, setCompanyId] = useState(null);
+  const [legacyAssets, setLegacyAssets] = useState(null);
+  const [showCompanies, setShowCompanies] = useState(false);
+  const [showDirectory, setShowDirectory] = useState(false);
+  const [showArchive, setShowArchive] = useState(false);
+  const [archiveBusy, setArchiveBusy] = useState(false);
+  const [showVariance, setShowVariance] = useState(false);
+  const [showBankAdvice, setShowBankAdvice] = useState(false);
   const [generatingRow, setGeneratingRow] = useState(null);
-  const [bulkGenerating, setBulkGenerating] = useState(false);
+  const [queue, setQueue] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [modalType, setModalType] = useState(null); // 'single' or 'bulk'
   const [pendingRowIndex, setPendingRowIndex] = useState(null);
+  const [groupByDepartment, setGroupByDepartment] = useState(false);
+  const [bulkOutput, setBulkOutput] = useState("zip");
+  const [showImport, setShowImport] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [showExport, setShowExport] = useState(false);
+  const [invoice, setInvoice] = useState(createDefaultInvoice);
+  const [showDrafts, setShowDrafts] = useState(false);
+  const [taxSettings, setTaxSettings] = useState(DEFAULT_TAX_SETTINGS);
+  const [showTaxSettings, setShowTaxSettings] = useState(false);
+  const [deductionsRow, setDeductionsRow] = useState(null);
+  const [salaryStructure, setSalaryStructure] = useState(DEFAULT_SALARY_STRUCTURE);
+  const [showStructure, setShowStructure] = useState(false);
+  const [reconciliation, setReconciliation] = useState(DEFAULT_RECONCILIATION);
+  const [wordsSettings, setWordsSettings] = useState(DEFAULT_WORDS_SETTINGS);
+  const [attendanceSettings, setAttendanceSettings] = useState(DEFAULT_ATTENDANCE_SETTINGS);
+  const [overtimeSettings, setOvertimeSettings] = useState(DEFAULT_OVERTIME_SETTINGS);
+  const [bonusBands, setBonusBands] = useState(DEFAULT_BONUS_BANDS);
+  const [showBonusBands, setShowBonusBands] = useState(false);
+  const [payslipLanguage, setPayslipLanguage] = useState(DEFAULT_PAYSLIP_LANGUAGE);
+  const [exchangeRates, setExchangeRates] = useState({});
+  const [showBaseEquivalent, setShowBaseEquivalent] = useState(false);
+  const [templateId, setTemplateId] = useState(DEFAULT_PAYSLIP_TEMPLATE);
+  const [payRunId, setPayRunId] = useState(null);
+  const [pdfEngine, setPdfEngine] = useState(DEFAULT_PDF_ENGINE);
+  const [pdfPasswordRule, setPdfPasswordRule] = useState(DEFAULT_PDF_PASSWORD_RULE);
+  const queueResultsRef = useRef(new Map());
+  const cancelQueueRef = useRef(false);
+  const bulkGenerating = queue?.status === "running" || queue?.status === "cancelling";
+  const rowsLocked = queue !== null || generatingRow !== null;
+
+  const workspace = useMemo(
+    () => ({
+      payroll: {
+        employees,
+        errors: Array.from(errors),
+        companyId,
+        exchangeRates,
+        showBaseEquivalent,
+        templateId,
+        payRunId,
+      },
+      invoice,
+    }),
+    [companyId, employees, errors, exchangeRates, invoice, payRunId, showBaseEquivalent, templateId]
+  );
+
+  const hasContent = useMemo(() => {
+    const defaultInvoice = createDefaultInvoice();
+    return (
+      employees.some((employee) => !isEmployeeEmpty(employee)) ||
+      Object.keys(defaultInvoice).some(
+        (key) => JSON.stringify(invoice[key]) !== JSON.stringify(defaultInvoice[key])
+      )
+    );
+  }, [employees, invoice]);
+
+  const applyWorkspace = useCallback((saved) => {
+    const blank = createBlankWorkspace();
+    const payroll = { ...blank.payroll, ...saved?.payroll };
+    setEmployees(
+      payroll.employees?.length
+        ? payroll.employees.map(normaliseEmployeeRecord)
+        : blank.payroll.employees
+    );
+    setErrors(new Set(payroll.errors ?? []));
+    setCompanyId(payroll.companyId ?? null);
+    setExchangeRates(payroll.exchangeRates ?? {});
+    setShowBaseEquivalent(Boolean(payroll.showBaseEquivalent));
+    setTemplateId(payroll.templateId ?? DEFAULT_PAYSLIP_TEMPLATE);
+    setPayRunId(payroll.payRunId ?? null);
+    // Drafts saved before company profiles kept the logo and signature on the draft itself.
+    setLegacyAssets(!payroll.companyId && (payroll.assets?.logo || payroll.assets?.signature) ? payroll.assets : null);
+    setInvoice({ ...blank.invoice, ...saved?.invoice });
+    setPreviewData(null);
+  }, []);
+
+  const drafts = useWorkspaceDrafts({ workspace, hasContent, applyWorkspace, createBlankWorkspace });
+  const companies = useCompanyProfiles();
+  const directory = useEmployeeDirectory();
+  const payRuns = usePayRuns();
+  const activePayRun = payRuns.runs.find((run) => run.id === payRunId) ?? null;
+  // A finalised run is kept exactly as archived until it is reopened, so its grid cannot be edited or reissued.
+  const runFinalised = activePayRun?.status === "locked";
+  const gridReadOnly = rowsLocked || runFinalised;
+  const company =
+    companies.profiles.find((profile) => profile.id === companyId) ?? companies.profiles[0] ?? DEFAULT_COMPANY_PROFILE;
+
+  useEffect(() => {
+    if (!companies.ready || !legacyAssets) {
+      return;
+    }
+    setLegacyAssets(null);
+    const target = company;
+    companies
+      .saveProfile({
+        ...target,
+        logo: target.logo ?? legacyAssets.logo ?? null,
+        signature: target.signature ?? legacyAssets.signature ?? null,
+      })
+      .then(() => setCompanyId(target.id))
+      .catch((error) => console.error("Failed to move the draft's logo and signature to a company profile", error));
+  }, [companies, company, legacyAssets]);
+
+  const handleSaveCompany = useCallback(
+    async (profile) => {
+      try {
+        await companies.saveProfile({ ...profile, name: profile.name.trim() });
+        setPreviewData(null);
+        toast.success(`Saved "${profile.name.trim()}"`);
+        return true;
+      } catch (error) {
+        console.error("Failed to save company profile", error);
+        toast.error("Unable to save the company profile. Please try again.");
+        return false;
+      }
+    },
+    [companies]
+  );
+
+  const handleDeleteCompany = useCallback(
+    async (id) => {
+      const profile = companies.profiles.find((item) => item.id === id);
+      if (!window.confirm(`Delete the company profile "${profile?.name ?? "Untitled"}"?`)) {
+        return false;
+      }
+      try {
+        await companies.deleteProfile(id);
+        if (id === companyId) {
+          setCompanyId(null);
+        }
+        toast.success("Company profile deleted");
+        return true;
+      } catch (error) {
+        console.error("Failed to delete company profile", error);
+        toast.error("Unable to delete the company profile. Please try again.");
+        return false;
+      }
+    },
+    [companies, companyId]
+  );
+
+  const fields = useMemo(() => buildFieldDefinitions(salaryStructure), [salaryStructure]);
+  const payRunStart = useMemo(
+    () => employees.map((employee) => employee.payDate).filter(Boolean).sort()[0] ?? "",
+    [employees]
+  );
+  // A run being corrected is left out so its own figures are not counted twice.
+  const yearToDate = useMemo(
+    () => yearToDateFromRuns(payRuns.runs, { before: payRunStart, excludeId: payRunId }),
+    [payRunId, payRunStart, payRuns.runs]
+  );
+  const payrollContext = useMemo(
+    () => ({
+      tax: taxSettings,
+      structure: salaryStructure,
+      reconciliation,
+      words: wordsSettings,
+      attendance: attendanceSettings,
+      overtime: overtimeSettings,
+      bonusBands,
+      payslipLanguage,
+      currency: company.currency,
+      exchangeRates,
+      showBaseEquivalent,
+      yearToDate,
+    }),
+    [
+      attendanceSettings,
+      bonusBands,
+      company.currency,
+      exchangeRates,
+      overtimeSettings,
+      payslipLanguage,
+      reconciliation,
+      salaryStructure,
+      showBaseEquivalent,
+      taxSettings,
+      wordsSettings,
+      yearToDate,
+    ]
+  );
+
+  const foreignCurrencies = useMemo(() => {
+    const codes = new Set(
+      employees
+        .filter((employee) => !isEmployeeEmpty(employee))
+        .map((employee) => employee.currency || company.currency)
+    );
+    codes.delete(BASE_CURRENCY);
+    return CURRENCY_OPTIONS.filter((currency) => codes.has(currency.code));
+  }, [company.currency, employees]);
+
+  const totalMismatches = useMemo(() => {
+    const mismatches = new Map();
+    if (reconciliation.mode === "off") {
+      return mismatches;
+    }
+    employees.forEach((employee, rowIndex) => {
+      const mismatch = isEmployeeEmpty(employee) ? null : findTotalMismatch(employee, payrollContext);
+      if (mismatch) {
+        mismatches.set(rowIndex, mismatch);
+      }
+    });
+    return mismatches;
+  }, [employees, payrollContext, reconciliation.mode]);
+
+  // Percentages of basic are taken from the Basic Salary actually paid, after formulas and attendance.
+  const deductionBases = useMemo(() => {
+    const bases = new Map();
+    employees.forEach((employee, rowIndex) => {
+      if (!isEmployeeEmpty(employee)) {
+        const { basicAmount, currency } = enrichEmployeeData(employee, payrollContext);
+        bases.set(rowIndex, { basicSalary: basicAmount, currency });
+      }
+    });
+    return bases;
+  }, [employees, payrollContext]);
+
+  const deductionOverlaps = useMemo(() => {
+    const overlaps = new Map();
+    employees.forEach((employee, rowIndex) => {
+      const warnings = isEmployeeEmpty(employee)
+        ? []
+        : findAutomaticOverlaps(parseDeductions(employee.deductions), automaticDeductions(employee, payrollContext));
+      if (warnings.length) {
+        overlaps.set(rowIndex, warnings);
+      }
+    });
+    return overlaps;
+  }, [employees, payrollContext]);
+
+  const findUnreconciledRows = useCallback(
+    (rowIndexes) => rowIndexes.filter((rowIndex) => totalMismatches.get(rowIndex)?.accepted === false),
+    [totalMismatches]
+  );
+
+  const findRowsMissingTaxRate = useCallback(
+    (rowIndexes) =>
+      rowIndexes.filter(
+        (rowIndex) =>
+          !isEmployeeEmpty(employees[rowIndex]) && lacksTaxExchangeRate(employees[rowIndex], payrollContext)
+      ),
+    [employees, payrollContext]
+  );
+
+  const reportRowsMissingTaxRate = useCallback(
+    (rowIndexes) => {
+      const missing = findRowsMissingTaxRate(rowIndexes);
+      if (missing.length > 0) {
+        toast.error(
+          `Enter an exchange rate for the currency of row(s) ${missing
+            .map((index) => index + 1)
+            .join(", ")} so their TDS can be worked out.`
+        );
+      }
+      return missing.length > 0;
+    },
+    [findRowsMissingTaxRate]
+  );
+
+  useEffect(() => {
+    loadSetting("taxSettings", DEFAULT_TAX_SETTINGS)
+      .then((saved) => setTaxSettings({ ...DEFAULT_TAX_SETTINGS, ...saved }))
+      .catch((error) => console.error("Failed to load tax settings", error));
+    loadSetting("salaryStructure", DEFAULT_SALARY_STRUCTURE)
+      .then(setSalaryStructure)
+      .catch((error) => console.error("Failed to load the salary structure", error));
+    loadSetting("reconciliation", DEFAULT_RECONCILIATION)
+      .then((saved) => setReconciliation({ ...DEFAULT_RECONCILIATION, ...saved }))
+      .catch((error) => console.error("Failed to load reconciliation settings", error));
+    loadSetting("amountInWords", DEFAULT_WORDS_SETTINGS)
+      .then((saved) => setWordsSettings({ ...DEFAULT_WORDS_SETTINGS, ...saved }))
+      .catch((error) => console.error("Failed to load amount-in-words settings", error));
+    loadSetting("attendance", DEFAULT_ATTENDANCE_SETTINGS)
+      .then((saved) => setAttendanceSettings({ ...DEFAULT_ATTENDANCE_SETTINGS, ...saved }))
+      .catch((error) => console.error("Failed to load attendance settings", error));
+    loadSetting("overtime", DEFAULT_OVERTIME_SETTINGS)
+      .then((saved) => setOvertimeSettings({ ...DEFAULT_OVERTIME_SETTINGS, ...saved }))
+      .catch((error) => console.error("Failed to load overtime settings", error));
+    loadSetting("bonusBands", DEFAULT_BONUS_BANDS)
+      .then((saved) => setBonusBands({ ...DEFAULT_BONUS_BANDS, ...saved }))
+      .catch((error) => console.error("Failed to load bonus bands", error));
+    loadSetting("payslipLanguage", DEFAULT_PAYSLIP_LANGUAGE)
+      .then(setPayslipLanguage)
+      .catch((error) => console.error("Failed to load the pay slip language", error));
+    loadSetting("pdfEngine", DEFAULT_PDF_ENGINE)
+      .then(setPdfEngine)
+      .catch((error) => console.error("Failed to load the PDF engine", error));
+    loadSetting("pdfPasswordRule", DEFAULT_PDF_PASSWORD_RULE)
+      .then(setPdfPasswordRule)
+      .catch((error) => console.error("Failed to load the PDF password rule", error));
+  }, []);
+
+  const handleReconciliationChange = useCallback(
+    (changes) => {
+      const next = { ...reconciliation, ...changes };
+      setReconciliation(next);
+      saveSetting("reconciliation", next).catch((error) =>
+        console.error("Failed to save reconciliation settings", error)
+      );
+    },
+    [reconciliation]
+  );
+
+  const handleWordsSettingsChange = useCallback(
+    (changes) => {
+      const next = { ...wordsSettings, ...changes };
+      setWordsSettings(next);
+      saveSetting("amountInWords", next).catch((error) =>
+        console.error("Failed to save amount-in-words settings", error)
+      );
+      setPreviewData(null);
+    },
+    [wordsSettings]
+  );
+
+  const handleAttendanceSettingsChange = useCallback(
+    (changes) => {
+      const next = { ...attendanceSettings, ...changes };
+      setAttendanceSettings(next);
+      saveSetting("attendance", next).catch((error) => console.error("Failed to save attendance settings", error));
+      setPreviewData(null);
+    },
+    [attendanceSettings]
+  );
+
+  const handleOvertimeSettingsChange = useCallback(
+    (changes) => {
+      const next = { ...overtimeSettings, ...changes };
+      setOvertimeSettings(next);
+      saveSetting("overtime", next).catch((error) => console.error("Failed to save overtime settings", error));
+      setPreviewData(null);
+    },
+    [overtimeSettings]
+  );
+
+  const handlePayslipLanguageChange = useCallback((language) => {
+    setPayslipLanguage(language);
+    saveSetting("payslipLanguage", language).catch((error) =>
+      console.error("Failed to save the pay slip language", error)
+    );
+    setPreviewData(null);
+  }, []);
+
+  const handlePdfEngineChange = useCallback((engine) => {
+    setPdfEngine(engine);
+    saveSetting("pdfEngine", engine).catch((error) => console.error("Failed to save the PDF engine", error));
+  }, []);
+
+  const handlePdfPasswordRuleChange = useCallback((rule) => {
+    setPdfPasswordRule(rule);
+    saveSetting("pdfPasswordRule", rule).catch((error) =>
+      console.error("Failed to save the PDF password rule", error)
+    );
+  }, []);
+
+  const handleResolveTotal = useCallback(
+    (rowIndex, action) => {
+      const mismatch = totalMismatches.get(rowIndex);
+      if (!mismatch) {
+        return;
+      }
+      setEmployees((prev) => {
+        const next = prev.slice();
+        next[rowIndex] = resolveTotalMismatch(next[rowIndex], mismatch, action);
+        return next;
+      });
+    },
+    [totalMismatches]
+  );
+
+  const handleSaveTaxSettings = useCallback(async (nextSettings) => {
+    setTaxSettings(nextSettings);
+    setShowTaxSettings(false);
+    setPreviewData(null);
+    try {
+      await saveSetting("taxSettings", nextSettings);
+      toast.success("Tax settings saved");
+    } catch (error) {
+      console.error("Failed to save tax settings", error);
+      toast.error("Tax settings apply to this session only; they could not be saved.");
+    }
+  }, []);
+
+  const handleSaveBonusBands = useCallback(async (nextBands) => {
+    setBonusBands(nextBands);
+    setShowBonusBands(false);
+    setPreviewData(null);
+    try {
+      await saveSetting("bonusBands", nextBands);
+      toast.success("Bonus bands saved");
+    } catch (error) {
+      console.error("Failed to save bonus bands", error);
+      toast.error("The bonus bands apply to this session only; they could not be saved.");
+    }
+  }, []);
+
+  const handleSaveStructure = useCallback(async (nextStructure) => {
+    setSalaryStructure(nextStructure);
+    setShowStructure(false);
+    setPreviewData(null);
+    try {
+      await saveSetting("salaryStructure", nextStructure);
+      toast.success("Salary structure saved");
+    } catch (error) {
+      console.error("Failed to save the salary structure", error);
+      toast.error("The salary structure applies to this session only; it could not be saved.");
+    }
+  }, []);
 
   const updateErrors = useCallback((nextErrors) => {
     setErrors(new Set(nextErrors));
@@ -53,23 +559,15 @@ export default function App() {
 
   const validateEmployee = useCallback(
     (rowIndex, employee) => {
-      let valid = true;
       const nextErrors = new Set(errors);
-
-      REQUIRED_FIELDS.forEach((fieldKey) => {
-        const key = makeErrorKey(rowIndex, fieldKey);
-        if (!employee[fieldKey]?.trim()) {
-          nextErrors.add(key);
-          valid = false;
-        } else {
-          nextErrors.delete(key);
-        }
-      });
+      fields.forEach((field) => nextErrors.delete(makeErrorKey(rowIndex, field.key)));
+      const invalidKeys = collectRowErrors(employee, salaryStructure, bonusBands);
+      invalidKeys.forEach((fieldKey) => nextErrors.add(makeErrorKey(rowIndex, fieldKey)));
 
       updateErrors(nextErrors);
-      return valid;
+      return invalidKeys.length === 0;
     },
-    [errors, updateErrors]
+    [bonusBands, errors, fields, salaryStructure, updateErrors]
   );
 
   const handleFieldChange = useCallback(
@@ -89,6 +587,18 @@ export default function App() {
     [clearErrorForField]
   );
 
+  const handleSaveDeductions = useCallback(
+    (value) => {
+      const rowIndex = deductionsRow;
+      const next = employees.slice();
+      next[rowIndex] = { ...next[rowIndex], deductions: value };
+      setEmployees(next);
+      updateErrors(buildErrorSet(next, salaryStructure, bonusBands));
+      setDeductionsRow(null);
+    },
+    [bonusBands, deductionsRow, employees, salaryStructure, updateErrors]
+  );
+
   const handleAddRow = useCallback(() => {
     setEmployees((prev) => prev.concat(createEmptyEmployee()));
     toast.success("Employee row added");
@@ -102,35 +612,14 @@ export default function App() {
           return prev;
         }
         const next = prev.filter((_, index) => index !== rowIndex);
-        updateErrors(buildErrorSet(next));
+        updateErrors(buildErrorSet(next, salaryStructure, bonusBands));
         toast.success("Employee row removed");
         return next;
       });
     },
-    [updateErrors]
+    [bonusBands, salaryStructure, updateErrors]
   );
 
-  const handleAssetChange = useCallback((key, file) => {
-    if (!file) {
-      setAssets((prev) => ({ ...prev, [key]: null }));
-      return;
-    }
-    if (!file.type.startsWith("image/")) {
-      toast.error("Please select an image file (PNG, JPG, SVG, etc.).");
-      return;
-    }
-    const reader = new FileReader();
-    reader.onload = () => {
-      setAssets((prev) => ({ ...prev, [key]: reader.result }));
-      toast.success(`${key === "logo" ? "Company logo" : "Signature"} uploaded successfully`);
-    };
-    reader.readAsDataURL(file);
-  }, []);
-
-  const handleAssetClear = useCallback((key) => {
-    setAssets((prev) => ({ ...prev, [key]: null }));
-  }, []);
-
   const handlePaste = useCallback(
     (event, startRowIndex, startColIndex) => {
       const clipboard = event.clipboardData?.getData("text/plain");
@@ -164,10 +653,10 @@ export default function App() {
           let currentColIndex = startColIndex;
 
           values.forEach((value) => {
-            if (currentColIndex >= FIELD_DEFINITIONS.length) {
+            if (currentColIndex >= fields.length) {
               return;
             }
-            const field = FIELD_DEFINITIONS[currentColIndex];
+            const field = fields[currentColIndex];
             rowDraft[field.key] = normaliseInputValue(field, value);
             currentColIndex += 1;
           });
@@ -180,10 +669,151 @@ export default function App() {
         return next;
       });
       if (updatedEmployees) {
-        updateErrors(buildErrorSet(updatedEmployees));
+        updateErrors(buildErrorSet(updatedEmployees, salaryStructure, bonusBands));
+      }
+    },
+    [bonusBands, fields, salaryStructure, updateErrors]
+  );
+
+  const handleImport = useCallback(
+    (importedEmployees, mode) => {
+      const base = mode === "replace" ? [] : employees.filter((employee) => !isEmployeeEmpty(employee));
+      const next = base.concat(importedEmployees);
+      setEmployees(next.length ? next : [createEmptyEmployee()]);
+      updateErrors(buildErrorSet(next, salaryStructure, bonusBands));
+      setShowImport(false);
+      setImportFile(null);
+      toast.success(`Imported ${importedEmployees.length} employee row(s)`);
+    },
+    [bonusBands, employees, salaryStructure, updateErrors]
+  );
+
+  const handleSaveDirectoryEntry = useCallback(
+    async (entry) => {
+      try {
+        await directory.saveEntry(entry);
+        toast.success(`Saved "${entry.employeeName}"`);
+        return true;
+      } catch (error) {
+        console.error("Failed to save the employee", error);
+        toast.error("Unable to save the employee. Please try again.");
+        return false;
       }
     },
-    [updateErrors]
+    [directory]
+  );
+
+  const handleDeleteDirectoryEntry = useCallback(
+    async (id) => {
+      const entry = directory.entries.find((item) => item.id === id);
+      const message = `Delete ${entry?.employeeName ?? "this employee"} from the directory? Mark them as Left instead to keep their details.`;
+      if (!window.confirm(message)) {
+        return false;
+      }
+      try {
+        await directory.deleteEntry(id);
+        toast.success("Employee deleted");
+        return true;
+      } catch (error) {
+        console.error("Failed to delete the employee", error);
+        toast.error("Unable to delete the employee. Please try again.");
+        return false;
+      }
+    },
+    [directory]
+  );
+
+  const handleAddFromGrid = useCallback(async () => {
+    const added = entriesFromGrid(employees, directory.entries);
+    if (!added.length) {
+      toast.error("Every named row in the grid is already in the directory.");
+      return;
+    }
+    try {
+      await directory.saveEntries(added);
+      toast.success(`Added ${added.length} employee(s) to the directory`);
+    } catch (error) {
+      console.error("Failed to add employees to the directory", error);
+      toast.error("Unable to add the employees. Please try again.");
+    }
+  }, [directory, employees]);
+
+  const handleStartPayRun = useCallback(
+    (payRun) => {
+      const rows = createPayRunRows(directory.entries, payRun, salaryStructure);
+      const filled = employees.filter((employee) => !isEmployeeEmpty(employee)).length;
+      const message = `Replace the ${filled} row(s) in the grid with ${rows.length} active employee(s)?`;
+      if (filled > 0 && !window.confirm(message)) {
+        return;
+      }
+      setEmployees(rows);
+      updateErrors(buildErrorSet(rows, salaryStructure, bonusBands));
+      setPayRunId(null);
+      setPreviewData(null);
+      setShowDirectory(false);
+      toast.success(`Started the ${payRun.payPeriod} pay run with ${rows.length} employee(s)`);
+    },
+    [bonusBands, directory.entries, employees, salaryStructure, updateErrors]
+  );
+
+  const handleTableDrop = useCallback((event) => {
+    const file = event.dataTransfer.files?.[0];
+    if (!file) {
+      return;
+    }
+    event.preventDefault();
+    if (runFinalised) {
+      toast.error(finalisedRunMessage(activePayRun));
+      return;
+    }
+    setImportFile(file);
+    setShowImport(true);
+  }, [activePayRun, runFinalised]);
+
+  const handleExport = useCallback(
+    ({ format, includeComputed }) => {
+      const rows = employees.filter((employee) => !isEmployeeEmpty(employee));
+      if (!rows.length) {
+        toast.error("There is no employee data to export.");
+        return;
+      }
+      const period = rows.find((employee) => employee.payPeriod?.trim())?.payPeriod;
+      const baseName = sanitiseFilename(period ? `payroll-${period}` : "payroll");
+      try {
+        const { blob, filename } = exportEmployees(rows, {
+          format,
+          includeComputed,
+          baseName,
+          context: payrollContext,
+        });
+        downloadBlob(blob, filename);
+        setShowExport(false);
+        toast.success(`Exported ${rows.length} row(s) to ${filename}`);
+      } catch (error) {
+        console.error("Failed to export employees", error);
+        toast.error("Unable to export the employee data. Please try again.");
+      }
+    },
+    [employees, payrollContext]
+  );
+
+  // The vector engine cannot set Bangla text, so those slips are still rendered as images. Archived
+  // runs pass the company, layout and PDF engine they were issued with.
+  const renderPayslipPages = useCallback(
+    async (employeeData, issuedWith = { company, templateId, pdfEngine }) => {
+      const { orientation } = findPayslipTemplate(issuedWith.templateId);
+      const verificationQr = await createVerificationQr(payslipVerificationFields(employeeData, issuedWith.company));
+      const enriched = { ...employeeData, verificationQr };
+      if (issuedWith.pdfEngine === "vector" && canDrawPayslipAsVector(enriched, issuedWith.company)) {
+        await loadPdfFonts();
+        return [{ orientation, draw: (pdf) => drawPayslip(pdf, enriched, issuedWith.company, issuedWith.templateId) }];
+      }
+      return renderPageImages(
+        <PayslipDocument data={enriched} company={issuedWith.company} templateId={issuedWith.templateId} />,
+        { orientation }
+      );
+    },
+    [company, pdfEngine, templateId]
   );
 
   const handleGenerateForRow = useCallback(
@@ -193,9 +823,31 @@ export default function App() {
         return;
       }
 
+      if (runFinalised) {
+        toast.error(finalisedRunMessage(activePayRun));
+        return;
+      }
+
       const isValid = validateEmployee(rowIndex, employee);
       if (!isValid) {
-        toast.error("Please complete all required fields before generating the pay slip.");
+        toast.error("Please complete all required fields and fix any invalid deductions before generating the pay slip.");
+        return;
+      }
+
+      if (reconciliation.mode === "block" && findUnreconciledRows([rowIndex]).length > 0) {
+        toast.error("The entered Total Salary does not match the computed total. Use the computed total or keep the entered one first.");
+        return;
+      }
+
+      if (reportRowsMissingTaxRate([rowIndex])) {
+        return;
+      }
+
+      let password;
+      try {
+        password = derivePdfPassword(employee, pdfPasswordRule);
+      } catch (error) {
+        toast.error(error.message);
         return;
       }
 
@@ -206,27 +858,16 @@ export default function App() {
         return;
       }
 
-      const enriched = enrichEmployeeData(employee);
+      const enriched = enrichEmployeeData(employee, payrollContext);
       setPreviewData(enriched);
 
       setGeneratingRow(rowIndex);
       const loadingToast = toast.loading("Generating PDF...");
-
-      const wrapper = document.createElement("div");
-      wrapper.innerHTML = renderToStaticMarkup(<Payslip data={enriched} assets={assets} />);
-      const node = wrapper.firstElementChild;
-      document.body.appendChild(node);
-
-      const filename = `${sanitiseFilename(enriched.employeeName)}-pay-slip.pdf`;
-      const options = {
-        margin: [0.5, 0.5, 0.5, 0.5],
-        filename,
-        html2canvas: { scale: 2, useCORS: true },
-        jsPDF: { unit: "in", format: "a4", orientation: "portrait" },
-      };
+      const filename = buildPayslipFilename(enriched);
 
       try {
-        await html2pdf().set(options).from(node).save();
+        const pages = await renderPayslipPages(enriched);
+        downloadBlob(buildPdfFromPages(pages, { encryption: pdfEncryptionOptions(password) }), filename);
         toast.dismiss(loadingToast);
         toast.success(`PDF generated successfully: ${filename}`);
       } catch (error) {
@@ -234,11 +875,148 @@ export default function App() {
         toast.dismiss(loadingToast);
         toast.error("Unable to generate the PDF. Please try again.");
       } finally {
-        node.remove();
         setGeneratingRow(null);
       }
     },
-    [assets, employees, validateEmployee]
+    [
+      activePayRun,
+      employees,
+      findUnreconciledRows,
+      payrollContext,
+      pdfPasswordRule,
+      reconciliation.mode,
+      renderPayslipPages,
+      reportRowsMissingTaxRate,
+      runFinalised,
+      validateEmployee,
+    ]
+  );
+
+  const validateRows = useCallback(
+    (rowIndexes) => {
+      const nextErrors = buildErrorSet(employees, salaryStructure, bonusBands);
+      updateErrors(nextErrors);
+      return rowIndexes.filter((rowIndex) =>
+        fields.some((field) => nextErrors.has(makeErrorKey(rowIndex, field.key)))
+      );
+    },
+    [bonusBands, employees, fields, salaryStructure, updateErrors]
+  );
+
+  const updateQueueRow = useCallback((rowIndex, changes) => {
+    setQueue((prev) =>
+      prev && {
+        ...prev,
+        rows: prev.rows.map((row) => (row.rowIndex === rowIndex ? { ...row, ...changes } : row)),
+      }
+    );
+  }, []);
+
+  const packageQueueResults = useCallback(
+    async ({ output, groupByDepartment: groupFiles }) => {
+      const results = Array.from(queueResultsRef.current.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([, result]) => result);
+      if (!results.length) {
+        return;
+      }
+      const enrichedList = results.map((result) => result.enriched);
+      const period = enrichedList.find((item) => item.payPeriod !== "-")?.payPeriod;
+
+      if (output === "combined") {
+        const summary = summarisePayRun(enrichedList, wordsSettings);
+        let coverPages;
+        if (pdfEngine === "vector" && canDrawCoverAsVector(summary, company)) {
+          await loadPdfFonts();
+          coverPages = [{ draw: (pdf) => drawPayRunCover(pdf, summary, company) }];
+        } else {
+          coverPages = await renderPageImages(<PayRunCover summary={summary} company={company} />);
+        }
+        const pdfBlob = buildPdfFromPages(coverPages.concat(...results.map((result) => result.pages)));
+        downloadBlob(pdfBlob, `${sanitiseFilename(period ? `pay-run-${period}` : "pay-run")}.pdf`);
+      } else {
+        const zipBlob = await buildPayslipZip(results, { groupByDepartment: groupFiles });
+        downloadBlob(zipBlob, `${sanitiseFilename(period ? `pay-slips-${period}` : "pay-slips")}.zip`);
+      }
+      setQueue((prev) => prev && { ...prev, downloaded: true });
+    },
+    [company, pdfEngine, wordsSettings]
+  );
+
+  const runQueue = useCallback(
+    async (rowIndexes, settings) => {
+      cancelQueueRef.current = false;
+      const queued = new Set(rowIndexes);
+      setQueue((prev) => {
+        const rows = prev
+          ? prev.rows.map((row) => (queued.has(row.rowIndex) ? { ...row, status: "pending", error: null } : row))
+          : rowIndexes.map((rowIndex) => ({
+              rowIndex,
+              employeeName: employees[rowIndex]?.employeeName ?? "",
+              employeeId: employees[rowIndex]?.employeeId ?? "",
+              status: "pending",
+              error: null,
+            }));
+        return { ...settings, rows, status: "running", downloaded: false };
+      });
+
+      let failCount = 0;
+      for (let position = 0; position < rowIndexes.length; position += 1) {
+        const rowIndex = rowIndexes[position];
+        if (cancelQueueRef.current) {
+          rowIndexes.slice(position).forEach((skipped) => updateQueueRow(skipped, { status: "cancelled" }));
+          break;
+        }
+
+        const employee = employees[rowIndex];
+        updateQueueRow(rowIndex, {
+          status: "rendering",
+          employeeName: employee.employeeName,
+          employeeId: employee.employeeId,
+        });
+        const enriched = enrichEmployeeData(employee, payrollContext);
+        try {
+          // The combined PDF goes to HR rather than to staff, so only individual files are protected.
+          const password = settings.output === "combined" ? null : derivePdfPassword(employee, pdfPasswordRule);
+          const pages = await renderPayslipPages(enriched);
+          queueResultsRef.current.set(
+            rowIndex,
+            settings.output === "combined"
+              ? { enriched, pages }
+              : { enriched, blob: buildPdfFromPages(pages, { encryption: pdfEncryptionOptions(password) }) }
+          );
+          updateQueueRow(rowIndex, { status: "done" });
+        } catch (error) {
+          console.error(`Failed to render the pay slip for row ${rowIndex + 1}`, error);
+          queueResultsRef.current.delete(rowIndex);
+          failCount += 1;
+          updateQueueRow(rowIndex, { status: "failed", error: error?.message || "Unknown rendering error" });
+        }
+      }
+
+      const cancelled = cancelQueueRef.current;
+      setQueue((prev) => prev && { ...prev, status: "stopped" });
+      const doneCount = queueResultsRef.current.size;
+
+      if (cancelled) {
+        toast.error(`Generation cancelled. ${doneCount} pay slip(s) are ready to download.`);
+      } else if (failCount > 0) {
+        toast.error(`Generated ${doneCount} pay slip(s), ${failCount} failed. Retry the failed rows to finish.`);
+      } else if (doneCount === settings.totalRows) {
+        try {
+          await packageQueueResults(settings);
+          toast.success(
+            settings.output === "combined"
+              ? `Successfully generated a combined PDF with ${doneCount} pay slip(s)!`
+              : `Successfully generated ${doneCount} PDF file(s) in one ZIP!`
+          );
+        } catch (error) {
+          console.error("Failed to package the pay slips", error);
+          toast.error("Unable to package the pay slips. Use Download to try again.");
+        }
+      }
+    },
+    [employees, packageQueueResults, payrollContext, pdfPasswordRule, renderPayslipPages, updateQueueRow]
   );
 
   const handleGenerateAll = useCallback(async (skipModal = false) => {
@@ -247,17 +1025,30 @@ export default function App() {
       return;
     }
 
-    // Validate all employees
-    const invalidRows = [];
-    employees.forEach((employee, index) => {
-      const isValid = validateEmployee(index, employee);
-      if (!isValid) {
-        invalidRows.push(index + 1);
-      }
-    });
+    if (runFinalised) {
+      toast.error(finalisedRunMessage(activePayRun));
+      return;
+    }
 
+    const invalidRows = validateRows(employees.map((_, index) => index));
     if (invalidRows.length > 0) {
-      toast.error(`Please complete all required fields for row(s): ${invalidRows.join(", ")}`);
+      toast.error(
+        `Please complete all required fields and fix any invalid deductions for row(s): ${invalidRows
+          .map((index) => index + 1)
+          .join(", ")}`
+      );
+      return;
+    }
+
+    const unreconciledRows = findUnreconciledRows(employees.map((_, index) => index));
+    if (reconciliation.mode === "block" && unreconciledRows.length > 0) {
+      toast.error(
+        `Resolve the Total Salary mismatch for row(s): ${unreconciledRows.map((index) => index + 1).join(", ")}`
+      );
+      return;
+    }
+
+    if (reportRowsMissingTaxRate(employees.map((_, index) => index))) {
       return;
     }
 
@@ -267,27 +1058,326 @@ export default function App() {
       return;
     }
 
-    setBulkGenerating(true);
-    const loadingToast = toast.loading(`Generating PDFs for ${employees.length} employee(s)...`);
+    queueResultsRef.current = new Map();
+    setQueue(null);
+    await runQueue(
+      employees.map((_, index) => index),
+      { output: bulkOutput, groupByDepartment, totalRows: employees.length }
+    );
+  }, [
+    activePayRun,
+    bulkOutput,
+    employees,
+    findUnreconciledRows,
+    groupByDepartment,
+    reconciliation.mode,
+    reportRowsMissingTaxRate,
+    runFinalised,
+    runQueue,
+    validateRows,
+  ]);
 
-    let successCount = 0;
-    let failCount = 0;
+  const handleRetryFailed = useCallback(async () => {
+    if (!queue) {
+      return;
+    }
+    const rowIndexes = queue.rows
+      .filter((row) => row.status === "failed" || row.status === "cancelled")
+      .map((row) => row.rowIndex);
+    const invalidRows = validateRows(rowIndexes);
+    if (invalidRows.length > 0) {
+      toast.error(
+        `Please complete all required fields and fix any invalid deductions for row(s): ${invalidRows
+          .map((index) => index + 1)
+          .join(", ")}`
+      );
+      return;
+    }
+    if (reportRowsMissingTaxRate(rowIndexes)) {
+      return;
+    }
+    await runQueue(rowIndexes, {
+      output: queue.output,
+      groupByDepartment: queue.groupByDepartment,
+      totalRows: queue.totalRows,
+    });
+  }, [queue, reportRowsMissingTaxRate, runQueue, validateRows]);
 
-    for (let index = 0; index < employees.length; index += 1) {
-      // eslint-disable-next-line no-await-in-loop
-      await handleGenerateForRow(index, true);
-      successCount++;
+  const handleDownloadQueue = useCallback(async () => {
+    if (!queue) {
+      return;
     }
+    try {
+      await packageQueueResults(queue);
+      toast.success(`Downloaded ${queueResultsRef.current.size} pay slip(s)`);
+    } catch (error) {
+      console.error("Failed to package the pay slips", error);
+      toast.error("Unable to package the pay slips. Please try again.");
+    }
+  }, [packageQueueResults, queue]);
 
-    toast.dismiss(loadingToast);
-    if (failCount === 0) {
-      toast.success(`Successfully generated ${successCount} PDF file(s)!`);
-    } else {
-      toast.error(`Generated ${successCount} PDF(s), ${failCount} failed.`);
+  const handleDismissQueue = useCallback(() => {
+    queueResultsRef.current = new Map();
+    setQueue(null);
+  }, []);
+
+  const comparableRuns = useMemo(() => payRuns.runs.filter((run) => run.id !== payRunId), [payRunId, payRuns.runs]);
+  // Runs are sorted newest first, so this is the latest run paid before the grid's pay date.
+  const previousPayRun = comparableRuns.find((run) => !payRunStart || run.payDate < payRunStart) ?? null;
+  // Only worked out while a dialog that reads the whole grid is open.
+  const gridRows = useMemo(
+    () =>
+      showVariance || showBankAdvice
+        ? employees
+            .filter((employee) => !isEmployeeEmpty(employee))
+            .map((employee) => enrichEmployeeData(employee, payrollContext))
+        : [],
+    [employees, payrollContext, showBankAdvice, showVariance]
+  );
+  // A bank file built from the grid has to pass the same checks as generating its pay slips.
+  const gridBankIssues = useMemo(() => {
+    if (!showBankAdvice) {
+      return [];
     }
+    const rowIndexes = employees.map((_, index) => index).filter((index) => !isEmployeeEmpty(employees[index]));
+    const errorSet = buildErrorSet(employees, salaryStructure, bonusBands);
+    const unreconciled = new Set(reconciliation.mode === "block" ? findUnreconciledRows(rowIndexes) : []);
+    return rowIndexes
+      .map((rowIndex) => ({
+        row: rowIndex + 1,
+        employeeName: employees[rowIndex].employeeName || "Unnamed employee",
+        issues: [
+          fields.some((field) => errorSet.has(makeErrorKey(rowIndex, field.key))) &&
+            "has missing or invalid fields",
+          unreconciled.has(rowIndex) && "has an unresolved Total Salary mismatch",
+        ].filter(Boolean),
+      }))
+      .filter((entry) => entry.issues.length > 0);
+  }, [
+    bonusBands,
+    employees,
+    fields,
+    findUnreconciledRows,
+    reconciliation.mode,
+    salaryStructure,
+    showBankAdvice,
+  ]);
 
-    setBulkGenerating(false);
-  }, [employees, handleGenerateForRow, validateEmployee]);
+  const handleFinalisePayRun = useCallback(async () => {
+    if (runFinalised) {
+      toast.error(finalisedRunMessage(activePayRun));
+      return;
+    }
+    const rowIndexes = employees.map((_, index) => index).filter((index) => !isEmployeeEmpty(employees[index]));
+    if (!rowIndexes.length) {
+      toast.error("Add at least one employee before finalising the pay run.");
+      return;
+    }
+    const invalidRows = validateRows(rowIndexes);
+    if (invalidRows.length > 0) {
+      toast.error(
+        `Please complete all required fields and fix any invalid deductions for row(s): ${invalidRows
+          .map((index) => index + 1)
+          .join(", ")}`
+      );
+      return;
+    }
+    const unreconciledRows = findUnreconciledRows(rowIndexes);
+    if (reconciliation.mode === "block" && unreconciledRows.length > 0) {
+      toast.error(
+        `Resolve the Total Salary mismatch for row(s): ${unreconciledRows.map((index) => index + 1).join(", ")}`
+      );
+      return;
+    }
+    if (reportRowsMissingTaxRate(rowIndexes)) {
+      return;
+    }
+    const message = `Finalise and lock this pay run for ${rowIndexes.length} employee(s)? Locked runs can only be changed by reopening them with a note.`;
+    if (!window.confirm(message)) {
+      return;
+    }
+    try {
+      const run = createPayRunSnapshot({
+        existing: activePayRun,
+        employees,
+        context: payrollContext,
+        company,
+        templateId,
+        pdfEngine,
+        pdfPasswordRule,
+      });
+      await payRuns.saveRun(run);
+      setPayRunId(run.id);
+      toast.success(`Finalised the ${run.payPeriod} pay run`);
+    } catch (error) {
+      console.error("Failed to finalise the pay run", error);
+      toast.error("Unable to finalise the pay run. Please try again.");
+    }
+  }, [
+    activePayRun,
+    company,
+    employees,
+    findUnreconciledRows,
+    payRuns,
+    payrollContext,
+    pdfEngine,
+    pdfPasswordRule,
+    reconciliation.mode,
+    reportRowsMissingTaxRate,
+    runFinalised,
+    templateId,
+    validateRows,
+  ]);
+
+  const confirmReplaceGrid = useCallback(
+    (run, rowCount) => {
+      const filled = employees.filter((employee) => !isEmployeeEmpty(employee)).length;
+      const message = `Replace the ${filled} row(s) in the grid with ${rowCount} row(s) from the ${run.payPeriod} pay run?`;
+      return filled === 0 || window.confirm(message);
+    },
+    [employees]
+  );
+
+  const loadPayRun = useCallback(
+    (run, rows, linkedId, { confirmed = false } = {}) => {
+      if (!confirmed && !confirmReplaceGrid(run, rows.length)) {
+        return false;
+      }
+      const nextEmployees = rows.map(normaliseEmployeeRecord);
+      setEmployees(nextEmployees);
+      updateErrors(buildErrorSet(nextEmployees, salaryStructure, bonusBands));
+      setCompanyId(run.company.id);
+      setTemplateId(run.templateId);
+      setExchangeRates(run.context.exchangeRates ?? {});
+      setShowBaseEquivalent(Boolean(run.context.showBaseEquivalent));
+      setPayRunId(linkedId);
+      setPreviewData(null);
+      setShowArchive(false);
+      return true;
+    },
+    [bonusBands, confirmReplaceGrid, salaryStructure, updateErrors]
+  );
+
+  const handleDuplicatePayRun = useCallback(
+    (run) => {
+      if (loadPayRun(run, rowsForNextPayRun(run), null)) {
+        toast.success(`Started a new pay run from ${run.payPeriod}`);
+      }
+    },
+    [loadPayRun]
+  );
+
+  const handleLoadPayRun = useCallback(
+    (run) => {
+      if (loadPayRun(run, run.rows.map((row) => row.raw), run.id)) {
+        toast.success(`Loaded the ${run.payPeriod} pay run`);
+      }
+    },
+    [loadPayRun]
+  );
+
+  const handleReopenPayRun = useCallback(
+    async (run, note) => {
+      const rows = run.rows.map((row) => row.raw);
+      if (!confirmReplaceGrid(run, rows.length)) {
+        return;
+      }
+      try {
+        await payRuns.saveRun(reopenPayRun(run, note));
+      } catch (error) {
+        console.error("Failed to reopen the pay run", error);
+        toast.error("Unable to reopen the pay run. Please try again.");
+        return;
+      }
+      toast.success(`Reopened the ${run.payPeriod} pay run`);
+      loadPayRun(run, rows, run.id, { confirmed: true });
+    },
+    [confirmReplaceGrid, loadPayRun, payRuns]
+  );
+
+  // Archived slips are drawn from the stored figures, company and layout, not from today's settings.
+  // Runs finalised before the PDF settings were archived fall back to the current ones.
+  const archivedIssue = useCallback(
+    (run) => ({
+      company: run.company,
+      templateId: run.templateId,
+      pdfEngine: run.pdfEngine ?? pdfEngine,
+      pdfPasswordRule: run.pdfPasswordRule ?? pdfPasswordRule,
+    }),
+    [pdfEngine, pdfPasswordRule]
+  );
+
+  const handleDownloadArchivedRow = useCallback(
+    async (run, index) => {
+      const { raw, enriched } = run.rows[index];
+      const issuedWith = archivedIssue(run);
+      if (issuedWith.pdfPasswordRule === "column") {
+        toast.error(ARCHIVED_COLUMN_PASSWORD_MESSAGE);
+        return;
+      }
+      let password;
+      try {
+        password = derivePdfPassword(raw, issuedWith.pdfPasswordRule);
+      } catch (error) {
+        toast.error(error.message);
+        return;
+      }
+      setArchiveBusy(true);
+      const loadingToast = toast.loading("Generating PDF...");
+      const filename = buildPayslipFilename(enriched);
+      try {
+        const pages = await renderPayslipPages(enriched, issuedWith);
+        downloadBlob(buildPdfFromPages(pages, { encryption: pdfEncryptionOptions(password) }), filename);
+        toast.dismiss(loadingToast);
+        toast.success(`PDF generated successfully: ${filename}`);
+      } catch (error) {
+        console.error("Failed to export the archived pay slip", error);
+        toast.dismiss(loadingToast);
+        toast.error("Unable to generate the PDF. Please try again.");
+      } finally {
+        setArchiveBusy(false);
+      }
+    },
+    [archivedIssue, renderPayslipPages]
+  );
+
+  const handleDownloadArchivedRun = useCallback(
+    async (run) => {
+      const issuedWith = archivedIssue(run);
+      if (issuedWith.pdfPasswordRule === "column") {
+        toast.error(ARCHIVED_COLUMN_PASSWORD_MESSAGE);
+        return;
+      }
+      let passwords;
+      try {
+        passwords = run.rows.map((row) => derivePdfPassword(row.raw, issuedWith.pdfPasswordRule));
+      } catch (error) {
+        toast.error(error.message);
+        return;
+      }
+      setArchiveBusy(true);
+      const loadingToast = toast.loading(`Generating ${run.rows.length} pay slip(s)...`);
+      try {
+        const results = [];
+        for (const [index, { enriched }] of run.rows.entries()) {
+          const pages = await renderPayslipPages(enriched, issuedWith);
+          const encryption = pdfEncryptionOptions(passwords[index]);
+          results.push({ enriched, blob: buildPdfFromPages(pages, { encryption }) });
+        }
+        const zipBlob = await buildPayslipZip(results);
+        downloadBlob(zipBlob, `${sanitiseFilename(`pay-slips-${run.payPeriod}`)}.zip`);
+        toast.dismiss(loadingToast);
+        toast.success(`Downloaded ${results.length} pay slip(s) from the ${run.payPeriod} pay run`);
+      } catch (error) {
+        console.error("Failed to export the archived pay run", error);
+        toast.dismiss(loadingToast);
+        toast.error("Unable to generate the pay slips. Please try again.");
+      } finally {
+        setArchiveBusy(false);
+      }
+    },
+    [archivedIssue, renderPayslipPages]
+  );
 
   const handlePreview = useCallback(
     (rowIndex) => {
@@ -298,15 +1388,15 @@ export default function App() {
 
       const isValid = validateEmployee(rowIndex, employee);
       if (!isValid) {
-        toast.error("Please complete all required fields before previewing the pay slip.");
+        toast.error("Please complete all required fields and fix any invalid deductions before previewing the pay slip.");
         return;
       }
 
-      const enriched = enrichEmployeeData(employee);
+      const enriched = enrichEmployeeData(employee, payrollContext);
       setPreviewData(enriched);
       toast.success("Preview updated");
     },
-    [employees, validateEmployee]
+    [employees, payrollContext, validateEmployee]
   );
 
   const handleConfirmGenerate = useCallback(() => {
@@ -320,7 +1410,54 @@ export default function App() {
     setModalType(null);
   }, [modalType, pendingRowIndex, handleGenerateForRow, handleGenerateAll]);
 
-  const disableRemove = employees.length === 1 || bulkGenerating || generatingRow !== null;
+  const handleDeleteDraft = useCallback(
+    async (id) => {
+      const draft = drafts.drafts.find((item) => item.id === id);
+      if (!window.confirm(`Delete the draft "${draft?.name ?? "Untitled"}"? This cannot be undone.`)) {
+        return;
+      }
+      try {
+        await drafts.deleteDraft(id);
+        toast.success("Draft deleted");
+      } catch (error) {
+        console.error("Failed to delete draft", error);
+        toast.error("Unable to delete the draft. Please try again.");
+      }
+    },
+    [drafts]
+  );
+
+  const handleDiscardRestored = useCallback(async () => {
+    try {
+      await drafts.discardActiveDraft();
+      toast.success("Draft discarded. Starting fresh.");
+    } catch (error) {
+      console.error("Failed to discard draft", error);
+      toast.error("Unable to discard the draft. Please try again.");
+    }
+  }, [drafts]);
+
+  const runDraftAction = useCallback(async (action, successMessage, { closeDialog = true } = {}) => {
+    try {
+      await action();
+      if (closeDialog) {
+        setShowDrafts(false);
+      }
+      if (successMessage) {
+        toast.success(successMessage);
+      }
+    } catch (error) {
+      console.error("Draft action failed", error);
+      toast.error("Unable to update saved drafts. Please try again.");
+    }
+  }, []);
+
+  const disableRemove = employees.length === 1 || gridReadOnly;
+  const unreconciledCount = findUnreconciledRows(Array.from(totalMismatches.keys())).length;
+  const passwordRule = findPdfPasswordRule(pdfPasswordRule);
+  const modalUnreconciledRows = !showModal
+    ? []
+    : findUnreconciledRows(modalType === "bulk" ? employees.map((_, index) => index) : [pendingRowIndex]);
 
   const previewContent = useMemo(() => {
     if (!previewData) {
@@ -331,8 +1468,13 @@ export default function App() {
         </div>
       );
     }
-    return <Payslip data={previewData} assets={assets} />;
-  }, [assets, previewData]);
+    return <PayslipDocument data={previewData} company={company} templateId={templateId} />;
+  }, [company, previewData, templateId]);
+
+  const thumbnailData = useMemo(
+    () => previewData ?? enrichEmployeeData(createSampleEmployee(salaryStructure), payrollContext),
+    [payrollContext, previewData, salaryStructure]
+  );
 
   useEffect(() => {
     if (activeTab !== "payroll" && showModal) {
@@ -381,44 +1523,363 @@ export default function App() {
             type="button"
             className="btn secondary"
             onClick={handleAddRow}
-            disabled={bulkGenerating || generatingRow !== null}
+            disabled={gridReadOnly}
           >
             Add Employee
           </button>
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => setShowImport(true)}
+            disabled={gridReadOnly}
+          >
+            Import CSV / XLSX
+          </button>
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => setShowDirectory(true)}
+            disabled={!directory.ready}
+          >
+            Employee Directory
+          </button>
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={handleFinalisePayRun}
+            disabled={rowsLocked || !payRuns.ready}
+          >
+            {activePayRun?.status === "reopened" ? "Finalise Again" : "Finalise Pay Run"}
+          </button>
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => setShowArchive(true)}
+            disabled={!payRuns.ready}
+          >
+            Pay Run Archive
+          </button>
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => setShowVariance(true)}
+            disabled={!payRuns.ready}
+          >
+            Variance Report
+          </button>
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => setShowBankAdvice(true)}
+            disabled={!payRuns.ready || !directory.ready}
+          >
+            Bank Advice
+          </button>
           <button
             type="button"
             className="btn primary"
-            onClick={handleGenerateAll}
-            disabled={bulkGenerating || generatingRow !== null}
+            onClick={() => handleGenerateAll()}
+            disabled={bulkGenerating || generatingRow !== null || runFinalised}
           >
             Generate PDFs for All
           </button>
-        </div>
-
-        <div className="asset-controls">
-          <AssetUpload
-            id="logo-upload"
-            label="Company Logo"
-            value={assets.logo}
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => setShowExport(true)}
             disabled={bulkGenerating || generatingRow !== null}
-            onChange={(file) => handleAssetChange("logo", file)}
-            onClear={() => handleAssetClear("logo")}
-          />
-          <AssetUpload
-            id="signature-upload"
-            label="Authorized Signature / Seal"
-            value={assets.signature}
+          >
+            Export Data
+          </button>
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => setShowTaxSettings(true)}
+            disabled={bulkGenerating || generatingRow !== null}
+          >
+            Tax Settings
+          </button>
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => setShowStructure(true)}
+            disabled={rowsLocked}
+          >
+            Salary Structure
+          </button>
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => setShowBonusBands(true)}
             disabled={bulkGenerating || generatingRow !== null}
-            onChange={(file) => handleAssetChange("signature", file)}
-            onClear={() => handleAssetClear("signature")}
+          >
+            Bonus Bands
+          </button>
+        </div>
+
+        {foreignCurrencies.length > 0 && (
+          <div className="payroll-options">
+            {foreignCurrencies.map((currency) => (
+              <label key={currency.code}>
+                1 {currency.code} =
+                <input
+                  type="number"
+                  min="0"
+                  step="0.0001"
+                  value={exchangeRates[currency.code] ?? ""}
+                  placeholder="Rate"
+                  onChange={(event) => {
+                    setExchangeRates((prev) => ({ ...prev, [currency.code]: event.target.value }));
+                    setPreviewData(null);
+                  }}
+                />
+                {BASE_CURRENCY}
+              </label>
+            ))}
+            <label>
+              <input
+                type="checkbox"
+                checked={showBaseEquivalent}
+                onChange={(event) => {
+                  setShowBaseEquivalent(event.target.checked);
+                  setPreviewData(null);
+                }}
+              />
+              Print {BASE_CURRENCY} equivalent on pay slips
+            </label>
+            {foreignCurrencies.some((currency) => !resolveExchangeRate(currency.code, exchangeRates)) && (
+              <span className="payroll-options__summary">
+                {taxSettings.enabled
+                  ? "Enter a rate for each currency: its rows cannot be taxed or generated without one"
+                  : "Enter a rate for each currency to include it in pay run totals"}
+              </span>
+            )}
+          </div>
+        )}
+
+        <div className="payroll-options">
+          <label>
+            Total Salary check
+            <select
+              value={reconciliation.mode}
+              onChange={(event) => handleReconciliationChange({ mode: event.target.value })}
+            >
+              {RECONCILIATION_MODES.map((mode) => (
+                <option key={mode.id} value={mode.id}>
+                  {mode.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label title="Compared in each row's own currency">
+            Tolerance (row currency)
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={reconciliation.tolerance}
+              disabled={reconciliation.mode === "off"}
+              onChange={(event) => handleReconciliationChange({ tolerance: Math.max(Number(event.target.value) || 0, 0) })}
+            />
+          </label>
+          {unreconciledCount > 0 && (
+            <span className="payroll-options__summary">{unreconciledCount} row(s) need a decision</span>
+          )}
+          <label>
+            Net salary in words
+            <select
+              value={wordsSettings.language}
+              onChange={(event) => handleWordsSettingsChange({ language: event.target.value })}
+            >
+              {WORDS_LANGUAGES.map((language) => (
+                <option key={language.id} value={language.id}>
+                  {language.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Grouping
+            <select
+              value={wordsSettings.grouping}
+              disabled={wordsSettings.language === "off"}
+              onChange={(event) => handleWordsSettingsChange({ grouping: event.target.value })}
+            >
+              {WORDS_GROUPINGS.map((grouping) => (
+                <option key={grouping.id} value={grouping.id}>
+                  {grouping.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Attendance bonus
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={attendanceSettings.bonusAmount}
+              onChange={(event) =>
+                handleAttendanceSettingsChange({ bonusAmount: Math.max(Number(event.target.value) || 0, 0) })
+              }
+            />
+          </label>
+          <label>
+            Allowed absences
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={attendanceSettings.allowedAbsences}
+              onChange={(event) =>
+                handleAttendanceSettingsChange({ allowedAbsences: Math.max(Number(event.target.value) || 0, 0) })
+              }
+            />
+          </label>
+          <label>
+            Hours per month (overtime rate)
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={overtimeSettings.hoursPerMonth}
+              onChange={(event) =>
+                handleOvertimeSettingsChange({ hoursPerMonth: Math.max(Number(event.target.value) || 0, 0) })
+              }
+            />
+          </label>
+          <label>
+            Overtime ×
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={overtimeSettings.regularMultiplier}
+              onChange={(event) =>
+                handleOvertimeSettingsChange({ regularMultiplier: Math.max(Number(event.target.value) || 0, 0) })
+              }
+            />
+          </label>
+          <label>
+            Weekend overtime ×
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={overtimeSettings.weekendMultiplier}
+              onChange={(event) =>
+                handleOvertimeSettingsChange({ weekendMultiplier: Math.max(Number(event.target.value) || 0, 0) })
+              }
+            />
+          </label>
+          <label>
+            Holiday overtime ×
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={overtimeSettings.holidayMultiplier}
+              onChange={(event) =>
+                handleOvertimeSettingsChange({ holidayMultiplier: Math.max(Number(event.target.value) || 0, 0) })
+              }
+            />
+          </label>
+          <label>
+            Pay slip language
+            <select value={payslipLanguage} onChange={(event) => handlePayslipLanguageChange(event.target.value)}>
+              {PAYSLIP_LANGUAGES.map((language) => (
+                <option key={language.value} value={language.value}>
+                  {language.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label title={PDF_PASSWORD_STRENGTH}>
+            PDF password
+            <select value={pdfPasswordRule} onChange={(event) => handlePdfPasswordRuleChange(event.target.value)}>
+              {PDF_PASSWORD_RULES.map((rule) => (
+                <option key={rule.id} value={rule.id}>
+                  {rule.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            PDF engine
+            <select value={pdfEngine} onChange={(event) => handlePdfEngineChange(event.target.value)}>
+              {PDF_ENGINES.map((engine) => (
+                <option key={engine.id} value={engine.id}>
+                  {engine.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {queue && (
+          <GenerationQueue
+            queue={queue}
+            onCancel={() => {
+              cancelQueueRef.current = true;
+              setQueue((prev) => prev && { ...prev, status: "cancelling" });
+            }}
+            onRetryFailed={handleRetryFailed}
+            onDownload={handleDownloadQueue}
+            onDismiss={handleDismissQueue}
           />
+        )}
+
+        {runFinalised && (
+          <div className="restore-banner">
+            <span>
+              Finalised as the {activePayRun.payPeriod} pay run. The grid is read-only and its slips come from the
+              archive until the run is reopened.
+            </span>
+            <div className="restore-banner__actions">
+              <button type="button" className="btn secondary" onClick={() => setShowArchive(true)}>
+                Open Pay Run Archive
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="company-bar">
+          <label>
+            Company{" "}
+            <select
+              value={company.id}
+              onChange={(event) => {
+                setCompanyId(event.target.value);
+                setPreviewData(null);
+              }}
+              disabled={rowsLocked}
+            >
+              {companies.profiles.map((profile) => (
+                <option key={profile.id} value={profile.id}>
+                  {profile.name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() => setShowCompanies(true)}
+            disabled={rowsLocked}
+          >
+            Manage Companies
+          </button>
         </div>
 
-        <div className="table-wrapper">
+        <div
+          className="table-wrapper"
+          onDragOver={(event) => event.preventDefault()}
+          onDrop={handleTableDrop}
+        >
           <table>
             <thead>
               <tr>
-                {FIELD_DEFINITIONS.map((field) => (
+                {fields.map((field) => (
                   <th key={field.key}>{field.label}</th>
                 ))}
                 <th className="actions-header">Actions</th>
@@ -428,7 +1889,7 @@ export default function App() {
               {employees.map((employee, index) => (
                 <EmployeeRow
                   key={index}
-                  columns={FIELD_DEFINITIONS}
+                  columns={fields}
                   employee={employee}
                   rowIndex={index}
                   errors={errors}
@@ -437,7 +1898,13 @@ export default function App() {
                   onPaste={handlePaste}
                   onGenerate={handleGenerateForRow}
                   onPreview={handlePreview}
+                  onEditDeductions={setDeductionsRow}
+                  totalMismatch={totalMismatches.get(index)}
+                  deductionOverlaps={deductionOverlaps.get(index)}
+                  deductionBasis={deductionBases.get(index)}
+                  onResolveTotal={handleResolveTotal}
                   disableRemove={disableRemove}
+                  readOnly={runFinalised}
                   isGenerating={bulkGenerating || generatingRow === index}
                 />
               ))}
@@ -462,6 +1929,14 @@ export default function App() {
             </button>
           )}
         </div>
+        <TemplatePicker
+          templates={PAYSLIP_TEMPLATES}
+          selectedId={templateId}
+          data={thumbnailData}
+          company={company}
+          disabled={rowsLocked}
+          onSelect={setTemplateId}
+        />
         <div className="preview-surface">{previewContent}</div>
         </section>
       </main>
@@ -478,9 +1953,64 @@ export default function App() {
         <div className="modal-body">
           <p className="modal-text">
             {modalType === "bulk"
-              ? `This will generate PDF files for all ${employees.length} employee(s). Continue?`
+              ? `This will generate pay slips for all ${employees.length} employee(s). Continue?`
               : "This will generate and download a PDF file for this employee. Continue?"}
           </p>
+          {modalUnreconciledRows.length > 0 && (
+            <div className="modal-warning">
+              The entered Total Salary differs from the computed total:
+              <ul>
+                {modalUnreconciledRows.map((rowIndex) => {
+                  const mismatch = totalMismatches.get(rowIndex);
+                  return (
+                    <li key={rowIndex}>
+                      Row {rowIndex + 1} ({formatCurrency(mismatch.difference, mismatch.currency)}{" "}
+                      {mismatch.currency}):{" "}
+                      {mismatch.taxed
+                        ? "TDS is on, so the computed total will be printed."
+                        : "the entered amount will be printed."}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+          {passwordRule.id !== "off" && (
+            <p className="modal-note">
+              <strong>Password protected.</strong> {passwordRule.description}
+              {passwordRule.example && ` For example: ${passwordRule.example}.`} {PDF_PASSWORD_STRENGTH}
+              {modalType === "bulk" && bulkOutput === "combined" && " The combined PDF is not password protected."}
+            </p>
+          )}
+          {modalType === "bulk" && (
+            <div className="bulk-output-options">
+              {BULK_OUTPUT_OPTIONS.map((option) => (
+                <label key={option.id} className={`bulk-output${bulkOutput === option.id ? " is-selected" : ""}`}>
+                  <input
+                    type="radio"
+                    name="bulk-output"
+                    value={option.id}
+                    checked={bulkOutput === option.id}
+                    onChange={() => setBulkOutput(option.id)}
+                  />
+                  <span>
+                    <strong>{option.label}</strong>
+                    <small>{option.hint}</small>
+                  </span>
+                </label>
+              ))}
+              {bulkOutput === "zip" && (
+                <label className="checkbox-field">
+                  <input
+                    type="checkbox"
+                    checked={groupByDepartment}
+                    onChange={(event) => setGroupByDepartment(event.target.checked)}
+                  />
+                  Group files into per-department folders
+                </label>
+              )}
+            </div>
+          )}
         </div>
         <div className="modal-footer">
           <button className="btn secondary" onClick={() => setShowModal(false)}>
@@ -491,6 +2021,120 @@ export default function App() {
           </button>
         </div>
       </Modal>
+
+      <ImportDialog
+        isOpen={showImport}
+        initialFile={importFile}
+        existingCount={employees.filter((employee) => !isEmployeeEmpty(employee)).length}
+        structure={salaryStructure}
+        bonusBands={bonusBands}
+        onClose={() => {
+          setShowImport(false);
+          setImportFile(null);
+        }}
+        onImport={handleImport}
+      />
+
+      <DeductionsEditor
+        isOpen={deductionsRow !== null}
+        employee={deductionsRow !== null ? employees[deductionsRow] : null}
+        currency={deductionsRow !== null ? employees[deductionsRow]?.currency || company.currency : company.currency}
+        automatic={deductionsRow !== null ? automaticDeductions(employees[deductionsRow], payrollContext) : null}
+        basicSalary={deductionBases.get(deductionsRow)?.basicSalary ?? 0}
+        onClose={() => setDeductionsRow(null)}
+        onSave={handleSaveDeductions}
+      />
+
+      <EmployeeDirectory
+        key={showDirectory ? "open" : "closed"}
+        isOpen={showDirectory}
+        entries={directory.entries}
+        disabled={rowsLocked}
+        onClose={() => setShowDirectory(false)}
+        onSave={handleSaveDirectoryEntry}
+        onDelete={handleDeleteDirectoryEntry}
+        onAddFromGrid={handleAddFromGrid}
+        onStartPayRun={handleStartPayRun}
+      />
+
+      <PayRunArchive
+        key={showArchive ? "open" : "closed"}
+        isOpen={showArchive}
+        runs={payRuns.runs}
+        activeRunId={payRunId}
+        disabled={rowsLocked || archiveBusy}
+        onClose={() => setShowArchive(false)}
+        onDownloadRow={handleDownloadArchivedRow}
+        onDownloadAll={handleDownloadArchivedRun}
+        onDuplicate={handleDuplicatePayRun}
+        onReopen={handleReopenPayRun}
+        onLoad={handleLoadPayRun}
+      />
+
+      <VarianceReport
+        key={showVariance ? "open" : "closed"}
+        isOpen={showVariance}
+        runs={comparableRuns}
+        defaultRunId={previousPayRun?.id}
+        currentRows={gridRows}
+        context={payrollContext}
+        onClose={() => setShowVariance(false)}
+      />
+
+      <BankAdvice
+        key={showBankAdvice ? "open" : "closed"}
+        isOpen={showBankAdvice}
+        runs={payRuns.runs}
+        defaultRunId={activePayRun?.status === "locked" ? activePayRun.id : undefined}
+        gridRows={gridRows}
+        gridIssues={gridBankIssues}
+        gridCompany={company}
+        entries={directory.entries}
+        onClose={() => setShowBankAdvice(false)}
+      />
+
+      <CompanyManager
+        key={showCompanies ? "open" : "closed"}
+        isOpen={showCompanies}
+        profiles={companies.profiles}
+        activeId={company.id}
+        onClose={() => setShowCompanies(false)}
+        onSave={handleSaveCompany}
+        onDelete={handleDeleteCompany}
+        onSelect={(id) => {
+          setCompanyId(id);
+          setPreviewData(null);
+          setShowCompanies(false);
+        }}
+      />
+
+      <SalaryStructureEditor
+        isOpen={showStructure}
+        structure={salaryStructure}
+        onClose={() => setShowStructure(false)}
+        onSave={handleSaveStructure}
+      />
+
+      <BonusBandSettings
+        isOpen={showBonusBands}
+        settings={bonusBands}
+        onClose={() => setShowBonusBands(false)}
+        onSave={handleSaveBonusBands}
+      />
+
+      <TaxSettings
+        isOpen={showTaxSettings}
+        settings={taxSettings}
+        onClose={() => setShowTaxSettings(false)}
+        onSave={handleSaveTaxSettings}
+      />
+
+      <ExportDialog
+        isOpen={showExport}
+        rowCount={employees.filter((employee) => !isEmployeeEmpty(employee)).length}
+        onClose={() => setShowExport(false)}
+        onExport={handleExport}
+      />
     </>
   );
 
@@ -509,7 +2153,67 @@ export default function App() {
         ))}
       </div>
 
-      {activeTab === "payroll" ? payrollLayout : <TechchefInvoiceTab />}
+      <div className="draft-bar">
+        <div className="draft-bar__status">
+          <strong>{drafts.activeDraft.name}</strong>
+          <span>
+            {!drafts.available
+              ? "Autosave unavailable"
+              : drafts.lastSavedAt
+                ? `Saved ${new Date(drafts.lastSavedAt).toLocaleTimeString("en-GB", { timeStyle: "short" })}`
+                : "Not saved yet"}
+          </span>
+        </div>
+        <button
+          type="button"
+          className="btn secondary"
+          onClick={() => setShowDrafts(true)}
+          disabled={!drafts.available || !drafts.ready}
+        >
+          Drafts
+        </button>
+      </div>
+
+      {drafts.restoredDraft && (
+        <div className="restore-banner">
+          <span>
+            Restored your draft "{drafts.restoredDraft.name}" from{" "}
+            {new Date(drafts.restoredDraft.updatedAt).toLocaleString("en-GB")}.
+          </span>
+          <div className="restore-banner__actions">
+            <button type="button" className="btn secondary" onClick={handleDiscardRestored}>
+              Discard Draft &amp; Start Fresh
+            </button>
+            <button type="button" className="btn primary" onClick={drafts.dismissRestoredDraft}>
+              Keep Working
+            </button>
+          </div>
+        </div>
+      )}
+
+      {activeTab === "payroll" && payrollLayout}
+      {activeTab === "verify" && <VerifyTab />}
+      {activeTab === "techchef" && (
+        <TechchefInvoiceTab
+          invoice={invoice}
+          onInvoiceChange={setInvoice}
+          pdfEngine={pdfEngine}
+          onPdfEngineChange={handlePdfEngineChange}
+        />
+      )}
+
+      <DraftManager
+        isOpen={showDrafts}
+        onClose={() => setShowDrafts(false)}
+        drafts={drafts.drafts}
+        activeDraft={drafts.activeDraft}
+        onNew={(name) => runDraftAction(() => drafts.startNewDraft(name), "Started a new draft")}
+        onOpen={(id) => runDraftAction(() => drafts.openDraft(id), "Draft opened")}
+        onRename={(id, name) =>
+          runDraftAction(() => drafts.renameDraft(id, name), null, { closeDialog: false })
+        }
+        onDelete={handleDeleteDraft}
+      />
     </div>
   );
 }
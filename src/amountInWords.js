@@ -0,0 +1,129 @@
+export const WORDS_LANGUAGES = [
+  { id: "en", label: "English" },
+  { id: "bn", label: "বাংলা (Bangla)" },
+  { id: "both", label: "English and Bangla" },
+  { id: "off", label: "Do not print" },
+];
+
+export const WORDS_GROUPINGS = [
+  { id: "lakh", label: "Lakh / crore" },
+  { id: "million", label: "Million / billion" },
+];
+
+export const DEFAULT_WORDS_SETTINGS = { language: "en", grouping: "lakh" };
+
+const ENGLISH_ONES = [
+  "Zero", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten",
+  "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen",
+];
+const ENGLISH_TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+
+// Bangla has a distinct word for every number below one hundred.
+const BANGLA_BELOW_HUNDRED = [
+  "শূন্য", "এক", "দুই", "তিন", "চার", "পাঁচ", "ছয়", "সাত", "আট", "নয়",
+  "দশ", "এগারো", "বারো", "তেরো", "চৌদ্দ", "পনেরো", "ষোলো", "সতেরো", "আঠারো", "উনিশ",
+  "বিশ", "একুশ", "বাইশ", "তেইশ", "চব্বিশ", "পঁচিশ", "ছাব্বিশ", "সাতাশ", "আঠাশ", "ঊনত্রিশ",
+  "ত্রিশ", "একত্রিশ", "বত্রিশ", "তেত্রিশ", "চৌত্রিশ", "পঁয়ত্রিশ", "ছত্রিশ", "সাঁইত্রিশ", "আটত্রিশ", "ঊনচল্লিশ",
+  "চল্লিশ", "একচল্লিশ", "বিয়াল্লিশ", "তেতাল্লিশ", "চুয়াল্লিশ", "পঁয়তাল্লিশ", "ছেচল্লিশ", "সাতচল্লিশ", "আটচল্লিশ", "ঊনপঞ্চাশ",
+  "পঞ্চাশ", "একান্ন", "বায়ান্ন", "তিপ্পান্ন", "চুয়ান্ন", "পঞ্চান্ন", "ছাপ্পান্ন", "সাতান্ন", "আটান্ন", "ঊনষাট",
+  "ষাট", "একষট্টি", "বাষট্টি", "তেষট্টি", "চৌষট্টি", "পঁয়ষট্টি", "ছেষট্টি", "সাতষট্টি", "আটষট্টি", "ঊনসত্তর",
+  "সত্তর", "একাত্তর", "বাহাত্তর", "তিয়াত্তর", "চুয়াত্তর", "পঁচাত্তর", "ছিয়াত্তর", "সাতাত্তর", "আটাত্তর", "ঊনআশি",
+  "আশি", "একাশি", "বিরাশি", "তিরাশি", "চুরাশি", "পঁচাশি", "ছিয়াশি", "সাতাশি", "আটাশি", "ঊননব্বই",
+  "নব্বই", "একানব্বই", "বিরানব্বই", "তিরানব্বই", "চুরানব্বই", "পঁচানব্বই", "ছিয়ানব্বই", "সাতানব্বই", "আটানব্বই", "নিরানব্বই",
+];
+
+const LANGUAGES = {
+  en: {
+    belowHundred: (value) =>
+      value < 20
+        ? ENGLISH_ONES[value]
+        : `${ENGLISH_TENS[Math.floor(value / 10)]}${value % 10 ? `-${ENGLISH_ONES[value % 10]}` : ""}`,
+    hundred: "Hundred",
+    scales: {
+      lakh: [
+        { size: 1e7, name: "Crore" },
+        { size: 1e5, name: "Lakh" },
+        { size: 1e3, name: "Thousand" },
+      ],
+      million: [
+        { size: 1e9, name: "Billion" },
+        { size: 1e6, name: "Million" },
+        { size: 1e3, name: "Thousand" },
+      ],
+    },
+    minus: "Minus",
+    units: {
+      BDT: ["Taka", "Paisa"],
+      USD: ["US Dollars", "Cents"],
+      EUR: ["Euros", "Cents"],
+      GBP: ["Pounds", "Pence"],
+    },
+    format: (major, minor, [majorUnit, minorUnit]) =>
+      `${majorUnit} ${major}${minor ? ` and ${minor} ${minorUnit}` : ""} Only`,
+  },
+  bn: {
+    belowHundred: (value) => BANGLA_BELOW_HUNDRED[value],
+    hundred: "শত",
+    scales: {
+      lakh: [
+        { size: 1e7, name: "কোটি" },
+        { size: 1e5, name: "লক্ষ" },
+        { size: 1e3, name: "হাজার" },
+      ],
+      million: [
+        { size: 1e9, name: "বিলিয়ন" },
+        { size: 1e6, name: "মিলিয়ন" },
+        { size: 1e3, name: "হাজার" },
+      ],
+    },
+    minus: "ঋণাত্মক",
+    units: {
+      BDT: ["টাকা", "পয়সা"],
+      USD: ["মার্কিন ডলার", "সেন্ট"],
+      EUR: ["ইউরো", "সেন্ট"],
+      GBP: ["পাউন্ড", "পেন্স"],
+    },
+    format: (major, minor, [majorUnit, minorUnit]) => `${major} ${majorUnit}${minor ? ` ${minor} ${minorUnit}` : ""} মাত্র`,
+  },
+};
+
+function integerToWords(value, language, scales) {
+  if (value < 100) {
+    return language.belowHundred(value);
+  }
+  if (value < 1000) {
+    const rest = value % 100;
+    const hundreds = `${language.belowHundred(Math.floor(value / 100))} ${language.hundred}`;
+    return rest ? `${hundreds} ${language.belowHundred(rest)}` : hundreds;
+  }
+  const scale = scales.find((item) => value >= item.size);
+  const rest = value % scale.size;
+  // Amounts beyond the largest scale repeat it, e.g. "One Hundred Crore".
+  const head = `${integerToWords(Math.floor(value / scale.size), language, scales)} ${scale.name}`;
+  return rest ? `${head} ${integerToWords(rest, language, scales)}` : head;
+}
+
+export function amountToWords(amount, { language = "en", grouping = "lakh", currency = "BDT" } = {}) {
+  const words = LANGUAGES[language] ?? LANGUAGES.en;
+  const scales = words.scales[grouping] ?? words.scales.lakh;
+  const totalMinor = Math.round(Math.abs(amount) * 100);
+  const major = Math.floor(totalMinor / 100);
+  const minor = totalMinor % 100;
+  const phrase = words.format(
+    integerToWords(major, words, scales),
+    minor ? integerToWords(minor, words, scales) : "",
+    words.units[currency] ?? words.units.BDT
+  );
+  return amount < 0 && totalMinor > 0 ? `${words.minus} ${phrase}` : phrase;
+}
+
+export function amountInWordsLines(amount, settings = DEFAULT_WORDS_SETTINGS, currency = "BDT") {
+  if (settings.language === "off") {
+    return [];
+  }
+  const languages = settings.language === "both" ? ["en", "bn"] : [settings.language];
+  return languages.map((language) => ({
+    language,
+    text: amountToWords(amount, { language, grouping: settings.grouping, currency }),
+  }));
+}
@@ -0,0 +1,128 @@
+import { ENGLISH_MONTHS } from "./payslipLocale.js";
+import { isProratedComponent } from "./salaryStructure.js";
+import { parseNumber } from "./utils.js";
+
+export const ATTENDANCE_BONUS_KEY = "attendanceBonus";
+
+// The bonus amount is used when the Attendance Bonus cell is left empty; a typed amount is the entitlement.
+export const DEFAULT_ATTENDANCE_SETTINGS = { bonusAmount: 500, allowedAbsences: 0 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toUtc(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value ?? "").trim());
+  return match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+// The calendar month being paid: taken from the pay period ("March 2026", "Mar-26"), else the pay date.
+function periodBounds(raw) {
+  const match = /^([A-Za-z]+)[\s-]+(\d{2}|\d{4})$/.exec(String(raw.payPeriod ?? "").trim());
+  let month = match
+    ? ENGLISH_MONTHS.findIndex((name) => name.slice(0, 3).toLowerCase() === match[1].slice(0, 3).toLowerCase())
+    : -1;
+  let year = match ? Number(match[2].length === 2 ? `20${match[2]}` : match[2]) : null;
+  if (month < 0) {
+    const payDate = toUtc(raw.payDate);
+    if (payDate === null) {
+      return null;
+    }
+    month = new Date(payDate).getUTCMonth();
+    year = new Date(payDate).getUTCFullYear();
+  }
+  return { start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 0) };
+}
+
+// Grid cells that fail these checks are highlighted like any other invalid field.
+export function validateAttendance(raw) {
+  const invalid = [];
+  const workingDays = parseNumber(raw.workingDays);
+  ["workingDays", "daysPresent", "unpaidLeaveDays"].forEach((key) => {
+    const value = String(raw[key] ?? "").trim();
+    if (value !== "" && !(parseNumber(value) >= 0)) {
+      invalid.push(key);
+    }
+  });
+  ["daysPresent", "unpaidLeaveDays"].forEach((key) => {
+    if (workingDays !== null && parseNumber(raw[key]) > workingDays && !invalid.includes(key)) {
+      invalid.push(key);
+    }
+  });
+  const joined = toUtc(raw.joiningDate);
+  const exited = toUtc(raw.exitDate);
+  if (joined !== null && exited !== null && exited < joined) {
+    invalid.push("exitDate");
+  }
+  return invalid;
+}
+
+/**
+ * Works out how much of the month is paid. Returns null when Working Days is empty, so rows without
+ * attendance keep being paid for the full month. Days outside the joining and exit dates are removed in
+ * proportion to the calendar month, then unpaid leave is taken off.
+ */
+export function calculateAttendance(raw, settings = DEFAULT_ATTENDANCE_SETTINGS) {
+  const workingDays = parseNumber(raw.workingDays);
+  if (!(workingDays > 0)) {
+    return null;
+  }
+  const unpaidLeaveDays = Math.min(Math.max(parseNumber(raw.unpaidLeaveDays) ?? 0, 0), workingDays);
+
+  const period = periodBounds(raw);
+  const joined = toUtc(raw.joiningDate);
+  const exited = toUtc(raw.exitDate);
+  let employedShare = 1;
+  let joinedDuringPeriod = false;
+  let leftDuringPeriod = false;
+  if (period) {
+    joinedDuringPeriod = joined !== null && joined > period.start && joined <= period.end;
+    leftDuringPeriod = exited !== null && exited >= period.start && exited < period.end;
+    const from = joined !== null ? Math.max(joined, period.start) : period.start;
+    const to = exited !== null ? Math.min(exited, period.end) : period.end;
+    const monthDays = (period.end - period.start) / DAY_MS + 1;
+    employedShare = Math.max((to - from) / DAY_MS + 1, 0) / monthDays;
+  }
+
+  const employedDays = round(workingDays * employedShare);
+  const payableDays = round(Math.max(employedDays - unpaidLeaveDays, 0));
+  // Without Days Present, every employed day that is not unpaid leave counts as attended.
+  const enteredPresent = parseNumber(raw.daysPresent);
+  const daysPresent = enteredPresent === null ? payableDays : Math.min(Math.max(enteredPresent, 0), employedDays);
+  const absences = round(Math.max(employedDays - daysPresent, 0));
+
+  const bonusEligible =
+    employedDays > 0 &&
+    !joinedDuringPeriod &&
+    !leftDuringPeriod &&
+    unpaidLeaveDays === 0 &&
+    absences <= settings.allowedAbsences;
+
+  return {
+    workingDays,
+    daysPresent,
+    unpaidLeaveDays,
+    employedDays,
+    payableDays,
+    absences,
+    factor: payableDays / workingDays,
+    joinedDuringPeriod,
+    leftDuringPeriod,
+    bonusEligible,
+  };
+}
+
+// What an evaluated component pays after attendance: prorated earnings are scaled and the bonus follows the rule.
+export function applyAttendance(evaluated, attendance, settings = DEFAULT_ATTENDANCE_SETTINGS) {
+  const { component, entered, usesFormula, value } = evaluated;
+  if (!attendance || value === null) {
+    return value;
+  }
+  if (component.key === ATTENDANCE_BONUS_KEY) {
+    const entitlement = entered || usesFormula ? value : settings.bonusAmount;
+    return attendance.bonusEligible ? entitlement : 0;
+  }
+  return isProratedComponent(component) ? round(value * attendance.factor) : value;
+}
@@ -0,0 +1,122 @@
+import { BASE_CURRENCY } from "./constants.js";
+import { ROUTING_NUMBER_PATTERN, findDirectoryEntry } from "./employeeDirectory.js";
+
+// BEFTN carries up to 17 digits for the beneficiary account.
+const ACCOUNT_NUMBER_PATTERN = /^\d{1,17}$/;
+// Every text column in the file goes to the receiving bank as plain ASCII.
+const ASCII_TEXT = /^[\x20-\x7E]*$/;
+
+export const BANK_ADVICE_COLUMNS = [
+  { key: "serial", label: "SL" },
+  { key: "accountName", label: "Beneficiary Name" },
+  { key: "accountNumber", label: "Account Number" },
+  { key: "bankName", label: "Bank Name" },
+  { key: "bankBranch", label: "Branch Name" },
+  { key: "routingNumber", label: "Routing Number" },
+  { key: "amount", label: "Amount (BDT)" },
+  { key: "employeeId", label: "Employee ID" },
+  { key: "reference", label: "Payment Reference" },
+];
+
+function toPaisa(amount) {
+  return Math.round(amount * 100);
+}
+
+function compactAccountNumber(value) {
+  return String(value ?? "").replace(/[\s-]/g, "");
+}
+
+function paymentProblems(enriched, entry) {
+  if (!entry) {
+    return ["is not in the employee directory, so there are no bank details"];
+  }
+  const problems = [];
+  if (!(enriched.netAmount > 0)) {
+    problems.push("has no net salary to transfer");
+  }
+  if (!entry.accountName.trim() || !ASCII_TEXT.test(entry.accountName)) {
+    problems.push("needs an account name in English letters");
+  }
+  if (!ACCOUNT_NUMBER_PATTERN.test(compactAccountNumber(entry.accountNumber))) {
+    problems.push("needs an account number of up to 17 digits");
+  }
+  if (!ROUTING_NUMBER_PATTERN.test(entry.routingNumber.trim())) {
+    problems.push("needs a 9-digit routing number");
+  }
+  if (!entry.bankName.trim() || !ASCII_TEXT.test(entry.bankName)) {
+    problems.push("needs a bank name in English letters");
+  }
+  if (!ASCII_TEXT.test(entry.bankBranch)) {
+    problems.push("needs the branch name in English letters");
+  }
+  return problems;
+}
+
+function payRunDates(enrichedRows) {
+  const periods = Array.from(new Set(enrichedRows.map((enriched) => enriched.payPeriod).filter((value) => value !== "-")));
+  const latest = enrichedRows
+    .filter((enriched) => enriched.payDateValue)
+    .sort((a, b) => a.payDateValue.localeCompare(b.payDateValue))
+    .pop();
+  return { payPeriod: periods.join(", "), payDate: latest?.payDate ?? "" };
+}
+
+/**
+ * Matches each enriched pay slip to its directory entry by Employee ID and lists the transfers.
+ * BEFTN only moves BDT, so rows paid in another currency are listed in `excluded` to be paid separately
+ * and do not count towards `netTotal`. BDT rows that cannot be paid are reported in `problems` and left
+ * out, so `balanced` is only true when the file total equals every BDT net salary, counted in paisa.
+ */
+export function buildBankAdvice(enrichedRows, entries) {
+  const { payPeriod, payDate } = payRunDates(enrichedRows);
+  const reference = `Salary ${payPeriod}`.trim();
+  const payments = [];
+  const problems = [];
+  const excluded = [];
+  enrichedRows.forEach((enriched) => {
+    if (enriched.currency !== BASE_CURRENCY) {
+      excluded.push({
+        employeeId: enriched.employeeId,
+        employeeName: enriched.employeeName,
+        currency: enriched.currency,
+        netAmount: enriched.netAmount,
+      });
+      return;
+    }
+    const entry = findDirectoryEntry(entries, enriched.employeeId);
+    const issues = paymentProblems(enriched, entry);
+    if (issues.length) {
+      problems.push({ employeeId: enriched.employeeId, employeeName: enriched.employeeName, issues });
+      return;
+    }
+    payments.push({
+      serial: payments.length + 1,
+      employeeId: enriched.employeeId,
+      employeeName: enriched.employeeName,
+      accountName: entry.accountName.trim(),
+      accountNumber: compactAccountNumber(entry.accountNumber),
+      bankName: entry.bankName.trim(),
+      bankBranch: entry.bankBranch.trim(),
+      routingNumber: entry.routingNumber.trim(),
+      amount: enriched.netAmount,
+      reference,
+    });
+  });
+
+  const fileTotal = payments.reduce((sum, payment) => sum + toPaisa(payment.amount), 0) / 100;
+  const netTotal =
+    enrichedRows
+      .filter((enriched) => enriched.currency === BASE_CURRENCY)
+      .reduce((sum, enriched) => sum + toPaisa(enriched.netAmount), 0) / 100;
+  return {
+    payPeriod,
+    payDate,
+    reference,
+    payments,
+    problems,
+    excluded,
+    fileTotal,
+    netTotal,
+    balanced: payments.length > 0 && toPaisa(fileTotal) === toPaisa(netTotal),
+  };
+}
@@ -0,0 +1,79 @@
+import { parseNumber } from "./utils.js";
+
+export const MARK_KEY = "mark";
+export const PERFORMANCE_BONUS_KEY = "performanceBonus";
+
+export const BONUS_BAND_TYPES = [
+  { id: "fixed", label: "Fixed amount" },
+  { id: "percent", label: "% of Basic" },
+];
+
+// Off until switched on, so amounts already typed into Performance Bonus keep being paid as entered.
+export const DEFAULT_BONUS_BANDS = {
+  enabled: false,
+  bands: [
+    { min: 90, max: 100, type: "percent", value: 15, cap: 8000 },
+    { min: 80, max: 89.99, type: "fixed", value: 4000, cap: null },
+    { min: 70, max: 79.99, type: "fixed", value: 2000, cap: null },
+  ],
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function validateBonusBands(settings) {
+  for (const [index, band] of settings.bands.entries()) {
+    const name = `Band ${index + 1}`;
+    if (band.min === null || band.value === null) {
+      return `${name} needs a lowest mark and an amount.`;
+    }
+    if (band.max !== null && band.max < band.min) {
+      return `${name}: the highest mark is below the lowest.`;
+    }
+    if (band.value < 0 || (band.cap !== null && band.cap < 0)) {
+      return `${name}: amounts cannot be negative.`;
+    }
+  }
+  return null;
+}
+
+// Bands are checked in the order they are listed, so the first range covering the mark wins.
+export function findBonusBand(bands, mark) {
+  return bands.find((band) => mark >= band.min && (band.max === null || mark <= band.max)) ?? null;
+}
+
+function bandAmount(band, basic) {
+  return band.type === "percent" ? round((basic * band.value) / 100) : band.value;
+}
+
+/**
+ * The Performance Bonus the bands give for this row's Mark, or null when the bands are off or no Mark is
+ * entered. `basic` is the Basic Salary paid this month. A typed Performance Bonus overrides the band and
+ * is kept, together with the band amount, so the pay slip can show both.
+ */
+export function resolveBonusBand(raw, settings, basic) {
+  const mark = parseNumber(raw[MARK_KEY]);
+  if (!settings.enabled || mark === null) {
+    return null;
+  }
+  const band = findBonusBand(settings.bands, mark);
+  const uncapped = band ? bandAmount(band, basic) : 0;
+  const calculated = band && band.cap !== null ? Math.min(uncapped, band.cap) : uncapped;
+  const entered = parseNumber(raw[PERFORMANCE_BONUS_KEY]);
+  return {
+    mark,
+    band,
+    calculated,
+    capped: calculated < uncapped,
+    overridden: entered !== null,
+    amount: entered ?? calculated,
+    reason: entered !== null ? String(raw.bonusOverrideReason ?? "").trim() : "",
+  };
+}
+
+// An override needs a reason whenever the bands would otherwise have set the amount.
+export function validateBonusOverride(raw, settings) {
+  const resolved = resolveBonusBand(raw, settings, 0);
+  return resolved?.overridden && !resolved.reason ? ["bonusOverrideReason"] : [];
+}
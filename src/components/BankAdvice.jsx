@@ -0,0 +1,204 @@
+import React, { useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { buildBankAdvice } from "../bankAdvice.js";
+import { BASE_CURRENCY } from "../constants.js";
+import { buildPdfFromPages, renderPageImages } from "../pdf.js";
+import { exportBankAdvice } from "../spreadsheet.js";
+import { downloadBlob, formatCurrency, formatMoney, sanitiseFilename } from "../utils.js";
+import { canDrawBankLetterAsVector, drawBankForwardingLetter } from "../vectorPayslip.js";
+import { loadPdfFonts } from "../vectorPdf.js";
+import BankForwardingLetter from "./BankForwardingLetter.jsx";
+import Modal from "./Modal.jsx";
+
+const GRID_SOURCE = "grid";
+
+export default function BankAdvice({
+  isOpen,
+  runs,
+  defaultRunId,
+  gridRows,
+  gridIssues,
+  gridCompany,
+  entries,
+  onClose,
+}) {
+  const [source, setSource] = useState(() => defaultRunId ?? GRID_SOURCE);
+  const [busy, setBusy] = useState(false);
+
+  const run = runs.find((item) => item.id === source) ?? null;
+  // An archived run pays from the company profile it was issued with.
+  const company = run ? run.company : gridCompany;
+  const advice = useMemo(
+    () => buildBankAdvice(run ? run.rows.map((row) => row.enriched) : gridRows, entries),
+    [entries, gridRows, run]
+  );
+  // Archived runs already passed these checks when they were finalised.
+  const issues = run ? [] : gridIssues;
+  const ready = advice.balanced && issues.length === 0;
+  const difference = Math.round((advice.netTotal - advice.fileTotal) * 100) / 100;
+  const baseName = sanitiseFilename(`beftn-${company.name}-${advice.payPeriod}`);
+
+  const handleDownloadCsv = () => {
+    try {
+      const { blob, filename } = exportBankAdvice(advice, { baseName });
+      downloadBlob(blob, filename);
+      toast.success(`Exported ${filename}`);
+    } catch (error) {
+      console.error("Failed to export the bank advice file", error);
+      toast.error("Unable to export the bank advice file. Please try again.");
+    }
+  };
+
+  const handleDownloadLetter = async () => {
+    setBusy(true);
+    try {
+      let pages;
+      if (canDrawBankLetterAsVector(advice, company)) {
+        await loadPdfFonts();
+        pages = [{ draw: (pdf) => drawBankForwardingLetter(pdf, advice, company) }];
+      } else {
+        pages = await renderPageImages(<BankForwardingLetter advice={advice} company={company} />);
+      }
+      downloadBlob(buildPdfFromPages(pages), `${baseName}-letter.pdf`);
+    } catch (error) {
+      console.error("Failed to create the bank forwarding letter", error);
+      toast.error("Unable to create the forwarding letter. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Bank Transfer Advice (BEFTN)" size="wide">
+      <div className="modal-body">
+        <div className="directory-pay-run">
+          <label className="form-field">
+            <span>Pay Run</span>
+            <select value={source} onChange={(event) => setSource(event.target.value)}>
+              <option value={GRID_SOURCE}>Current grid</option>
+              {runs.map((item) => (
+                <option key={item.id} value={item.id}>
+                  {item.payPeriod} ({item.company.name})
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <p className="modal-text">
+          Bank details come from the employee directory, matched on Employee ID. The debit account is set on the
+          company profile.
+        </p>
+
+        <dl className="pay-run-facts">
+          <div>
+            <dt>Transfers</dt>
+            <dd>{advice.payments.length}</dd>
+          </div>
+          <div>
+            <dt>File Total</dt>
+            <dd>{formatMoney(advice.fileTotal, BASE_CURRENCY)}</dd>
+          </div>
+          <div>
+            <dt>Net Salaries</dt>
+            <dd>{formatMoney(advice.netTotal, BASE_CURRENCY)}</dd>
+          </div>
+          <div>
+            <dt>Check</dt>
+            <dd className={advice.balanced ? "bank-advice-ok" : "bank-advice-mismatch"}>
+              {advice.balanced ? "Totals match" : `Differs by ${formatMoney(difference, BASE_CURRENCY)}`}
+            </dd>
+          </div>
+        </dl>
+
+        {issues.length > 0 && (
+          <>
+            <h3 className="directory-heading">Grid rows that cannot be paid yet</h3>
+            <ul className="bank-advice-problems">
+              {issues.map((issue) => (
+                <li key={issue.row}>
+                  <strong>
+                    Row {issue.row}: {issue.employeeName}
+                  </strong>{" "}
+                  {issue.issues.join("; ")}.
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {advice.problems.length > 0 && (
+          <>
+            <h3 className="directory-heading">Rows left out of the file</h3>
+            <ul className="bank-advice-problems">
+              {advice.problems.map((problem, index) => (
+                <li key={`${problem.employeeId}-${index}`}>
+                  <strong>
+                    {problem.employeeName} ({problem.employeeId})
+                  </strong>{" "}
+                  {problem.issues.join("; ")}.
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {advice.excluded.length > 0 && (
+          <>
+            <h3 className="directory-heading">Paid separately (not in BEFTN)</h3>
+            <ul className="bank-advice-problems">
+              {advice.excluded.map((row, index) => (
+                <li key={`${row.employeeId}-${index}`}>
+                  <strong>
+                    {row.employeeName} ({row.employeeId})
+                  </strong>{" "}
+                  is paid in {row.currency} ({formatMoney(row.netAmount, row.currency)}); BEFTN transfers are in{" "}
+                  {BASE_CURRENCY} only.
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        {advice.payments.length > 0 && (
+          <div className="table-wrapper variance-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>SL</th>
+                  <th>Beneficiary</th>
+                  <th>Account Number</th>
+                  <th>Bank / Branch</th>
+                  <th>Routing</th>
+                  <th>Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {advice.payments.map((payment) => (
+                  <tr key={payment.serial}>
+                    <td>{payment.serial}</td>
+                    <td>{payment.accountName}</td>
+                    <td>{payment.accountNumber}</td>
+                    <td>{[payment.bankName, payment.bankBranch].filter(Boolean).join(", ")}</td>
+                    <td>{payment.routingNumber}</td>
+                    <td>{formatCurrency(payment.amount, BASE_CURRENCY)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+      <div className="modal-footer">
+        {!ready && (
+          <span className="modal-note">Fix the rows above so the file pays every BDT net salary before exporting.</span>
+        )}
+        <button className="btn secondary" disabled={!ready || busy} onClick={handleDownloadCsv}>
+          Download BEFTN CSV
+        </button>
+        <button className="btn primary" disabled={!ready || busy} onClick={handleDownloadLetter}>
+          {busy ? "Preparing…" : "Download Forwarding Letter"}
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,92 @@
+import React from "react";
+import { amountToWords } from "../amountInWords.js";
+import { BASE_CURRENCY } from "../constants.js";
+import { brandStyle, formatCurrency, formatMoney } from "../utils.js";
+import { PayslipHeader } from "./PayslipParts.jsx";
+
+// Image-engine twin of drawBankForwardingLetter, used when the letter prints Bangla.
+export default function BankForwardingLetter({ advice, company }) {
+  const preparedOn = new Intl.DateTimeFormat("en-GB", { day: "2-digit", month: "long", year: "numeric" }).format(
+    new Date()
+  );
+  const account = company.salaryAccountNumber || "[account number]";
+  const valueDate = advice.payDate ? ` with value date ${advice.payDate}` : "";
+
+  return (
+    <div className="payslip bank-letter" style={brandStyle(company)}>
+      <PayslipHeader company={company} />
+      <p className="bank-letter__date">Date: {preparedOn}</p>
+      <p>
+        To
+        <br />
+        The Manager
+        <br />
+        {company.salaryBankName || "[Bank name]"}
+        <br />
+        {company.salaryBankBranch || "[Branch]"}
+      </p>
+      <p>
+        <strong>Subject: Salary disbursement through BEFTN for {advice.payPeriod}</strong>
+      </p>
+      <p>Dear Sir/Madam,</p>
+      <p>
+        Please debit our account no. {account} by {formatMoney(advice.fileTotal, BASE_CURRENCY)} (
+        {amountToWords(advice.fileTotal)}) and transfer the amounts below to the accounts of our{" "}
+        {advice.payments.length} employee(s) through BEFTN{valueDate}. The same transfers are in the enclosed upload
+        file.
+      </p>
+
+      <table className="detail-table">
+        <thead>
+          <tr>
+            <th>SL</th>
+            <th>Beneficiary</th>
+            <th>Account Number</th>
+            <th>Bank / Branch</th>
+            <th>Routing</th>
+            <th>Amount (BDT)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {advice.payments.map((payment) => (
+            <tr key={payment.serial}>
+              <td>{payment.serial}</td>
+              <td>{payment.accountName}</td>
+              <td>{payment.accountNumber}</td>
+              <td>{[payment.bankName, payment.bankBranch].filter(Boolean).join(", ")}</td>
+              <td>{payment.routingNumber}</td>
+              <td>{formatCurrency(payment.amount, BASE_CURRENCY)}</td>
+            </tr>
+          ))}
+          <tr>
+            <td />
+            <td>
+              <strong>Total</strong>
+            </td>
+            <td />
+            <td />
+            <td />
+            <td>
+              <strong>{formatCurrency(advice.fileTotal, BASE_CURRENCY)}</strong>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div className="signature-row">
+        <div className="signature-block">
+          <span>Yours faithfully,</span>
+          <div className="signature-image-wrapper">
+            {company.signature ? (
+              <img src={company.signature} alt="Authorized signature or seal" className="asset-image signature-image" />
+            ) : null}
+          </div>
+          <div className="signature-line" />
+          <span>Authorised Signatory</span>
+          <span>{company.name}</span>
+        </div>
+      </div>
+      <div className="brand-bar bottom" />
+    </div>
+  );
+}
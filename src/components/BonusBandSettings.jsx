@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from "react";
+import { BONUS_BAND_TYPES, validateBonusBands } from "../bonusBands.js";
+import { parseNumber } from "../utils.js";
+import Modal from "./Modal.jsx";
+
+function cloneSettings(settings) {
+  return JSON.parse(JSON.stringify(settings));
+}
+
+export default function BonusBandSettings({ isOpen, settings, onClose, onSave }) {
+  const [draft, setDraft] = useState(() => cloneSettings(settings));
+
+  useEffect(() => {
+    if (isOpen) {
+      setDraft(cloneSettings(settings));
+    }
+  }, [isOpen, settings]);
+
+  const error = validateBonusBands(draft);
+
+  const updateBand = (index, changes) => {
+    setDraft((prev) => ({
+      ...prev,
+      bands: prev.bands.map((band, bandIndex) => (bandIndex === index ? { ...band, ...changes } : band)),
+    }));
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Performance Bonus Bands" size="wide">
+      <div className="modal-body">
+        <label className="checkbox-field">
+          <input
+            type="checkbox"
+            checked={draft.enabled}
+            onChange={(event) => setDraft((prev) => ({ ...prev, enabled: event.target.checked }))}
+          />
+          Work out the Performance Bonus from each row's Mark
+        </label>
+        <p className="import-hint">
+          The first band whose range covers the Mark sets the bonus; a Mark outside every band pays nothing. A
+          percentage is taken of the Basic Salary paid for the month. Typing a Performance Bonus on a row overrides
+          its band, and the row then needs a Bonus Override Reason.
+        </p>
+
+        <div className="tax-slabs bonus-bands">
+          <div className="tax-slab bonus-band bonus-band--header">
+            <span>From Mark</span>
+            <span>To Mark</span>
+            <span>Pays</span>
+            <span>Amount / %</span>
+            <span>Cap</span>
+            <span />
+          </div>
+          {draft.bands.map((band, index) => (
+            <div className="tax-slab bonus-band" key={index}>
+              <input
+                type="number"
+                step="any"
+                value={band.min ?? ""}
+                onChange={(event) => updateBand(index, { min: parseNumber(event.target.value) })}
+              />
+              <input
+                type="number"
+                step="any"
+                value={band.max ?? ""}
+                placeholder="No limit"
+                onChange={(event) => updateBand(index, { max: parseNumber(event.target.value) })}
+              />
+              <select value={band.type} onChange={(event) => updateBand(index, { type: event.target.value })}>
+                {BONUS_BAND_TYPES.map((type) => (
+                  <option key={type.id} value={type.id}>
+                    {type.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={band.value ?? ""}
+                onChange={(event) => updateBand(index, { value: parseNumber(event.target.value) })}
+              />
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={band.cap ?? ""}
+                placeholder="None"
+                onChange={(event) => updateBand(index, { cap: parseNumber(event.target.value) })}
+              />
+              <button
+                type="button"
+                className="btn secondary"
+                onClick={() =>
+                  setDraft((prev) => ({ ...prev, bands: prev.bands.filter((_, bandIndex) => bandIndex !== index) }))
+                }
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            className="btn secondary"
+            onClick={() =>
+              setDraft((prev) => ({
+                ...prev,
+                bands: prev.bands.concat({ min: 0, max: null, type: "fixed", value: 0, cap: null }),
+              }))
+            }
+          >
+            Add Band
+          </button>
+        </div>
+        {error && <p className="import-error">{error}</p>}
+      </div>
+      <div className="modal-footer">
+        <button className="btn secondary" onClick={onClose}>
+          Cancel
+        </button>
+        <button className="btn primary" onClick={() => onSave(draft)} disabled={Boolean(error)}>
+          Save Bands
+        </button>
+      </div>
+    </Modal>
+  );
+}
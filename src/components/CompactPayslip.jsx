@@ -0,0 +1,91 @@
+import React from "react";
+import { createPayslipFormat } from "../payslipFormat.js";
+import { brandStyle } from "../utils.js";
+import { NetSalary, PayNotes, VerificationCode } from "./PayslipParts.jsx";
+
+export default function CompactPayslip({ data, company, language = "en", bilingual = false }) {
+  const format = createPayslipFormat(data, language, bilingual);
+  const { labels } = format;
+  const deductionCells = data.deductionLines.map((line) => [format.lineLabel(line), format.lineDisplay(line)]);
+  if (data.taxEnabled) {
+    deductionCells.push([labels.tax, format.amount(data.taxAmount)]);
+  }
+  const earningCells = data.earningLines.map((line) => [format.lineLabel(line), format.lineDisplay(line)]);
+  const rowCount = Math.max(earningCells.length, deductionCells.length);
+
+  return (
+    <div className="payslip payslip--compact" lang={language} style={brandStyle(company)}>
+      <div className="brand-bar top" />
+      <header className="compact-header">
+        {company.logo ? (
+          <img src={company.logo} alt="Company logo" className="asset-image compact-logo" />
+        ) : (
+          <div className="logo-circle compact-logo">
+            <span className="logo-text">{company.initials}</span>
+          </div>
+        )}
+        <div>
+          <strong>{company.name}</strong>
+          <div className="compact-header__title">
+            {labels.title} • {format.payPeriod}
+          </div>
+        </div>
+      </header>
+
+      <dl className="compact-info">
+        <div>
+          <dt>{labels.employeeName}</dt>
+          <dd>{data.employeeName}</dd>
+        </div>
+        <div>
+          <dt>{labels.employeeId}</dt>
+          <dd>{data.employeeId}</dd>
+        </div>
+        <div>
+          <dt>{labels.designation}</dt>
+          <dd>{data.designation}</dd>
+        </div>
+        <div>
+          <dt>{labels.department}</dt>
+          <dd>{data.department}</dd>
+        </div>
+        <div>
+          <dt>{labels.payDate}</dt>
+          <dd>{format.payDate}</dd>
+        </div>
+      </dl>
+
+      <table className="detail-table compact-table">
+        <thead>
+          <tr>
+            <th>{labels.earnings}</th>
+            <th>{labels.amount(data.currency)}</th>
+            <th>{labels.deductions}</th>
+            <th>{labels.amount(data.currency)}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Array.from({ length: rowCount }, (_, index) => (
+            <tr key={index}>
+              <td>{earningCells[index]?.[0]}</td>
+              <td>{earningCells[index]?.[1]}</td>
+              <td>{deductionCells[index]?.[0]}</td>
+              <td>{deductionCells[index]?.[1]}</td>
+            </tr>
+          ))}
+          <tr className="total-row">
+            <td>{labels.grossEarnings}</td>
+            <td>{format.amount(data.grossEarnings)}</td>
+            <td>{labels.totalDeductions}</td>
+            <td>{format.amount(data.totalDeductionsAmount)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <PayNotes format={format} />
+
+      <NetSalary data={data} format={format} />
+      <VerificationCode data={data} format={format} />
+      <div className="brand-bar bottom" />
+    </div>
+  );
+}
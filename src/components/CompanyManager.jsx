@@ -0,0 +1,214 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import { CURRENCY_OPTIONS, DEFAULT_COMPANY_PROFILE } from "../constants.js";
+import { createRecordId } from "../storage.js";
+import AssetUpload from "./AssetUpload.jsx";
+import Modal from "./Modal.jsx";
+
+function readImage(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+export default function CompanyManager({ isOpen, profiles, activeId, onClose, onSave, onDelete, onSelect }) {
+  const [editing, setEditing] = useState(
+    () => profiles.find((profile) => profile.id === activeId) ?? profiles[0] ?? null
+  );
+
+  const update = (changes) => setEditing((prev) => ({ ...prev, ...changes }));
+
+  const handleImage = async (key, file) => {
+    if (!file) {
+      update({ [key]: null });
+      return;
+    }
+    if (!file.type.startsWith("image/")) {
+      toast.error("Please select an image file (PNG, JPG, SVG, etc.).");
+      return;
+    }
+    try {
+      update({ [key]: await readImage(file) });
+    } catch (error) {
+      console.error("Failed to read image", error);
+      toast.error("Unable to read that image. Please try another file.");
+    }
+  };
+
+  const startProfile = (base) => {
+    setEditing({
+      ...DEFAULT_COMPANY_PROFILE,
+      ...base,
+      id: createRecordId("company"),
+      name: base ? `${base.name} (copy)` : "New Company",
+    });
+  };
+
+  const isSaved = editing && profiles.some((profile) => profile.id === editing.id);
+  const canSave = Boolean(editing?.name.trim());
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Company Profiles" size="wide">
+      <div className="modal-body company-manager">
+        <aside className="company-list">
+          {profiles.map((profile) => (
+            <button
+              key={profile.id}
+              type="button"
+              className={`company-list__item${editing?.id === profile.id ? " is-selected" : ""}`}
+              onClick={() => setEditing(profile)}
+            >
+              <span className="company-swatch" style={{ background: profile.primaryColor }} />
+              <span>
+                <strong>{profile.name}</strong>
+                <small>
+                  {profile.currency}
+                  {profile.id === activeId ? " • In use" : ""}
+                </small>
+              </span>
+            </button>
+          ))}
+          <button type="button" className="btn secondary" onClick={() => startProfile()}>
+            New Profile
+          </button>
+        </aside>
+
+        {editing && (
+          <div className="company-form">
+            <div className="invoice-form-grid">
+              <label className="form-field">
+                <span>Company Name</span>
+                <input type="text" value={editing.name} onChange={(event) => update({ name: event.target.value })} />
+              </label>
+              <label className="form-field">
+                <span>Logo Caption</span>
+                <input type="text" value={editing.caption} onChange={(event) => update({ caption: event.target.value })} />
+              </label>
+              <label className="form-field">
+                <span>Initials (shown without a logo)</span>
+                <input
+                  type="text"
+                  maxLength={3}
+                  value={editing.initials}
+                  onChange={(event) => update({ initials: event.target.value.toUpperCase() })}
+                />
+              </label>
+              <label className="form-field">
+                <span>Email Address</span>
+                <input type="email" value={editing.email} onChange={(event) => update({ email: event.target.value })} />
+              </label>
+              <label className="form-field company-form__wide">
+                <span>Office Address</span>
+                <input type="text" value={editing.address} onChange={(event) => update({ address: event.target.value })} />
+              </label>
+              <label className="form-field">
+                <span>Primary Colour</span>
+                <input
+                  type="color"
+                  value={editing.primaryColor}
+                  onChange={(event) => update({ primaryColor: event.target.value })}
+                />
+              </label>
+              <label className="form-field">
+                <span>Secondary Colour</span>
+                <input
+                  type="color"
+                  value={editing.secondaryColor}
+                  onChange={(event) => update({ secondaryColor: event.target.value })}
+                />
+              </label>
+              <label className="form-field">
+                <span>Default Currency</span>
+                <select value={editing.currency} onChange={(event) => update({ currency: event.target.value })}>
+                  {CURRENCY_OPTIONS.map((currency) => (
+                    <option key={currency.code} value={currency.code}>
+                      {currency.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="form-field">
+                <span>Salary Account Bank</span>
+                <input
+                  type="text"
+                  value={editing.salaryBankName}
+                  onChange={(event) => update({ salaryBankName: event.target.value })}
+                />
+              </label>
+              <label className="form-field">
+                <span>Salary Account Branch</span>
+                <input
+                  type="text"
+                  value={editing.salaryBankBranch}
+                  onChange={(event) => update({ salaryBankBranch: event.target.value })}
+                />
+              </label>
+              <label className="form-field">
+                <span>Salary Account Number</span>
+                <input
+                  type="text"
+                  value={editing.salaryAccountNumber}
+                  onChange={(event) => update({ salaryAccountNumber: event.target.value })}
+                />
+              </label>
+            </div>
+
+            <div className="asset-controls">
+              <AssetUpload
+                id="company-logo-upload"
+                label="Company Logo"
+                value={editing.logo}
+                onChange={(file) => handleImage("logo", file)}
+                onClear={() => update({ logo: null })}
+              />
+              <AssetUpload
+                id="company-signature-upload"
+                label="Authorized Signature / Seal"
+                value={editing.signature}
+                onChange={(file) => handleImage("signature", file)}
+                onClear={() => update({ signature: null })}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+      <div className="modal-footer">
+        {isSaved && (
+          <>
+            <button
+              className="btn secondary"
+              onClick={async () => {
+                if (await onDelete(editing.id)) {
+                  setEditing(profiles.find((profile) => profile.id !== editing.id) ?? null);
+                }
+              }}
+              disabled={profiles.length <= 1}
+            >
+              Delete
+            </button>
+            <button className="btn secondary" onClick={() => startProfile(editing)}>
+              Duplicate
+            </button>
+          </>
+        )}
+        <button className="btn secondary" onClick={() => onSave(editing)} disabled={!canSave}>
+          Save Profile
+        </button>
+        <button
+          className="btn primary"
+          onClick={async () => {
+            if (await onSave(editing)) {
+              onSelect(editing.id);
+            }
+          }}
+          disabled={!canSave}
+        >
+          Save &amp; Use for This Pay Run
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from "react";
+import {
+  DEDUCTION_BASES,
+  DEDUCTION_PRESETS,
+  calculateDeductions,
+  createDeduction,
+  findAutomaticOverlaps,
+  formatDeductions,
+  hasEmployerShare,
+  parseDeductions,
+  validateDeductions,
+} from "../deductions.js";
+import { formatMoney } from "../utils.js";
+import Modal from "./Modal.jsx";
+
+export default function DeductionsEditor({ isOpen, employee, currency, basicSalary, automatic, onClose, onSave }) {
+  const [items, setItems] = useState([]);
+
+  useEffect(() => {
+    if (isOpen && employee) {
+      setItems(parseDeductions(employee.deductions));
+    }
+  }, [employee, isOpen]);
+
+  const error = validateDeductions(items);
+  const { total, employerTotal } = calculateDeductions(formatDeductions(items), basicSalary, currency);
+  const overlaps = automatic ? findAutomaticOverlaps(items, automatic) : [];
+
+  const updateItem = (index, changes) => {
+    setItems((prev) => prev.map((item, itemIndex) => (itemIndex === index ? { ...item, ...changes } : item)));
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={`Deductions${employee?.employeeName ? ` for ${employee.employeeName}` : ""}`}
+      size="wide"
+    >
+      <div className="modal-body">
+        <p className="import-hint">
+          Percentages are taken from the basic salary ({formatMoney(basicSalary, currency)}). The employer's provident
+          fund contribution is printed on the pay slip for information only.
+        </p>
+
+        <datalist id="deduction-presets">
+          {DEDUCTION_PRESETS.map((preset) => (
+            <option key={preset.id} value={preset.label} />
+          ))}
+        </datalist>
+
+        <div className="deduction-items">
+          {items.map((item, index) => (
+            <div className="deduction-item" key={index}>
+              <input
+                type="text"
+                list="deduction-presets"
+                value={item.label}
+                placeholder="Deduction name"
+                onChange={(event) => updateItem(index, { label: event.target.value.replace(/[;:=]/g, "") })}
+              />
+              <select value={item.basis} onChange={(event) => updateItem(index, { basis: event.target.value })}>
+                {DEDUCTION_BASES.map((basis) => (
+                  <option key={basis.id} value={basis.id}>
+                    {basis.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={item.value}
+                placeholder="Amount"
+                onChange={(event) => updateItem(index, { value: event.target.value })}
+              />
+              {hasEmployerShare(item) ? (
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={item.employerValue}
+                  placeholder="Employer share"
+                  title="Employer contribution (information only)"
+                  onChange={(event) => updateItem(index, { employerValue: event.target.value })}
+                />
+              ) : (
+                <span />
+              )}
+              <button
+                type="button"
+                className="btn secondary"
+                onClick={() => setItems((prev) => prev.filter((_, itemIndex) => itemIndex !== index))}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <button type="button" className="btn secondary" onClick={() => setItems((prev) => [...prev, createDeduction()])}>
+            Add Deduction
+          </button>
+        </div>
+
+        <p className="deduction-summary">
+          Total deductions: <strong>{formatMoney(total, currency)}</strong>
+          {employerTotal > 0 && ` • Employer PF contribution: ${formatMoney(employerTotal, currency)}`}
+        </p>
+        {overlaps.map((overlap) => (
+          <p className="deduction-overlap" key={overlap}>
+            {overlap}. Remove this line unless it is a separate charge.
+          </p>
+        ))}
+        {error && <p className="import-error">{error}</p>}
+      </div>
+      <div className="modal-footer">
+        <button className="btn secondary" onClick={onClose}>
+          Cancel
+        </button>
+        <button className="btn primary" onClick={() => onSave(formatDeductions(items))} disabled={Boolean(error)}>
+          Save Deductions
+        </button>
+      </div>
+    </Modal>
+  );
+}
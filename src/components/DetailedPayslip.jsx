@@ -0,0 +1,110 @@
+import React from "react";
+import { createPayslipFormat } from "../payslipFormat.js";
+import { brandStyle } from "../utils.js";
+import {
+  EmployeeInfoTable,
+  EmployerContributionNote,
+  NetSalary,
+  PayNotes,
+  PayslipFooter,
+  PayslipHeader,
+  SignatureRow,
+} from "./PayslipParts.jsx";
+
+export default function DetailedPayslip({ data, company, language = "en", bilingual = false }) {
+  const format = createPayslipFormat(data, language, bilingual);
+  const { labels } = format;
+  const ytd = data.yearToDate;
+  const ytdAmount = (value) => (value === undefined ? "-" : format.amount(value));
+
+  return (
+    <div className="payslip payslip--detailed" lang={language} style={brandStyle(company)}>
+      <PayslipHeader company={company} />
+      <h1 className="payslip-title">{labels.title}</h1>
+
+      <EmployeeInfoTable data={data} format={format} />
+
+      <h2 className="section-heading">{labels.earnings}</h2>
+      <table className="detail-table ytd-table">
+        <thead>
+          <tr>
+            <th>{labels.description}</th>
+            <th>{labels.thisPeriod}</th>
+            <th>{labels.yearToDate}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.earningLines.map((line) => (
+            <tr key={line.key}>
+              <td>{format.lineLabel(line)}</td>
+              <td>{format.lineDisplay(line)}</td>
+              <td>{line.kind === "earning" ? ytdAmount(ytd.earnings[line.key]) : "-"}</td>
+            </tr>
+          ))}
+          <tr className="total-row">
+            <td>{labels.grossEarnings}</td>
+            <td>{format.amount(data.grossEarnings)}</td>
+            <td>{format.amount(ytd.gross)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <h2 className="section-heading">{labels.deductions}</h2>
+      <table className="detail-table ytd-table">
+        <thead>
+          <tr>
+            <th>{labels.description}</th>
+            <th>{labels.thisPeriod}</th>
+            <th>{labels.yearToDate}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {data.deductionLines.map((line, index) => (
+            <tr key={`${line.label}-${index}`}>
+              <td>{format.lineLabel(line)}</td>
+              <td>{format.lineDisplay(line)}</td>
+              <td>{ytdAmount(ytd.deductions[line.key ?? line.label])}</td>
+            </tr>
+          ))}
+          {data.taxEnabled && (
+            <tr>
+              <td>{labels.tax}</td>
+              <td>{format.amount(data.taxAmount)}</td>
+              <td>{format.amount(ytd.tax)}</td>
+            </tr>
+          )}
+          <tr className="total-row">
+            <td>{labels.totalDeductions}</td>
+            <td>{format.amount(data.totalDeductionsAmount)}</td>
+            <td>{format.amount(ytd.totalDeductions)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <h2 className="section-heading">{labels.summary}</h2>
+      <table className="detail-table ytd-table">
+        <thead>
+          <tr>
+            <th>{labels.description}</th>
+            <th>{labels.thisPeriod}</th>
+            <th>{labels.yearToDate}</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr className="total-row">
+            <td>{labels.netPay}</td>
+            <td>{format.amount(data.netAmount)}</td>
+            <td>{format.amount(ytd.net)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <p className="payslip-note">{labels.ytdNote(ytd.periods, ytd.fiscalYear)}</p>
+      <EmployerContributionNote data={data} format={format} />
+      <PayNotes format={format} />
+
+      <NetSalary data={data} format={format} />
+      <SignatureRow company={company} format={format} />
+      <PayslipFooter data={data} company={company} format={format} />
+    </div>
+  );
+}
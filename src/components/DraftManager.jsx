@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import Modal from "./Modal.jsx";
+
+function formatSavedAt(timestamp) {
+  if (!timestamp) {
+    return "Not saved yet";
+  }
+  return new Intl.DateTimeFormat("en-GB", { dateStyle: "medium", timeStyle: "short" }).format(timestamp);
+}
+
+function countRows(draft) {
+  const employees = draft.workspace?.payroll?.employees ?? [];
+  return employees.filter((employee) => Object.values(employee).some((value) => String(value ?? "").trim())).length;
+}
+
+export default function DraftManager({ isOpen, onClose, drafts, activeDraft, onNew, onOpen, onRename, onDelete }) {
+  const [newName, setNewName] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState("");
+
+  const listed = drafts.some((draft) => draft.id === activeDraft.id)
+    ? drafts
+    : [{ ...activeDraft, updatedAt: null, unsaved: true }, ...drafts];
+
+  const commitRename = () => {
+    onRename(editingId, editingName);
+    setEditingId(null);
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Saved Drafts" size="wide">
+      <div className="modal-body">
+        <p className="modal-text">
+          Both tabs are saved automatically in this browser. Park the current work as a named draft and start a fresh
+          one, or switch back to an earlier draft.
+        </p>
+
+        <form
+          className="draft-new"
+          onSubmit={(event) => {
+            event.preventDefault();
+            onNew(newName);
+            setNewName("");
+          }}
+        >
+          <input
+            type="text"
+            value={newName}
+            placeholder="New draft name (e.g. October 2025 payroll)"
+            onChange={(event) => setNewName(event.target.value)}
+          />
+          <button type="submit" className="btn primary">
+            Start New Draft
+          </button>
+        </form>
+
+        <ul className="draft-list">
+          {listed.map((draft) => {
+            const isActive = draft.id === activeDraft.id;
+            return (
+              <li key={draft.id} className={`draft-item${isActive ? " is-active" : ""}`}>
+                <div className="draft-item__info">
+                  {editingId === draft.id ? (
+                    <input
+                      type="text"
+                      value={editingName}
+                      autoFocus
+                      onChange={(event) => setEditingName(event.target.value)}
+                      onBlur={commitRename}
+                      onKeyDown={(event) => {
+                        if (event.key === "Enter") {
+                          commitRename();
+                        } else if (event.key === "Escape") {
+                          setEditingId(null);
+                        }
+                      }}
+                    />
+                  ) : (
+                    <strong>{isActive ? activeDraft.name : draft.name}</strong>
+                  )}
+                  <span>
+                    {draft.unsaved ? "Not saved yet" : `${countRows(draft)} employee row(s) • ${formatSavedAt(draft.updatedAt)}`}
+                    {isActive ? " • Current" : ""}
+                  </span>
+                </div>
+                <div className="draft-item__actions">
+                  {!isActive && (
+                    <button type="button" className="btn secondary" onClick={() => onOpen(draft.id)}>
+                      Open
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    className="btn secondary"
+                    onClick={() => {
+                      setEditingId(draft.id);
+                      setEditingName(isActive ? activeDraft.name : draft.name);
+                    }}
+                  >
+                    Rename
+                  </button>
+                  {!draft.unsaved && (
+                    <button type="button" className="btn secondary" onClick={() => onDelete(draft.id)}>
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+      <div className="modal-footer">
+        <button className="btn secondary" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,222 @@
+import React, { useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { ADDITIONAL_FIELDS } from "../constants.js";
+import { EMPLOYEE_STATUSES, createDirectoryEntry, validateDirectoryEntry } from "../employeeDirectory.js";
+import Modal from "./Modal.jsx";
+
+const PROFILE_INPUTS = [
+  { key: "employeeName", label: "Employee Name", type: "text" },
+  { key: "employeeId", label: "Employee ID", type: "text" },
+  { key: "designation", label: "Designation", type: "text" },
+  { key: "department", label: "Department", type: "text" },
+  { key: "email", label: "Email", type: "email" },
+  { key: "joiningDate", label: "Joining Date", type: "date" },
+  { key: "dateOfBirth", label: "Date of Birth", type: "date" },
+];
+
+const BANK_INPUTS = [
+  { key: "bankName", label: "Bank Name" },
+  { key: "bankBranch", label: "Branch" },
+  { key: "accountName", label: "Account Name" },
+  { key: "accountNumber", label: "Account Number" },
+  { key: "routingNumber", label: "Routing Number" },
+];
+
+// The grid's own select fields supply the options, so the directory stays in step with imports.
+const SELECT_INPUTS = ["gender", "disability", "currency", "payslipLanguage"].map((key) =>
+  ADDITIONAL_FIELDS.find((field) => field.key === key)
+);
+
+function currentPeriod() {
+  return new Intl.DateTimeFormat("en-GB", { month: "long", year: "numeric" }).format(new Date());
+}
+
+export default function EmployeeDirectory({
+  isOpen,
+  entries,
+  disabled,
+  onClose,
+  onSave,
+  onDelete,
+  onAddFromGrid,
+  onStartPayRun,
+}) {
+  const [editing, setEditing] = useState(() => entries[0] ?? createDirectoryEntry());
+  const [search, setSearch] = useState("");
+  const [payRun, setPayRun] = useState(() => ({
+    payPeriod: currentPeriod(),
+    payDate: new Date().toISOString().slice(0, 10),
+  }));
+
+  const visibleEntries = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    if (!query) {
+      return entries;
+    }
+    return entries.filter((entry) =>
+      [entry.employeeName, entry.employeeId, entry.department].some((value) => value.toLowerCase().includes(query))
+    );
+  }, [entries, search]);
+
+  const activeCount = entries.filter((entry) => entry.status === "active").length;
+  const isSaved = editing && entries.some((entry) => entry.id === editing.id);
+  const update = (changes) => setEditing((prev) => ({ ...prev, ...changes }));
+
+  const handleSave = async () => {
+    const trimmed = Object.fromEntries(
+      Object.entries(editing).map(([key, value]) => [key, typeof value === "string" ? value.trim() : value])
+    );
+    const problem = validateDirectoryEntry(trimmed, entries);
+    if (problem) {
+      toast.error(problem);
+      return;
+    }
+    if (await onSave(trimmed)) {
+      setEditing(trimmed);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Employee Directory" size="wide">
+      <div className="modal-body">
+        <div className="directory-pay-run">
+          <label className="form-field">
+            <span>Pay Period</span>
+            <input
+              type="text"
+              value={payRun.payPeriod}
+              onChange={(event) => setPayRun((prev) => ({ ...prev, payPeriod: event.target.value }))}
+            />
+          </label>
+          <label className="form-field">
+            <span>Pay Date</span>
+            <input
+              type="date"
+              value={payRun.payDate}
+              onChange={(event) => setPayRun((prev) => ({ ...prev, payDate: event.target.value }))}
+            />
+          </label>
+          <button
+            type="button"
+            className="btn primary"
+            disabled={disabled || activeCount === 0 || !payRun.payPeriod.trim()}
+            onClick={() => onStartPayRun({ payPeriod: payRun.payPeriod.trim(), payDate: payRun.payDate })}
+          >
+            Start Pay Run ({activeCount} active)
+          </button>
+        </div>
+
+        <div className="company-manager">
+          <aside className="company-list">
+            <input
+              type="search"
+              className="directory-search"
+              placeholder="Search name, ID or department"
+              value={search}
+              onChange={(event) => setSearch(event.target.value)}
+            />
+            <div className="directory-list">
+              {visibleEntries.map((entry) => (
+                <button
+                  key={entry.id}
+                  type="button"
+                  className={`company-list__item${editing?.id === entry.id ? " is-selected" : ""}${
+                    entry.status === "left" ? " is-inactive" : ""
+                  }`}
+                  onClick={() => setEditing(entry)}
+                >
+                  <span>
+                    <strong>{entry.employeeName}</strong>
+                    <small>
+                      {entry.employeeId}
+                      {entry.department ? ` • ${entry.department}` : ""}
+                      {entry.status === "left" ? " • Left" : ""}
+                    </small>
+                  </span>
+                </button>
+              ))}
+              {entries.length === 0 && <p className="directory-empty">No employees saved yet.</p>}
+            </div>
+            <button type="button" className="btn secondary" onClick={() => setEditing(createDirectoryEntry())}>
+              New Employee
+            </button>
+            <button type="button" className="btn secondary" onClick={onAddFromGrid}>
+              Add From Pay Grid
+            </button>
+          </aside>
+
+          {editing && (
+            <div className="company-form">
+              <div className="invoice-form-grid">
+                {PROFILE_INPUTS.map((input) => (
+                  <label key={input.key} className="form-field">
+                    <span>{input.label}</span>
+                    <input
+                      type={input.type}
+                      value={editing[input.key]}
+                      onChange={(event) => update({ [input.key]: event.target.value })}
+                    />
+                  </label>
+                ))}
+                <label className="form-field">
+                  <span>Status</span>
+                  <select value={editing.status} onChange={(event) => update({ status: event.target.value })}>
+                    {EMPLOYEE_STATUSES.map((status) => (
+                      <option key={status.value} value={status.value}>
+                        {status.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {SELECT_INPUTS.map((field) => (
+                  <label key={field.key} className="form-field">
+                    <span>{field.label}</span>
+                    <select value={editing[field.key]} onChange={(event) => update({ [field.key]: event.target.value })}>
+                      <option value="">Not set</option>
+                      {field.options.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              <h3 className="directory-heading">Bank Details</h3>
+              <div className="invoice-form-grid">
+                {BANK_INPUTS.map((input) => (
+                  <label key={input.key} className="form-field">
+                    <span>{input.label}</span>
+                    <input
+                      type="text"
+                      value={editing[input.key]}
+                      onChange={(event) => update({ [input.key]: event.target.value })}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+      <div className="modal-footer">
+        {isSaved && (
+          <button
+            className="btn secondary"
+            onClick={async () => {
+              if (await onDelete(editing.id)) {
+                setEditing(entries.find((entry) => entry.id !== editing.id) ?? createDirectoryEntry());
+              }
+            }}
+          >
+            Delete
+          </button>
+        )}
+        <button className="btn primary" onClick={handleSave} disabled={!editing}>
+          Save Employee
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -1,5 +1,6 @@
 import React from "react";
-import { makeErrorKey } from "../utils.js";
+import { parseDeductions, summariseDeductions, validateDeductions } from "../deductions.js";
+import { formatCurrency, makeErrorKey } from "../utils.js";
 
 export default function EmployeeRow({
   columns,
@@ -11,7 +12,13 @@ export default function EmployeeRow({
   onPaste,
   onGenerate,
   onPreview,
+  onEditDeductions,
+  totalMismatch,
+  deductionOverlaps,
+  deductionBasis,
+  onResolveTotal,
   disableRemove,
+  readOnly,
   isGenerating,
 }) {
   return (
@@ -21,21 +28,112 @@ export default function EmployeeRow({
         const hasError = errors.has(errorKey);
         return (
           <td key={field.key}>
-            <input
-              data-key={field.key}
-              data-row-index={rowIndex}
-              data-col-index={colIndex}
-              type={field.type === "number" ? "number" : field.type}
-              inputMode={field.type === "number" ? "decimal" : undefined}
-              step={field.type === "number" ? "0.01" : undefined}
-              min={field.type === "number" ? "0" : undefined}
-              value={employee[field.key] ?? ""}
-              placeholder={field.placeholder ?? ""}
-              className={hasError ? "input-error" : ""}
-              onChange={(event) => onFieldChange(rowIndex, field, event.target.value)}
-              onPaste={(event) => onPaste(event, rowIndex, colIndex)}
-              autoComplete="off"
-            />
+            {field.type === "deductions" ? (
+              <>
+                <button
+                  type="button"
+                  data-key={field.key}
+                  data-row-index={rowIndex}
+                  data-col-index={colIndex}
+                  className={`deductions-cell${hasError ? " input-error" : deductionOverlaps ? " input-warning" : ""}`}
+                  title={
+                    (hasError && validateDeductions(parseDeductions(employee[field.key]))) ||
+                    employee[field.key] ||
+                    "Add deductions"
+                  }
+                  onClick={() => onEditDeductions(rowIndex)}
+                  onPaste={(event) => onPaste(event, rowIndex, colIndex)}
+                  disabled={isGenerating || readOnly}
+                >
+                  {summariseDeductions(
+                    employee[field.key],
+                    deductionBasis?.basicSalary ?? 0,
+                    deductionBasis?.currency
+                  )}
+                </button>
+                {deductionOverlaps && (
+                  <div className="total-check">
+                    {deductionOverlaps.map((overlap) => (
+                      <span key={overlap}>{overlap}</span>
+                    ))}
+                  </div>
+                )}
+              </>
+            ) : field.type === "select" ? (
+              <select
+                data-key={field.key}
+                data-row-index={rowIndex}
+                data-col-index={colIndex}
+                value={employee[field.key] ?? ""}
+                className={hasError ? "input-error" : ""}
+                onChange={(event) => onFieldChange(rowIndex, field, event.target.value)}
+                onPaste={(event) => onPaste(event, rowIndex, colIndex)}
+                disabled={readOnly}
+              >
+                <option value="">—</option>
+                {field.options.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                data-key={field.key}
+                data-row-index={rowIndex}
+                data-col-index={colIndex}
+                type={field.type === "number" ? "number" : field.type}
+                inputMode={field.type === "number" ? "decimal" : undefined}
+                step={field.type === "number" ? "0.01" : undefined}
+                min={field.type === "number" ? "0" : undefined}
+                value={employee[field.key] ?? ""}
+                placeholder={field.placeholder ?? ""}
+                className={
+                  hasError
+                    ? "input-error"
+                    : field.key === "totalSalary" && totalMismatch && !totalMismatch.accepted
+                      ? "input-warning"
+                      : ""
+                }
+                onChange={(event) => onFieldChange(rowIndex, field, event.target.value)}
+                onPaste={(event) => !readOnly && onPaste(event, rowIndex, colIndex)}
+                readOnly={readOnly}
+                autoComplete="off"
+              />
+            )}
+            {field.key === "totalSalary" && totalMismatch && (
+              <div className={`total-check${totalMismatch.accepted ? " is-accepted" : ""}`}>
+                <span>
+                  Computed {formatCurrency(totalMismatch.computed, totalMismatch.currency)} (
+                  {totalMismatch.difference > 0 ? "+" : "−"}
+                  {formatCurrency(Math.abs(totalMismatch.difference), totalMismatch.currency)})
+                </span>
+                {totalMismatch.accepted ? (
+                  <span>Entered total kept</span>
+                ) : (
+                  <span className="total-check__actions">
+                    <button
+                      type="button"
+                      onClick={() => onResolveTotal(rowIndex, "useComputed")}
+                      disabled={isGenerating || readOnly}
+                    >
+                      Use computed
+                    </button>
+                    {totalMismatch.taxed ? (
+                      <span>TDS is on, so the computed total is paid</span>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => onResolveTotal(rowIndex, "keepEntered")}
+                        disabled={isGenerating || readOnly}
+                      >
+                        Keep entered
+                      </button>
+                    )}
+                  </span>
+                )}
+              </div>
+            )}
           </td>
         );
       })}
@@ -45,7 +143,7 @@ export default function EmployeeRow({
             type="button"
             className="btn primary"
             onClick={() => onGenerate(rowIndex)}
-            disabled={isGenerating}
+            disabled={isGenerating || readOnly}
           >
             Generate PDF
           </button>
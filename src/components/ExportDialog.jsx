@@ -0,0 +1,49 @@
+import React, { useState } from "react";
+import { EXPORT_FORMATS } from "../spreadsheet.js";
+import Modal from "./Modal.jsx";
+
+export default function ExportDialog({ isOpen, rowCount, onClose, onExport }) {
+  const [format, setFormat] = useState("xlsx");
+  const [includeComputed, setIncludeComputed] = useState(true);
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Export Employee Data">
+      <div className="modal-body">
+        <p className="modal-text">
+          Export the {rowCount} employee row(s) in the grid. Exported CSV, XLSX and JSON files can be imported
+          again later.
+        </p>
+        <div className="export-options">
+          {EXPORT_FORMATS.map((item) => (
+            <label key={item.id}>
+              <input
+                type="radio"
+                name="export-format"
+                value={item.id}
+                checked={format === item.id}
+                onChange={() => setFormat(item.id)}
+              />
+              {item.label}
+            </label>
+          ))}
+        </div>
+        <label className="checkbox-field">
+          <input
+            type="checkbox"
+            checked={includeComputed}
+            onChange={(event) => setIncludeComputed(event.target.checked)}
+          />
+          Include computed totals and net salary
+        </label>
+      </div>
+      <div className="modal-footer">
+        <button className="btn secondary" onClick={onClose}>
+          Cancel
+        </button>
+        <button className="btn primary" onClick={() => onExport({ format, includeComputed })}>
+          Export
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,83 @@
+import React from "react";
+
+const STATUS_LABELS = {
+  pending: "Pending",
+  rendering: "Rendering",
+  done: "Done",
+  failed: "Failed",
+  cancelled: "Cancelled",
+};
+
+export default function GenerationQueue({ queue, onCancel, onRetryFailed, onDownload, onDismiss }) {
+  const counts = queue.rows.reduce(
+    (acc, row) => {
+      acc[row.status] = (acc[row.status] ?? 0) + 1;
+      return acc;
+    },
+    { pending: 0, rendering: 0, done: 0, failed: 0, cancelled: 0 }
+  );
+  const total = queue.rows.length;
+  const processed = counts.done + counts.failed;
+  const isRunning = queue.status === "running" || queue.status === "cancelling";
+  const percent = total ? Math.round((processed / total) * 100) : 0;
+
+  return (
+    <div className="generation-queue">
+      <div className="generation-queue__header">
+        <div>
+          <h3>{queue.output === "combined" ? "Combined PDF" : "ZIP of PDFs"}</h3>
+          <p>
+            {processed} of {total} processed • {counts.done} done • {counts.failed} failed
+            {counts.pending ? ` • ${counts.pending} pending` : ""}
+            {counts.cancelled ? ` • ${counts.cancelled} cancelled` : ""}
+          </p>
+        </div>
+        <div className="generation-queue__actions">
+          {isRunning ? (
+            <button
+              type="button"
+              className="btn secondary"
+              onClick={onCancel}
+              disabled={queue.status === "cancelling"}
+            >
+              {queue.status === "cancelling" ? "Cancelling..." : "Cancel"}
+            </button>
+          ) : (
+            <>
+              {counts.failed + counts.cancelled > 0 && (
+                <button type="button" className="btn secondary" onClick={onRetryFailed}>
+                  Retry {counts.failed + counts.cancelled} Row(s)
+                </button>
+              )}
+              {counts.done > 0 && (
+                <button type="button" className="btn primary" onClick={onDownload}>
+                  {queue.downloaded ? "Download Again" : `Download ${counts.done} Pay Slip(s)`}
+                </button>
+              )}
+              <button type="button" className="btn secondary" onClick={onDismiss}>
+                Close
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="generation-queue__progress">
+        <div style={{ width: `${percent}%` }} />
+      </div>
+
+      <ul className="generation-queue__rows">
+        {queue.rows.map((row) => (
+          <li key={row.rowIndex} className={`queue-row is-${row.status}`}>
+            <span className="queue-row__name">
+              Row {row.rowIndex + 1} • {row.employeeName || "Unnamed"}
+              {row.employeeId ? ` (${row.employeeId})` : ""}
+            </span>
+            <span className="queue-row__status">{STATUS_LABELS[row.status]}</span>
+            {row.error && <span className="queue-row__error">{row.error}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,261 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { buildFieldDefinitions } from "../salaryStructure.js";
+import { buildErrorSet, makeErrorKey } from "../utils.js";
+import {
+  SPREADSHEET_ACCEPT,
+  buildEmployeesFromRows,
+  readSpreadsheetFile,
+  suggestHeaderMapping,
+} from "../spreadsheet.js";
+import Modal from "./Modal.jsx";
+
+const PREVIEW_ROW_LIMIT = 10;
+
+export default function ImportDialog({ isOpen, initialFile, existingCount, structure, bonusBands, onClose, onImport }) {
+  const fields = useMemo(() => buildFieldDefinitions(structure), [structure]);
+  const fileInputRef = useRef(null);
+  const [sheet, setSheet] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [mode, setMode] = useState("append");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = useCallback(() => {
+    setSheet(null);
+    setMapping([]);
+    setMode("append");
+    setError(null);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = "";
+    }
+  }, []);
+
+  const loadFile = useCallback(async (file) => {
+    if (!file) {
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const parsed = await readSpreadsheetFile(file);
+      setSheet(parsed);
+      setMapping(suggestHeaderMapping(parsed.headers, fields));
+    } catch (readError) {
+      console.error("Failed to read spreadsheet", readError);
+      setSheet(null);
+      setError(readError.message || "Unable to read this file. Please use CSV or XLSX.");
+    } finally {
+      setLoading(false);
+    }
+  }, [fields]);
+
+  useEffect(() => {
+    if (isOpen && initialFile) {
+      loadFile(initialFile);
+    }
+  }, [initialFile, isOpen, loadFile]);
+
+  const handleClose = useCallback(() => {
+    reset();
+    onClose();
+  }, [onClose, reset]);
+
+  const handleMappingChange = useCallback((colIndex, fieldKey) => {
+    setMapping((prev) =>
+      prev.map((current, index) => {
+        if (index === colIndex) {
+          return fieldKey;
+        }
+        // A field can only be fed by one column.
+        return fieldKey && current === fieldKey ? "" : current;
+      })
+    );
+  }, []);
+
+  const parsedEmployees = useMemo(
+    () => (sheet ? buildEmployeesFromRows(sheet.rows, mapping, fields) : []),
+    [fields, mapping, sheet]
+  );
+  const previewErrors = useMemo(
+    () => buildErrorSet(parsedEmployees, structure, bonusBands),
+    [bonusBands, parsedEmployees, structure]
+  );
+  const invalidRowCount = useMemo(
+    () =>
+      parsedEmployees.filter((_, rowIndex) =>
+        fields.some((field) => previewErrors.has(makeErrorKey(rowIndex, field.key)))
+      ).length,
+    [fields, parsedEmployees, previewErrors]
+  );
+  const mappedFields = fields.filter((field) => mapping.includes(field.key));
+  const unmappedRequired = fields.filter((field) => field.required && !mapping.includes(field.key));
+
+  const handleConfirm = useCallback(() => {
+    onImport(parsedEmployees, mode);
+    reset();
+  }, [mode, onImport, parsedEmployees, reset]);
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Import Employees from File" size="wide">
+      <div className="modal-body">
+        {!sheet ? (
+          <div
+            className="asset-upload-area"
+            onDrop={(event) => {
+              event.preventDefault();
+              event.stopPropagation();
+              loadFile(event.dataTransfer.files?.[0]);
+            }}
+            onDragOver={(event) => {
+              event.preventDefault();
+              event.stopPropagation();
+            }}
+            onClick={() => !loading && fileInputRef.current?.click()}
+          >
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={SPREADSHEET_ACCEPT}
+              onChange={(event) => loadFile(event.target.files?.[0])}
+              style={{ display: "none" }}
+            />
+            <div className="asset-upload-placeholder">
+              <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                <polyline points="17 8 12 3 7 8"></polyline>
+                <line x1="12" y1="3" x2="12" y2="15"></line>
+              </svg>
+              <span className="upload-text">
+                {loading ? "Reading file..." : "Click to choose a file or drag and drop"}
+              </span>
+              <span className="upload-hint">
+                CSV or Excel (.xlsx, .xls) with a header row, or a JSON export from this app
+              </span>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="import-file-summary">
+              <div>
+                <strong>{sheet.fileName}</strong>
+                <span>
+                  {" "}
+                  • {sheet.rows.length} data row(s) • sheet "{sheet.sheetName}"
+                </span>
+              </div>
+              <button type="button" className="btn secondary" onClick={reset}>
+                Choose Another File
+              </button>
+            </div>
+
+            <h4 className="import-section-title">Column Mapping</h4>
+            <div className="import-mapping">
+              {sheet.headers.map((header, colIndex) => (
+                <label className="import-mapping__row" key={`${header}-${colIndex}`}>
+                  <span className="import-mapping__source">
+                    {header}
+                    <small>{sheet.rows[0]?.[colIndex]?.text || "—"}</small>
+                  </span>
+                  <select
+                    value={mapping[colIndex] ?? ""}
+                    onChange={(event) => handleMappingChange(colIndex, event.target.value)}
+                  >
+                    <option value="">Ignore column</option>
+                    {fields.map((field) => (
+                      <option key={field.key} value={field.key}>
+                        {field.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+
+            <h4 className="import-section-title">
+              Preview ({parsedEmployees.length} row(s)
+              {invalidRowCount > 0 ? `, ${invalidRowCount} with missing required fields` : ""})
+            </h4>
+            {mappedFields.length === 0 ? (
+              <p className="modal-text">Map at least one column to preview the rows.</p>
+            ) : (
+              <div className="table-wrapper import-preview">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>#</th>
+                      {mappedFields.map((field) => (
+                        <th key={field.key}>{field.label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {parsedEmployees.slice(0, PREVIEW_ROW_LIMIT).map((employee, rowIndex) => (
+                      <tr key={rowIndex}>
+                        <td>{rowIndex + 1}</td>
+                        {mappedFields.map((field) => (
+                          <td
+                            key={field.key}
+                            className={previewErrors.has(makeErrorKey(rowIndex, field.key)) ? "cell-error" : ""}
+                          >
+                            {employee[field.key] || "—"}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {parsedEmployees.length > PREVIEW_ROW_LIMIT && (
+              <p className="import-hint">
+                Showing the first {PREVIEW_ROW_LIMIT} of {parsedEmployees.length} rows.
+              </p>
+            )}
+            {unmappedRequired.length > 0 && (
+              <p className="import-hint">
+                Required fields without a column: {unmappedRequired.map((field) => field.label).join(", ")}
+              </p>
+            )}
+            {invalidRowCount > 0 && (
+              <p className="import-hint">
+                Rows with missing required fields are imported as-is and highlighted in the grid.
+              </p>
+            )}
+
+            <div className="import-mode">
+              <label>
+                <input
+                  type="radio"
+                  name="import-mode"
+                  value="append"
+                  checked={mode === "append"}
+                  onChange={() => setMode("append")}
+                />
+                Append to the current {existingCount} row(s)
+              </label>
+              <label>
+                <input
+                  type="radio"
+                  name="import-mode"
+                  value="replace"
+                  checked={mode === "replace"}
+                  onChange={() => setMode("replace")}
+                />
+                Replace all rows in the grid
+              </label>
+            </div>
+          </>
+        )}
+        {error && <p className="import-error">{error}</p>}
+      </div>
+      <div className="modal-footer">
+        <button className="btn secondary" onClick={handleClose}>
+          Cancel
+        </button>
+        <button className="btn primary" onClick={handleConfirm} disabled={parsedEmployees.length === 0}>
+          Import {parsedEmployees.length || ""} Row{parsedEmployees.length === 1 ? "" : "s"}
+        </button>
+      </div>
+    </Modal>
+  );
+}
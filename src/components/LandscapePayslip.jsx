@@ -0,0 +1,90 @@
+import React from "react";
+import { createPayslipFormat } from "../payslipFormat.js";
+import { brandStyle } from "../utils.js";
+import {
+  EmployeeInfoTable,
+  EmployerContributionNote,
+  NetSalary,
+  PayNotes,
+  PayslipFooter,
+  PayslipHeader,
+  SignatureRow,
+} from "./PayslipParts.jsx";
+
+export default function LandscapePayslip({ data, company, language = "en", bilingual = false }) {
+  const format = createPayslipFormat(data, language, bilingual);
+  const { labels } = format;
+
+  return (
+    <div className="payslip payslip--landscape" lang={language} style={brandStyle(company)}>
+      <div className="landscape-top">
+        <div>
+          <PayslipHeader company={company} />
+          <h1 className="payslip-title">{labels.title}</h1>
+        </div>
+        <EmployeeInfoTable data={data} format={format} />
+      </div>
+
+      <div className="landscape-columns">
+        <section>
+          <h2 className="section-heading">{labels.earnings}</h2>
+          <table className="detail-table">
+            <thead>
+              <tr>
+                <th>{labels.description}</th>
+                <th>{labels.amount(data.currency)}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.earningLines.map((line) => (
+                <tr key={line.key}>
+                  <td>{format.lineLabel(line)}</td>
+                  <td>{format.lineDisplay(line)}</td>
+                </tr>
+              ))}
+              <tr className="total-row">
+                <td>{labels.grossEarnings}</td>
+                <td>{format.amount(data.grossEarnings)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </section>
+        <section>
+          <h2 className="section-heading">{labels.deductions}</h2>
+          <table className="detail-table">
+            <thead>
+              <tr>
+                <th>{labels.description}</th>
+                <th>{labels.amount(data.currency)}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.deductionLines.map((line, index) => (
+                <tr key={`${line.label}-${index}`}>
+                  <td>{format.lineLabel(line)}</td>
+                  <td>{format.lineDisplay(line)}</td>
+                </tr>
+              ))}
+              {data.taxEnabled && (
+                <tr>
+                  <td>{labels.tax}</td>
+                  <td>{format.amount(data.taxAmount)}</td>
+                </tr>
+              )}
+              <tr className="total-row">
+                <td>{labels.totalDeductions}</td>
+                <td>{format.amount(data.totalDeductionsAmount)}</td>
+              </tr>
+            </tbody>
+          </table>
+          <EmployerContributionNote data={data} format={format} />
+          <PayNotes format={format} />
+        </section>
+      </div>
+
+      <NetSalary data={data} format={format} />
+      <SignatureRow company={company} format={format} />
+      <PayslipFooter data={data} company={company} format={format} />
+    </div>
+  );
+}
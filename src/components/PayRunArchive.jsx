@@ -0,0 +1,150 @@
+import React, { useMemo, useState } from "react";
+import { PAY_RUN_STATUSES } from "../payRuns.js";
+import { findPayslipTemplate } from "../payslipTemplates.js";
+import { formatMoney, summarisePayRun } from "../utils.js";
+import Modal from "./Modal.jsx";
+
+function formatTimestamp(value) {
+  return new Date(value).toLocaleString("en-GB", { dateStyle: "medium", timeStyle: "short" });
+}
+
+export default function PayRunArchive({
+  isOpen,
+  runs,
+  activeRunId,
+  disabled,
+  onClose,
+  onDownloadRow,
+  onDownloadAll,
+  onDuplicate,
+  onReopen,
+  onLoad,
+}) {
+  const [selectedId, setSelectedId] = useState(() =>
+    runs.some((run) => run.id === activeRunId) ? activeRunId : runs[0]?.id ?? null
+  );
+  const [reopenNote, setReopenNote] = useState("");
+
+  const run = runs.find((item) => item.id === selectedId) ?? null;
+  const summary = useMemo(() => run && summarisePayRun(run.rows.map((row) => row.enriched)), [run]);
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Pay Run Archive" size="wide">
+      <div className="modal-body company-manager">
+        <aside className="company-list directory-list">
+          {runs.map((item) => (
+            <button
+              key={item.id}
+              type="button"
+              className={`company-list__item${item.id === selectedId ? " is-selected" : ""}`}
+              onClick={() => {
+                setSelectedId(item.id);
+                setReopenNote("");
+              }}
+            >
+              <span>
+                <strong>{item.payPeriod}</strong>
+                <small>
+                  {item.company.name} • {item.rows.length} employee(s)
+                </small>
+                <small className={`pay-run-status is-${item.status}`}>{PAY_RUN_STATUSES[item.status]}</small>
+              </span>
+            </button>
+          ))}
+          {runs.length === 0 && <p className="directory-empty">No pay runs have been finalised yet.</p>}
+        </aside>
+
+        {run && (
+          <div className="pay-run-detail">
+            <dl className="pay-run-facts">
+              <div>
+                <dt>Pay Date</dt>
+                <dd>{run.payDate || "-"}</dd>
+              </div>
+              <div>
+                <dt>Company</dt>
+                <dd>{run.company.name}</dd>
+              </div>
+              <div>
+                <dt>Layout</dt>
+                <dd>{findPayslipTemplate(run.templateId).label}</dd>
+              </div>
+              <div>
+                <dt>Total Payout</dt>
+                <dd>{summary.totalPayoutDisplay}</dd>
+              </div>
+            </dl>
+
+            <ul className="generation-queue__rows">
+              {run.rows.map(({ enriched }, index) => (
+                <li key={`${enriched.employeeId}-${index}`} className="queue-row">
+                  <span className="queue-row__name">
+                    {enriched.employeeName} ({enriched.employeeId}) •{" "}
+                    {formatMoney(enriched.netAmount, enriched.currency)}
+                  </span>
+                  <button
+                    type="button"
+                    className="btn secondary"
+                    disabled={disabled}
+                    onClick={() => onDownloadRow(run, index)}
+                  >
+                    Download
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <h3 className="directory-heading">History</h3>
+            <ol className="pay-run-audit">
+              {run.audit.map((entry) => (
+                <li key={entry.at}>
+                  <strong>{entry.action}</strong> {formatTimestamp(entry.at)}
+                  {entry.note && <p>{entry.note}</p>}
+                </li>
+              ))}
+            </ol>
+
+            {run.status === "locked" ? (
+              <label className="form-field">
+                <span>Reason for reopening</span>
+                <textarea
+                  rows={2}
+                  value={reopenNote}
+                  placeholder="Required. For example: correcting a missed allowance."
+                  onChange={(event) => setReopenNote(event.target.value)}
+                />
+              </label>
+            ) : (
+              <p className="modal-note">
+                This pay run is open for changes. Load it into the grid and finalise it again to lock it.
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+      {run && (
+        <div className="modal-footer">
+          {run.status === "locked" ? (
+            <button
+              className="btn secondary"
+              disabled={disabled || !reopenNote.trim()}
+              onClick={() => onReopen(run, reopenNote.trim())}
+            >
+              Reopen
+            </button>
+          ) : (
+            <button className="btn secondary" disabled={disabled} onClick={() => onLoad(run)}>
+              Load into Grid
+            </button>
+          )}
+          <button className="btn secondary" disabled={disabled} onClick={() => onDuplicate(run)}>
+            Duplicate for Next Month
+          </button>
+          <button className="btn primary" disabled={disabled} onClick={() => onDownloadAll(run)}>
+            Download All (ZIP)
+          </button>
+        </div>
+      )}
+    </Modal>
+  );
+}
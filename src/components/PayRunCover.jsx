@@ -0,0 +1,112 @@
+import React from "react";
+import { brandStyle } from "../utils.js";
+
+export default function PayRunCover({ summary, company }) {
+  return (
+    <div className="payslip pay-run-cover" style={brandStyle(company)}>
+      <div className="brand-bar top" />
+      <header className="payslip-header">
+        <div className="logo">
+          {company.logo ? (
+            <img src={company.logo} alt="Company logo" className="asset-image logo-image" />
+          ) : (
+            <div className="logo-circle">
+              <span className="logo-text">{company.initials}</span>
+            </div>
+          )}
+          <div className="logo-caption">{company.caption}</div>
+        </div>
+      </header>
+      <h1 className="payslip-title">Pay Run Summary</h1>
+
+      <table className="detail-table employee-info-table">
+        <tbody>
+          <tr>
+            <td>Pay Period</td>
+            <td>{summary.payPeriod}</td>
+          </tr>
+          <tr>
+            <td>Pay Date</td>
+            <td>{summary.payDate}</td>
+          </tr>
+          <tr>
+            <td>Headcount</td>
+            <td>{summary.headcount}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <h2 className="section-heading">By Department</h2>
+      <table className="detail-table">
+        <thead>
+          <tr>
+            <th>Department</th>
+            <th>Net Payout (BDT)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {summary.departments.map((department) => (
+            <tr key={department.name}>
+              <td>
+                {department.name} ({department.headcount})
+              </td>
+              <td>{department.totalDisplay}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {summary.currencies.length > 0 && (
+        <>
+          <h2 className="section-heading">By Pay Currency</h2>
+          <table className="detail-table">
+            <thead>
+              <tr>
+                <th>Currency</th>
+                <th>Net Payout</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.currencies.map((entry) => (
+                <tr key={entry.currency}>
+                  <td>
+                    {entry.currency} ({entry.headcount})
+                  </td>
+                  <td>{entry.totalDisplay}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <p className="net-salary">
+        Total Payout: <strong>{summary.totalPayoutDisplay}</strong>
+        {summary.totalPayoutInWords.map((line) => (
+          <span key={line.language} className="amount-in-words" lang={line.language}>
+            {line.text}
+          </span>
+        ))}
+        {summary.unconverted > 0 && (
+          <span className="base-equivalent">
+            Excludes {summary.unconverted} employee{summary.unconverted === 1 ? "" : "s"} paid in a currency without an
+            exchange rate.
+          </span>
+        )}
+      </p>
+
+      <footer className="payslip-footer">
+        <div className="payslip-footer__details">
+          <div>
+            <span className="footer-label">Company Name:</span> {company.name}
+          </div>
+          <div>
+            <span className="footer-label">Prepared On:</span>{" "}
+            {new Intl.DateTimeFormat("en-GB", { day: "2-digit", month: "long", year: "numeric" }).format(new Date())}
+          </div>
+        </div>
+      </footer>
+      <div className="brand-bar bottom" />
+    </div>
+  );
+}
@@ -1,148 +1,78 @@
 import React from "react";
-import { DEFAULT_COMPANY_META } from "../constants.js";
+import { createPayslipFormat } from "../payslipFormat.js";
+import { brandStyle } from "../utils.js";
+import {
+  EmployeeInfoTable,
+  EmployerContributionNote,
+  NetSalary,
+  PayNotes,
+  PayslipFooter,
+  PayslipHeader,
+  SignatureRow,
+} from "./PayslipParts.jsx";
 
-export default function Payslip({ data, assets }) {
-  const hasLogo = Boolean(assets.logo);
-  const hasSignature = Boolean(assets.signature);
+export default function Payslip({ data, company, language = "en", bilingual = false }) {
+  const format = createPayslipFormat(data, language, bilingual);
+  const { labels } = format;
 
   return (
-    <div className="payslip">
-      <div className="brand-bar top" />
-      <header className="payslip-header">
-        <div className="logo">
-          {hasLogo ? (
-            <img src={assets.logo} alt="Company logo" className="asset-image logo-image" />
-          ) : (
-            <div className="logo-circle">
-              <span className="logo-text">RT</span>
-            </div>
-          )}
-          <div className="logo-caption">Remote Talent</div>
-        </div>
-      </header>
-      <h1 className="payslip-title">Salary Pay Slip</h1>
+    <div className="payslip" lang={language} style={brandStyle(company)}>
+      <PayslipHeader company={company} />
+      <h1 className="payslip-title">{labels.title}</h1>
 
-      <table className="detail-table employee-info-table">
-        <tbody>
-          <tr>
-            <td>Employee Name</td>
-            <td>{data.employeeName}</td>
-          </tr>
-          <tr>
-            <td>Employee ID</td>
-            <td>{data.employeeId}</td>
-          </tr>
-          <tr>
-            <td>Designation</td>
-            <td>{data.designation}</td>
-          </tr>
-          <tr>
-            <td>Department</td>
-            <td>{data.department}</td>
-          </tr>
-          <tr>
-            <td>Pay Period</td>
-            <td>{data.payPeriod}</td>
-          </tr>
-          <tr>
-            <td>Pay Date</td>
-            <td>{data.payDate}</td>
-          </tr>
-        </tbody>
-      </table>
+      <EmployeeInfoTable data={data} format={format} />
 
-      <h2 className="section-heading">Earnings</h2>
+      <h2 className="section-heading">{labels.earnings}</h2>
       <table className="detail-table">
         <thead>
           <tr>
-            <th>Description</th>
-            <th>Amount (BDT)</th>
+            <th>{labels.description}</th>
+            <th>{labels.amount(data.currency)}</th>
           </tr>
         </thead>
         <tbody>
-          <tr>
-            <td>Basic Salary</td>
-            <td>{data.basicSalary}</td>
-          </tr>
-          <tr>
-            <td>House Rent Allowance</td>
-            <td>{data.houseRentAllowance}</td>
-          </tr>
-          <tr>
-            <td>Transport Allowance</td>
-            <td>{data.transportAllowance}</td>
-          </tr>
-          <tr>
-            <td>Attendance Bonus</td>
-            <td>{data.attendanceBonus}</td>
-          </tr>
-          <tr>
-            <td>Mark</td>
-            <td>{data.mark}</td>
-          </tr>
-          <tr>
-            <td>Performance Bonus</td>
-            <td>{data.performanceBonus}</td>
-          </tr>
+          {data.earningLines.map((line) => (
+            <tr key={line.key}>
+              <td>{format.lineLabel(line)}</td>
+              <td>{format.lineDisplay(line)}</td>
+            </tr>
+          ))}
         </tbody>
       </table>
 
-      <h2 className="section-heading">Deductions</h2>
+      <h2 className="section-heading">{labels.deductions}</h2>
       <table className="detail-table">
         <thead>
           <tr>
-            <th>Description</th>
-            <th>Amount (BDT)</th>
+            <th>{labels.description}</th>
+            <th>{labels.amount(data.currency)}</th>
           </tr>
         </thead>
         <tbody>
-          <tr>
-            <td>Other Deductions</td>
-            <td>{data.otherDeductions}</td>
-          </tr>
-          <tr>
-            <td>Total Salary</td>
-            <td>{data.totalSalary}</td>
+          {data.deductionLines.map((line, index) => (
+            <tr key={`${line.label}-${index}`}>
+              <td>{format.lineLabel(line)}</td>
+              <td>{format.lineDisplay(line)}</td>
+            </tr>
+          ))}
+          {data.taxEnabled && (
+            <tr>
+              <td>{labels.tax}</td>
+              <td>{format.amount(data.taxAmount)}</td>
+            </tr>
+          )}
+          <tr className="total-row">
+            <td>{labels.totalDeductions}</td>
+            <td>{format.amount(data.totalDeductionsAmount)}</td>
           </tr>
         </tbody>
       </table>
+      <EmployerContributionNote data={data} format={format} />
+      <PayNotes format={format} />
 
-      <p className="net-salary">
-        Net Salary Payable: <strong>{data.netSalary}</strong>
-      </p>
-
-      <div className="signature-row">
-        <div className="signature-block">
-          <div className="signature-image-wrapper">
-            {hasSignature ? (
-              <img
-                src={assets.signature}
-                alt="Authorized signature or seal"
-                className="asset-image signature-image"
-              />
-            ) : null}
-          </div>
-          <div className="signature-line" />
-          <span>Authorized Signature:</span>
-        </div>
-        <div>
-          <div className="signature-line" />
-          <span>Employee Signature:</span>
-        </div>
-      </div>
-
-      <footer className="payslip-footer">
-        <div>
-          <span className="footer-label">Company Name:</span> {DEFAULT_COMPANY_META.name}
-        </div>
-        <div>
-          <span className="footer-label">Email Address:</span> {DEFAULT_COMPANY_META.email}
-        </div>
-        <div>
-          <span className="footer-label">Office Address:</span> {DEFAULT_COMPANY_META.address}
-        </div>
-      </footer>
-      <div className="brand-bar bottom" />
+      <NetSalary data={data} format={format} />
+      <SignatureRow company={company} format={format} />
+      <PayslipFooter data={data} company={company} format={format} />
     </div>
   );
 }
@@ -0,0 +1,15 @@
+import React from "react";
+import { findPayslipTemplate } from "../payslipTemplates.js";
+
+export default function PayslipDocument({ data, company, templateId }) {
+  const { component: Template } = findPayslipTemplate(templateId);
+  if (data.payslipLanguage === "bilingual") {
+    return (
+      <div className="payslip-pair">
+        <Template data={data} company={company} language="en" bilingual />
+        <Template data={data} company={company} language="bn" bilingual />
+      </div>
+    );
+  }
+  return <Template data={data} company={company} language={data.payslipLanguage} />;
+}
@@ -0,0 +1,131 @@
+import React from "react";
+
+export function PayslipHeader({ company }) {
+  return (
+    <>
+      <div className="brand-bar top" />
+      <header className="payslip-header">
+        <div className="logo">
+          {company.logo ? (
+            <img src={company.logo} alt="Company logo" className="asset-image logo-image" />
+          ) : (
+            <div className="logo-circle">
+              <span className="logo-text">{company.initials}</span>
+            </div>
+          )}
+          <div className="logo-caption">{company.caption}</div>
+        </div>
+      </header>
+    </>
+  );
+}
+
+export function EmployeeInfoTable({ data, format }) {
+  const { labels } = format;
+  const rows = [
+    [labels.employeeName, data.employeeName],
+    [labels.employeeId, data.employeeId],
+    [labels.designation, data.designation],
+    [labels.department, data.department],
+    [labels.payPeriod, format.payPeriod],
+    [labels.payDate, format.payDate],
+  ];
+  return (
+    <table className="detail-table employee-info-table">
+      <tbody>
+        {rows.map(([label, value]) => (
+          <tr key={label}>
+            <td>{label}</td>
+            <td>{value}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export function NetSalary({ data, format }) {
+  return (
+    <p className="net-salary">
+      {format.labels.netSalary} <strong>{format.money(data.netAmount)}</strong>
+      {format.words.map((line) => (
+        <span key={line.language} className="amount-in-words" lang={line.language}>
+          {line.text}
+        </span>
+      ))}
+      {format.baseEquivalent && <span className="base-equivalent">{format.baseEquivalent}</span>}
+    </p>
+  );
+}
+
+export function EmployerContributionNote({ data, format }) {
+  if (!(data.employerContributionAmount > 0)) {
+    return null;
+  }
+  return (
+    <p className="payslip-note">{format.labels.employerContribution(format.money(data.employerContributionAmount))}</p>
+  );
+}
+
+// Attendance, overtime and bonus band explanations; see createPayslipFormat.
+export function PayNotes({ format }) {
+  return format.payNotes.map((note) => (
+    <p key={note} className="payslip-note">
+      {note}
+    </p>
+  ));
+}
+
+export function SignatureRow({ company, format }) {
+  return (
+    <div className="signature-row">
+      <div className="signature-block">
+        <div className="signature-image-wrapper">
+          {company.signature ? (
+            <img src={company.signature} alt="Authorized signature or seal" className="asset-image signature-image" />
+          ) : null}
+        </div>
+        <div className="signature-line" />
+        <span>{format.labels.authorisedSignature}</span>
+      </div>
+      <div>
+        <div className="signature-line" />
+        <span>{format.labels.employeeSignature}</span>
+      </div>
+    </div>
+  );
+}
+
+export function VerificationCode({ data, format }) {
+  if (!data.verificationQr) {
+    return null;
+  }
+  return (
+    <figure className="verification-code">
+      <img src={data.verificationQr} alt="Verification QR code" />
+      <figcaption>{format.labels.scanToVerify}</figcaption>
+    </figure>
+  );
+}
+
+export function PayslipFooter({ data, company, format }) {
+  return (
+    <>
+      <footer className="payslip-footer">
+        <div className="payslip-footer__details">
+          <div>
+            <span className="footer-label">{format.labels.companyName}</span> {company.name}
+          </div>
+          <div>
+            <span className="footer-label">{format.labels.email}</span> {company.email}
+          </div>
+          <div>
+            <span className="footer-label">{format.labels.address}</span> {company.address}
+          </div>
+        </div>
+        <VerificationCode data={data} format={format} />
+      </footer>
+      <div className="brand-bar bottom" />
+    </>
+  );
+}
@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from "react";
+import {
+  BASIC_SALARY_KEY,
+  COMPONENT_KINDS,
+  COMPONENT_TYPES,
+  DEFAULT_SALARY_STRUCTURE,
+  createComponentKey,
+  isProratedComponent,
+  validateSalaryStructure,
+} from "../salaryStructure.js";
+import Modal from "./Modal.jsx";
+
+export default function SalaryStructureEditor({ isOpen, structure, onClose, onSave }) {
+  const [draft, setDraft] = useState(structure);
+  const [newLabel, setNewLabel] = useState("");
+
+  useEffect(() => {
+    if (isOpen) {
+      setDraft(structure);
+      setNewLabel("");
+    }
+  }, [isOpen, structure]);
+
+  const error = validateSalaryStructure(draft);
+
+  const updateComponent = (index, changes) => {
+    setDraft((prev) => prev.map((component, itemIndex) => (itemIndex === index ? { ...component, ...changes } : component)));
+  };
+
+  const moveComponent = (index, offset) => {
+    setDraft((prev) => {
+      const next = prev.slice();
+      const [moved] = next.splice(index, 1);
+      next.splice(index + offset, 0, moved);
+      return next;
+    });
+  };
+
+  const handleAdd = () => {
+    const label = newLabel.trim();
+    if (!label) {
+      return;
+    }
+    setDraft((prev) =>
+      prev.concat({
+        key: createComponentKey(label, prev),
+        label,
+        banglaLabel: "",
+        type: "number",
+        kind: "earning",
+        required: false,
+        formula: "",
+        prorate: false,
+        placeholder: "0",
+        aliases: [],
+      })
+    );
+    setNewLabel("");
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Salary Structure" size="wide">
+      <div className="modal-body">
+        <p className="import-hint">
+          Components become grid columns and pay slip rows in this order. A default formula fills a component when its
+          cell is left empty; refer to other components by their key, e.g. <code>basicSalary * 0.5</code>. Formulas can
+          use + − × ÷, brackets and min, max, round, floor and ceil. Prorated earnings are scaled by attendance when
+          a row has Working Days.
+        </p>
+
+        <div className="structure-table">
+          <div className="structure-row structure-row--head">
+            <span>Label</span>
+            <span>Bangla label</span>
+            <span>Key</span>
+            <span>Type</span>
+            <span>Counts as</span>
+            <span>Required</span>
+            <span>Prorated</span>
+            <span>Default formula</span>
+            <span />
+          </div>
+          {draft.map((component, index) => (
+            <div className="structure-row" key={component.key}>
+              <input
+                type="text"
+                value={component.label}
+                onChange={(event) => updateComponent(index, { label: event.target.value })}
+              />
+              <input
+                type="text"
+                lang="bn"
+                value={component.banglaLabel ?? ""}
+                placeholder={component.label}
+                onChange={(event) => updateComponent(index, { banglaLabel: event.target.value })}
+              />
+              <code>{component.key}</code>
+              <select value={component.type} onChange={(event) => updateComponent(index, { type: event.target.value })}>
+                {COMPONENT_TYPES.map((type) => (
+                  <option key={type.id} value={type.id}>
+                    {type.label}
+                  </option>
+                ))}
+              </select>
+              <select value={component.kind} onChange={(event) => updateComponent(index, { kind: event.target.value })}>
+                {COMPONENT_KINDS.map((kind) => (
+                  <option key={kind.id} value={kind.id}>
+                    {kind.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="checkbox"
+                checked={component.required}
+                onChange={(event) => updateComponent(index, { required: event.target.checked })}
+              />
+              <input
+                type="checkbox"
+                checked={isProratedComponent(component)}
+                disabled={component.kind !== "earning" || component.type === "text"}
+                onChange={(event) => updateComponent(index, { prorate: event.target.checked })}
+              />
+              <input
+                type="text"
+                value={component.formula}
+                placeholder="—"
+                disabled={component.type === "text"}
+                onChange={(event) => updateComponent(index, { formula: event.target.value })}
+              />
+              <div className="structure-row__actions">
+                <button type="button" className="btn secondary" disabled={index === 0} onClick={() => moveComponent(index, -1)}>
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className="btn secondary"
+                  disabled={index === draft.length - 1}
+                  onClick={() => moveComponent(index, 1)}
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  className="btn secondary"
+                  disabled={component.key === BASIC_SALARY_KEY}
+                  onClick={() => setDraft((prev) => prev.filter((_, itemIndex) => itemIndex !== index))}
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <form
+          className="draft-new"
+          onSubmit={(event) => {
+            event.preventDefault();
+            handleAdd();
+          }}
+        >
+          <input
+            type="text"
+            value={newLabel}
+            placeholder="New component label (e.g. Mobile Allowance)"
+            onChange={(event) => setNewLabel(event.target.value)}
+          />
+          <button type="submit" className="btn secondary">
+            Add Component
+          </button>
+        </form>
+
+        {error && <p className="import-error">{error}</p>}
+      </div>
+      <div className="modal-footer">
+        <button className="btn secondary" onClick={() => setDraft(DEFAULT_SALARY_STRUCTURE)}>
+          Reset to Default
+        </button>
+        <button className="btn secondary" onClick={onClose}>
+          Cancel
+        </button>
+        <button className="btn primary" onClick={() => onSave(draft)} disabled={Boolean(error)}>
+          Save Structure
+        </button>
+      </div>
+    </Modal>
+  );
+}
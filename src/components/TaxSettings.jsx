@@ -0,0 +1,263 @@
+import React, { useEffect, useState } from "react";
+import { DEFAULT_TAX_TABLE, TAXPAYER_CATEGORIES, fiscalYearFor } from "../tax.js";
+import { parseNumber } from "../utils.js";
+import Modal from "./Modal.jsx";
+
+function cloneSettings(settings) {
+  return JSON.parse(JSON.stringify(settings));
+}
+
+function NumberField({ label, value, onChange, suffix }) {
+  return (
+    <label className="form-field">
+      <span>
+        {label}
+        {suffix ? ` (${suffix})` : ""}
+      </span>
+      <input
+        type="number"
+        min="0"
+        step="any"
+        value={value ?? ""}
+        onChange={(event) => onChange(parseNumber(event.target.value))}
+      />
+    </label>
+  );
+}
+
+export default function TaxSettings({ isOpen, settings, onClose, onSave }) {
+  const [draft, setDraft] = useState(() => cloneSettings(settings));
+  const [selectedYear, setSelectedYear] = useState(null);
+  const [newYear, setNewYear] = useState("");
+
+  useEffect(() => {
+    if (isOpen) {
+      const copy = cloneSettings(settings);
+      const years = Object.keys(copy.tables).sort();
+      setDraft(copy);
+      setSelectedYear(years[years.length - 1] ?? null);
+      setNewYear(fiscalYearFor());
+    }
+  }, [isOpen, settings]);
+
+  const table = selectedYear ? draft.tables[selectedYear] : null;
+  const years = Object.keys(draft.tables).sort();
+
+  const updateTable = (updater) => {
+    setDraft((prev) => ({
+      ...prev,
+      tables: { ...prev.tables, [selectedYear]: updater(prev.tables[selectedYear]) },
+    }));
+  };
+
+  const updateSlab = (index, changes) => {
+    updateTable((current) => ({
+      ...current,
+      slabs: current.slabs.map((slab, slabIndex) => (slabIndex === index ? { ...slab, ...changes } : slab)),
+    }));
+  };
+
+  const handleAddYear = () => {
+    const year = newYear.trim();
+    if (!/^\d{4}-\d{2}$/.test(year) || draft.tables[year]) {
+      return;
+    }
+    const base = table ?? DEFAULT_TAX_TABLE;
+    setDraft((prev) => ({ ...prev, tables: { ...prev.tables, [year]: cloneSettings(base) } }));
+    setSelectedYear(year);
+  };
+
+  const handleRemoveYear = () => {
+    if (years.length <= 1) {
+      return;
+    }
+    setDraft((prev) => {
+      const tables = { ...prev.tables };
+      delete tables[selectedYear];
+      return { ...prev, tables };
+    });
+    setSelectedYear(years.find((year) => year !== selectedYear) ?? null);
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Income Tax (TDS) Settings" size="wide">
+      <div className="modal-body">
+        <label className="checkbox-field">
+          <input
+            type="checkbox"
+            checked={draft.enabled}
+            onChange={(event) => setDraft((prev) => ({ ...prev, enabled: event.target.checked }))}
+          />
+          Deduct income tax at source on every pay slip
+        </label>
+        <p className="import-hint">
+          Monthly TDS is the projected yearly tax (monthly earnings × 12, less the salary exemption, taxed through the
+          slabs and reduced by the investment rebate) divided by 12. The table for the pay date's fiscal year (July to
+          June) is used.
+        </p>
+
+        <div className="tax-year-bar">
+          <label className="form-field">
+            <span>Fiscal Year</span>
+            <select value={selectedYear ?? ""} onChange={(event) => setSelectedYear(event.target.value)}>
+              {years.map((year) => (
+                <option key={year} value={year}>
+                  {year}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button type="button" className="btn secondary" onClick={handleRemoveYear} disabled={years.length <= 1}>
+            Remove Year
+          </button>
+          <label className="form-field">
+            <span>New Fiscal Year</span>
+            <input type="text" value={newYear} placeholder="2025-26" onChange={(event) => setNewYear(event.target.value)} />
+          </label>
+          <button type="button" className="btn secondary" onClick={handleAddYear}>
+            Copy to New Year
+          </button>
+        </div>
+
+        {table && (
+          <>
+            <h4 className="import-section-title">Tax-free Thresholds (BDT per year)</h4>
+            <div className="invoice-form-grid">
+              {TAXPAYER_CATEGORIES.map((category) => (
+                <NumberField
+                  key={category.id}
+                  label={category.label}
+                  value={table.thresholds[category.id]}
+                  onChange={(value) =>
+                    updateTable((current) => ({
+                      ...current,
+                      thresholds: { ...current.thresholds, [category.id]: value ?? 0 },
+                    }))
+                  }
+                />
+              ))}
+              <NumberField
+                label="Senior citizen age"
+                value={table.seniorAge}
+                onChange={(value) => updateTable((current) => ({ ...current, seniorAge: value ?? 65 }))}
+              />
+            </div>
+
+            <h4 className="import-section-title">Slabs After the Threshold</h4>
+            <div className="tax-slabs">
+              {table.slabs.map((slab, index) => (
+                <div className="tax-slab" key={index}>
+                  <span>{index === table.slabs.length - 1 ? "Remaining income" : "Next"}</span>
+                  {index === table.slabs.length - 1 ? (
+                    <span className="tax-slab__rest">—</span>
+                  ) : (
+                    <input
+                      type="number"
+                      min="0"
+                      value={slab.amount ?? ""}
+                      onChange={(event) => updateSlab(index, { amount: parseNumber(event.target.value) ?? 0 })}
+                    />
+                  )}
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={slab.rate}
+                    onChange={(event) => updateSlab(index, { rate: parseNumber(event.target.value) ?? 0 })}
+                  />
+                  <span>%</span>
+                  <button
+                    type="button"
+                    className="btn secondary"
+                    disabled={table.slabs.length <= 1}
+                    onClick={() =>
+                      updateTable((current) => {
+                        const slabs = current.slabs.filter((_, slabIndex) => slabIndex !== index);
+                        slabs[slabs.length - 1] = { ...slabs[slabs.length - 1], amount: null };
+                        return { ...current, slabs };
+                      })
+                    }
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                className="btn secondary"
+                onClick={() =>
+                  updateTable((current) => {
+                    const slabs = current.slabs.slice();
+                    const last = slabs[slabs.length - 1];
+                    slabs.splice(slabs.length - 1, 0, { amount: 0, rate: last?.rate ?? 0 });
+                    return { ...current, slabs };
+                  })
+                }
+              >
+                Add Slab
+              </button>
+            </div>
+
+            <h4 className="import-section-title">Exemption, Rebate and Minimum Tax</h4>
+            <div className="invoice-form-grid">
+              <NumberField
+                label="Salary exemption"
+                suffix="% of income"
+                value={table.exemption.rate}
+                onChange={(value) =>
+                  updateTable((current) => ({ ...current, exemption: { ...current.exemption, rate: value ?? 0 } }))
+                }
+              />
+              <NumberField
+                label="Exemption cap"
+                suffix="BDT"
+                value={table.exemption.cap}
+                onChange={(value) =>
+                  updateTable((current) => ({ ...current, exemption: { ...current.exemption, cap: value ?? 0 } }))
+                }
+              />
+              <NumberField
+                label="Rebate"
+                suffix="% of taxable income"
+                value={table.rebate.incomeRate}
+                onChange={(value) =>
+                  updateTable((current) => ({ ...current, rebate: { ...current.rebate, incomeRate: value ?? 0 } }))
+                }
+              />
+              <NumberField
+                label="Rebate"
+                suffix="% of investment"
+                value={table.rebate.investmentRate}
+                onChange={(value) =>
+                  updateTable((current) => ({ ...current, rebate: { ...current.rebate, investmentRate: value ?? 0 } }))
+                }
+              />
+              <NumberField
+                label="Rebate cap"
+                suffix="BDT"
+                value={table.rebate.cap}
+                onChange={(value) =>
+                  updateTable((current) => ({ ...current, rebate: { ...current.rebate, cap: value ?? 0 } }))
+                }
+              />
+              <NumberField
+                label="Minimum tax"
+                suffix="BDT per year"
+                value={table.minimumTax}
+                onChange={(value) => updateTable((current) => ({ ...current, minimumTax: value ?? 0 }))}
+              />
+            </div>
+          </>
+        )}
+      </div>
+      <div className="modal-footer">
+        <button className="btn secondary" onClick={onClose}>
+          Cancel
+        </button>
+        <button className="btn primary" onClick={() => onSave(draft)}>
+          Save Settings
+        </button>
+      </div>
+    </Modal>
+  );
+}
@@ -1,6 +1,6 @@
 import React from "react";
 
-const COMPANY_INFO = [
+export const COMPANY_INFO = [
   "ChatChef",
   "200 - 13571 Commerce Pkwy",
   "Richmond, British Columbia V6V 2R2",
@@ -96,22 +96,30 @@ export default function TechchefInvoicePreview({ data }) {
         </div>
       )}
 
-      <div className="techchef-summary">
-        <div>
-          <span>Subtotal</span>
-          <span>{data.subtotalDisplay}</span>
-        </div>
-        <div>
-          <span>Tax Total</span>
-          <span>{data.taxTotalDisplay}</span>
-        </div>
-        <div>
-          <span>Total</span>
-          <span>{data.totalDisplay}</span>
-        </div>
-        <div className="techchef-amount-due">
-          <span>Amount Due</span>
-          <span>{data.amountDueDisplay}</span>
+      <div className="techchef-closing">
+        {data.verificationQr && (
+          <figure className="verification-code">
+            <img src={data.verificationQr} alt="Verification QR code" />
+            <figcaption>Scan to verify</figcaption>
+          </figure>
+        )}
+        <div className="techchef-summary">
+          <div>
+            <span>Subtotal</span>
+            <span>{data.subtotalDisplay}</span>
+          </div>
+          <div>
+            <span>Tax Total</span>
+            <span>{data.taxTotalDisplay}</span>
+          </div>
+          <div>
+            <span>Total</span>
+            <span>{data.totalDisplay}</span>
+          </div>
+          <div className="techchef-amount-due">
+            <span>Amount Due</span>
+            <span>{data.amountDueDisplay}</span>
+          </div>
         </div>
       </div>
     </div>
@@ -1,8 +1,10 @@
 import React, { useCallback, useMemo, useState } from "react";
-import { renderToStaticMarkup } from "react-dom/server";
-import html2pdf from "html2pdf.js";
 import toast from "react-hot-toast";
-import { formatCurrency, formatDate, parseNumber, sanitiseFilename } from "../utils.js";
+import { PDF_ENGINES, buildPdfFromPages, savePdf } from "../pdf.js";
+import { downloadBlob, formatCurrency, formatDate, parseNumber, sanitiseFilename } from "../utils.js";
+import { drawInvoice } from "../vectorInvoice.js";
+import { createVerificationQr, invoiceVerificationFields } from "../verification.js";
+import { loadPdfFonts } from "../vectorPdf.js";
 import TechchefInvoicePreview from "./TechchefInvoicePreview.jsx";
 
 const DEFAULT_TAX_PERCENT = 12;
@@ -99,25 +101,31 @@ function buildInvoiceData(raw) {
   };
 }
 
-export default function TechchefInvoiceTab() {
-  const [invoice, setInvoice] = useState({
+export function createDefaultInvoice() {
+  return {
     invoiceNumber: "81872A91-0001",
     dateOfIssue: "",
     dateDue: "",
     marketingUnitPrice: "",
     notes: "",
     items: [],
-  });
+  };
+}
+
+export default function TechchefInvoiceTab({ invoice, onInvoiceChange, pdfEngine, onPdfEngineChange }) {
   const [isGenerating, setIsGenerating] = useState(false);
 
   const computedInvoice = useMemo(() => buildInvoiceData(invoice), [invoice]);
 
-  const handleFieldChange = useCallback((field, value) => {
-    setInvoice((prev) => ({ ...prev, [field]: value }));
-  }, []);
+  const handleFieldChange = useCallback(
+    (field, value) => {
+      onInvoiceChange((prev) => ({ ...prev, [field]: value }));
+    },
+    [onInvoiceChange]
+  );
 
   const handleAddItem = useCallback(() => {
-    setInvoice((prev) => ({
+    onInvoiceChange((prev) => ({
       ...prev,
       items: prev.items.concat({
         id: createLineItemId(),
@@ -127,21 +135,21 @@ export default function TechchefInvoiceTab() {
         taxRate: String(DEFAULT_TAX_PERCENT),
       }),
     }));
-  }, []);
+  }, [onInvoiceChange]);
 
   const handleItemChange = useCallback((id, key, value) => {
-    setInvoice((prev) => ({
+    onInvoiceChange((prev) => ({
       ...prev,
       items: prev.items.map((item) => (item.id === id ? { ...item, [key]: value } : item)),
     }));
-  }, []);
+  }, [onInvoiceChange]);
 
   const handleRemoveItem = useCallback((id) => {
-    setInvoice((prev) => ({
+    onInvoiceChange((prev) => ({
       ...prev,
       items: prev.items.filter((item) => item.id !== id),
     }));
-  }, []);
+  }, [onInvoiceChange]);
 
   const handleGenerateInvoice = useCallback(async () => {
     if (!invoice.dateOfIssue || !invoice.dateDue || !invoice.marketingUnitPrice) {
@@ -154,36 +162,33 @@ export default function TechchefInvoiceTab() {
       return;
     }
 
-    const invoiceData = buildInvoiceData(invoice);
+    const computed = buildInvoiceData(invoice);
 
     setIsGenerating(true);
     const loadingToast = toast.loading("Generating Techchef invoice PDF...");
 
-    const wrapper = document.createElement("div");
-    wrapper.innerHTML = renderToStaticMarkup(<TechchefInvoicePreview data={invoiceData} />);
-    const node = wrapper.firstElementChild;
-    document.body.appendChild(node);
-
-    const filename = `${sanitiseFilename(`${invoiceData.invoiceNumber}-techchef-invoice`)}.pdf`;
-    const options = {
-      margin: [0.5, 0.5, 0.5, 0.5],
-      filename,
-      html2canvas: { scale: 2, useCORS: true },
-      jsPDF: { unit: "in", format: "a4", orientation: "portrait" },
-    };
+    const filename = `${sanitiseFilename(`${computed.invoiceNumber}-techchef-invoice`)}.pdf`;
 
     try {
-      await html2pdf().set(options).from(node).save();
+      const invoiceData = {
+        ...computed,
+        verificationQr: await createVerificationQr(invoiceVerificationFields(computed)),
+      };
+      if (pdfEngine === "vector") {
+        await loadPdfFonts();
+        downloadBlob(buildPdfFromPages([{ draw: (pdf) => drawInvoice(pdf, invoiceData) }]), filename);
+      } else {
+        await savePdf(<TechchefInvoicePreview data={invoiceData} />, filename);
+      }
       toast.success(`Invoice saved as ${filename}`);
     } catch (error) {
       console.error("Failed to generate Techchef invoice", error);
       toast.error("Unable to generate the invoice PDF. Please try again.");
     } finally {
       toast.dismiss(loadingToast);
-      node.remove();
       setIsGenerating(false);
     }
-  }, [invoice]);
+  }, [invoice, pdfEngine]);
 
   return (
     <main className="layout">
@@ -311,6 +316,16 @@ export default function TechchefInvoiceTab() {
         </div>
 
         <div className="invoice-actions">
+          <label className="form-field">
+            <span>PDF Engine</span>
+            <select value={pdfEngine} onChange={(event) => onPdfEngineChange(event.target.value)}>
+              {PDF_ENGINES.map((engine) => (
+                <option key={engine.id} value={engine.id}>
+                  {engine.label}
+                </option>
+              ))}
+            </select>
+          </label>
           <button type="button" className="btn primary" onClick={handleGenerateInvoice} disabled={isGenerating}>
             {isGenerating ? "Generating..." : "Generate Invoice PDF"}
           </button>
@@ -0,0 +1,28 @@
+import React from "react";
+import PayslipDocument from "./PayslipDocument.jsx";
+
+export default function TemplatePicker({ templates, selectedId, data, company, disabled, onSelect }) {
+  return (
+    <div className="template-picker" role="radiogroup" aria-label="Pay slip template">
+      {templates.map((template) => (
+        <button
+          key={template.id}
+          type="button"
+          role="radio"
+          aria-checked={template.id === selectedId}
+          className={`template-option${template.id === selectedId ? " is-selected" : ""}`}
+          title={template.description}
+          disabled={disabled}
+          onClick={() => onSelect(template.id)}
+        >
+          <span className={`template-thumbnail template-thumbnail--${template.orientation}`} aria-hidden="true">
+            <span className="template-thumbnail__page">
+              <PayslipDocument data={data} company={company} templateId={template.id} />
+            </span>
+          </span>
+          <span className="template-option__label">{template.label}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,230 @@
+import React, { useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { BASE_CURRENCY } from "../constants.js";
+import { buildFieldDefinitions } from "../salaryStructure.js";
+import {
+  EXPORT_FORMATS,
+  SPREADSHEET_ACCEPT,
+  buildEmployeesFromRows,
+  exportVarianceReport,
+  readSpreadsheetFile,
+  suggestHeaderMapping,
+} from "../spreadsheet.js";
+import {
+  downloadBlob,
+  enrichEmployeeData,
+  formatCurrency,
+  formatMoney,
+  isEmployeeEmpty,
+  sanitiseFilename,
+} from "../utils.js";
+import { DEFAULT_VARIANCE_THRESHOLD, VARIANCE_STATUSES, buildVarianceReport } from "../variance.js";
+import Modal from "./Modal.jsx";
+
+const FILE_SOURCE = "file";
+
+function formatChange(value, currency) {
+  return `${value > 0 ? "+" : ""}${formatCurrency(value, currency)}`;
+}
+
+function formatPercent(percent) {
+  return percent === null ? "new" : `${percent > 0 ? "+" : ""}${Math.round(percent)}%`;
+}
+
+export default function VarianceReport({ isOpen, runs, defaultRunId, currentRows, context, onClose }) {
+  const [source, setSource] = useState(() => defaultRunId ?? (runs.length ? runs[0].id : FILE_SOURCE));
+  const [file, setFile] = useState(null);
+  const [threshold, setThreshold] = useState(DEFAULT_VARIANCE_THRESHOLD);
+  const [changesOnly, setChangesOnly] = useState(true);
+
+  const previousRows = useMemo(() => {
+    if (source === FILE_SOURCE) {
+      return file?.rows ?? null;
+    }
+    return runs.find((run) => run.id === source)?.rows.map((row) => row.enriched) ?? null;
+  }, [file, runs, source]);
+
+  const report = useMemo(
+    () => previousRows && buildVarianceReport(currentRows, previousRows, { threshold }),
+    [currentRows, previousRows, threshold]
+  );
+
+  const visibleRows = report
+    ? report.rows.filter((row) => !changesOnly || row.status !== "unchanged")
+    : [];
+
+  const handleFile = async (selected) => {
+    if (!selected) {
+      return;
+    }
+    try {
+      const sheet = await readSpreadsheetFile(selected);
+      const fields = buildFieldDefinitions(context.structure);
+      const mapping = suggestHeaderMapping(sheet.headers, fields);
+      if (!mapping.includes("employeeId")) {
+        toast.error("The file needs an Employee ID column so rows can be matched.");
+        return;
+      }
+      // Figures are recalculated with today's settings, as they would be after an import.
+      const rows = buildEmployeesFromRows(sheet.rows, mapping, fields)
+        .filter((employee) => !isEmployeeEmpty(employee))
+        .map((employee) => enrichEmployeeData(employee, context));
+      setFile({ name: selected.name, rows });
+    } catch (error) {
+      console.error("Failed to read the comparison file", error);
+      toast.error(error.message || "Unable to read this file. Please use CSV or XLSX.");
+    }
+  };
+
+  const handleExport = (format) => {
+    const label =
+      source === FILE_SOURCE
+        ? file?.name.replace(/\.[^.]+$/, "")
+        : runs.find((run) => run.id === source)?.payPeriod;
+    try {
+      const { blob, filename } = exportVarianceReport(report, {
+        format,
+        baseName: sanitiseFilename(`payroll-variance-vs-${label ?? "previous"}`),
+      });
+      downloadBlob(blob, filename);
+      toast.success(`Exported ${filename}`);
+    } catch (error) {
+      console.error("Failed to export the variance report", error);
+      toast.error("Unable to export the variance report. Please try again.");
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Payroll Variance" size="wide">
+      <div className="modal-body">
+        <div className="directory-pay-run">
+          <label className="form-field">
+            <span>Compare With</span>
+            <select value={source} onChange={(event) => setSource(event.target.value)}>
+              {runs.map((run) => (
+                <option key={run.id} value={run.id}>
+                  {run.payPeriod} ({run.company.name})
+                </option>
+              ))}
+              <option value={FILE_SOURCE}>An exported file…</option>
+            </select>
+          </label>
+          {source === FILE_SOURCE && (
+            <label className="form-field">
+              <span>{file ? file.name : "CSV, XLSX or JSON"}</span>
+              <input type="file" accept={SPREADSHEET_ACCEPT} onChange={(event) => handleFile(event.target.files?.[0])} />
+            </label>
+          )}
+          <label className="form-field">
+            <span>Swing Threshold (%)</span>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={threshold}
+              onChange={(event) => setThreshold(Math.max(Number(event.target.value) || 0, 0))}
+            />
+          </label>
+          <label className="checkbox-field">
+            <input type="checkbox" checked={changesOnly} onChange={(event) => setChangesOnly(event.target.checked)} />
+            Only show changes
+          </label>
+        </div>
+
+        {!report && <p className="directory-empty">Choose a finalised pay run or an exported file to compare against.</p>}
+
+        {report && (
+          <>
+            <p className="modal-text">
+              {report.totals.joiners} new joiner(s) • {report.totals.leavers} leaver(s) • {report.unmatched} unmatched • {report.flagged} row(s) flagged
+              {report.totals.unconverted > 0 &&
+                ` • ${report.totals.unconverted} row(s) without an exchange rate are left out of the subtotals`}
+            </p>
+
+            <div className="table-wrapper variance-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Department</th>
+                    <th>Headcount</th>
+                    <th>Previous Net</th>
+                    <th>Current Net</th>
+                    <th>Change</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.departments.concat(report.totals).map((department) => (
+                    <tr key={department.name} className={department === report.totals ? "variance-total" : ""}>
+                      <td>{department.name}</td>
+                      <td>
+                        {department.previousHeadcount} → {department.currentHeadcount}
+                      </td>
+                      <td>{formatMoney(department.previousNet)}</td>
+                      <td>{formatMoney(department.currentNet)}</td>
+                      <td className={department.difference ? "variance-change" : ""}>
+                        {formatChange(department.difference, BASE_CURRENCY)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="table-wrapper variance-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Employee</th>
+                    <th>Department</th>
+                    <th>Status</th>
+                    <th>What Changed</th>
+                    <th>Flags</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleRows.map((row, index) => (
+                    <tr key={`${row.employeeId}-${index}`} className={`variance-row is-${row.status}`}>
+                      <td>
+                        <strong>{row.employeeName}</strong>
+                        <small>{row.employeeId}</small>
+                      </td>
+                      <td>{row.department}</td>
+                      <td>{VARIANCE_STATUSES[row.status]}</td>
+                      <td>
+                        <ul className="variance-changes">
+                          {row.changes
+                            .filter((change) => change.difference !== 0)
+                            .map((change) => (
+                              <li key={change.key} className={change.overThreshold ? "is-flagged" : ""}>
+                                {change.label}: {formatCurrency(change.previous ?? 0, row.currency)} →{" "}
+                                {formatCurrency(change.current ?? 0, row.currency)} ({formatPercent(change.percent)})
+                              </li>
+                            ))}
+                        </ul>
+                      </td>
+                      <td>{row.flags.join(", ")}</td>
+                    </tr>
+                  ))}
+                  {visibleRows.length === 0 && (
+                    <tr>
+                      <td colSpan={5} className="directory-empty">
+                        No differences from the selected pay run.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+      <div className="modal-footer">
+        {EXPORT_FORMATS.filter((format) => format.id !== "json").map((format) => (
+          <button key={format.id} className="btn secondary" disabled={!report} onClick={() => handleExport(format.id)}>
+            Export {format.label}
+          </button>
+        ))}
+      </div>
+    </Modal>
+  );
+}
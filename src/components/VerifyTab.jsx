@@ -0,0 +1,153 @@
+import React, { useCallback, useEffect, useState } from "react";
+import jsQR from "jsqr";
+import toast from "react-hot-toast";
+import { formatDate, formatMoney } from "../utils.js";
+import { loadSigningKey, verifyPayload } from "../verification.js";
+
+async function readQrFromImage(file) {
+  const bitmap = await createImageBitmap(file);
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const context = canvas.getContext("2d");
+  context.drawImage(bitmap, 0, 0);
+  const { data, width, height } = context.getImageData(0, 0, canvas.width, canvas.height);
+  return jsQR(data, width, height)?.data ?? null;
+}
+
+function describeFields(fields) {
+  const issued = ["Issued", formatDate(String(fields.issued ?? "").slice(0, 10))];
+  if (fields.type === "invoice") {
+    return [
+      ["Document", "Techchef invoice"],
+      ["Invoice Number", fields.invoiceNumber],
+      ["Date of Issue", fields.dateOfIssue],
+      ["Total", fields.total],
+      issued,
+    ];
+  }
+  return [
+    ["Document", "Pay slip"],
+    ["Company", fields.company],
+    ["Employee ID", fields.employeeId],
+    ["Employee Name", fields.employeeName],
+    ["Pay Period", fields.payPeriod],
+    ["Net Salary", formatMoney(fields.netSalary, fields.currency)],
+    issued,
+  ];
+}
+
+export default function VerifyTab() {
+  const [code, setCode] = useState("");
+  const [result, setResult] = useState(null);
+  const [fingerprint, setFingerprint] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+
+  useEffect(() => {
+    loadSigningKey()
+      .then((signing) => setFingerprint(signing.fingerprint))
+      .catch((error) => console.error("Failed to load the signing key", error));
+  }, []);
+
+  const checkCode = useCallback(async (text) => {
+    setIsChecking(true);
+    try {
+      setResult(await verifyPayload(text));
+    } catch (error) {
+      setResult({ error: error.message });
+    } finally {
+      setIsChecking(false);
+    }
+  }, []);
+
+  const handleImage = useCallback(
+    async (event) => {
+      const [file] = event.target.files;
+      event.target.value = "";
+      if (!file) {
+        return;
+      }
+      try {
+        const text = await readQrFromImage(file);
+        if (!text) {
+          toast.error("No QR code was found in that image. Try a sharper or closer photo.");
+          return;
+        }
+        setCode(text);
+        await checkCode(text);
+      } catch (error) {
+        console.error("Failed to read the QR image", error);
+        toast.error("Unable to read that image.");
+      }
+    },
+    [checkCode]
+  );
+
+  return (
+    <main className="layout layout--single">
+      <section className="panel">
+        <h1>Verify a Document</h1>
+        <p className="description">
+          Paste the text of a pay slip or invoice QR code, or upload a photo or screenshot of it. Codes are checked
+          against the signing key held in this browser
+          {fingerprint && (
+            <>
+              {" "}
+              (fingerprint <code>{fingerprint}</code>)
+            </>
+          )}
+          , so only documents generated here can be confirmed.
+        </p>
+
+        <label className="form-field">
+          <span>Verification Code</span>
+          <textarea
+            rows="4"
+            placeholder="PSV1...."
+            value={code}
+            onChange={(event) => {
+              setCode(event.target.value);
+              setResult(null);
+            }}
+          />
+        </label>
+
+        <div className="verify-actions">
+          <label className="btn secondary">
+            Scan QR from Image
+            <input type="file" accept="image/*" capture="environment" hidden onChange={handleImage} />
+          </label>
+          <button
+            type="button"
+            className="btn primary"
+            disabled={!code.trim() || isChecking}
+            onClick={() => checkCode(code)}
+          >
+            {isChecking ? "Checking..." : "Verify"}
+          </button>
+        </div>
+
+        {result?.error && <p className="verify-result verify-result--invalid">{result.error}</p>}
+        {result?.fields && (
+          <div className={`verify-result verify-result--${result.valid ? "valid" : "invalid"}`}>
+            <strong>
+              {result.valid
+                ? "Genuine: these figures match the document as it was issued."
+                : "Not verified: the figures were altered or the code was signed with a different key."}
+            </strong>
+            <table className="detail-table employee-info-table">
+              <tbody>
+                {describeFields(result.fields).map(([label, value]) => (
+                  <tr key={label}>
+                    <td>{label}</td>
+                    <td>{value}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+    </main>
+  );
+}
@@ -1,43 +1,125 @@
-export const FIELD_DEFINITIONS = [
-  { key: "employeeName", label: "Employee Name", type: "text", placeholder: "Nazmul Hassan" },
-  { key: "employeeId", label: "Employee ID", type: "text", placeholder: "IT-003" },
-  { key: "designation", label: "Designation", type: "text", placeholder: "Front-End Developer" },
-  { key: "department", label: "Department", type: "text", placeholder: "IT" },
-  { key: "payPeriod", label: "Pay Period", type: "text", placeholder: "September 2025" },
-  { key: "payDate", label: "Pay Date", type: "date" },
-  { key: "basicSalary", label: "Basic Salary", type: "number", placeholder: "35400" },
-  { key: "houseRentAllowance", label: "House Rent Allowance", type: "number", placeholder: "0" },
-  { key: "transportAllowance", label: "Transport Allowance", type: "number", placeholder: "0" },
-  { key: "attendanceBonus", label: "Attendance Bonus", type: "number", placeholder: "500" },
-  { key: "mark", label: "Mark", type: "number", placeholder: "87" },
-  { key: "performanceBonus", label: "Performance Bonus", type: "number", placeholder: "4000" },
-  { key: "otherDeductions", label: "Other Deductions", type: "number", placeholder: "0" },
-  { key: "totalSalary", label: "Total Salary", type: "number", placeholder: "39900" },
+export const EMPLOYEE_INFO_FIELDS = [
+  { key: "employeeName", label: "Employee Name", type: "text", placeholder: "Nazmul Hassan", required: true, aliases: ["name", "full name", "staff name"] },
+  { key: "employeeId", label: "Employee ID", type: "text", placeholder: "IT-003", required: true, aliases: ["id", "emp id", "employee code", "staff id"] },
+  { key: "designation", label: "Designation", type: "text", placeholder: "Front-End Developer", required: true, aliases: ["title", "job title", "position", "role"] },
+  { key: "department", label: "Department", type: "text", placeholder: "IT", required: true, aliases: ["dept", "team"] },
+  { key: "payPeriod", label: "Pay Period", type: "text", placeholder: "September 2025", required: true, aliases: ["period", "month", "salary month"] },
+  { key: "payDate", label: "Pay Date", type: "date", required: true, aliases: ["payment date", "date paid", "disbursement date"] },
 ];
 
-export const REQUIRED_FIELDS = [
-  "employeeName",
-  "employeeId",
-  "designation",
-  "department",
-  "payPeriod",
-  "payDate",
+export const PAYSLIP_LANGUAGES = [
+  { value: "en", label: "English", aliases: ["english", "eng"] },
+  { value: "bn", label: "বাংলা (Bangla)", aliases: ["bangla", "bengali", "বাংলা"] },
+  { value: "bilingual", label: "English + Bangla", aliases: ["both", "bilingual", "english and bangla"] },
 ];
 
-export const CURRENCY_FIELDS = [
-  "basicSalary",
-  "houseRentAllowance",
-  "transportAllowance",
-  "attendanceBonus",
-  "performanceBonus",
-  "otherDeductions",
-  "totalSalary",
+export const DEFAULT_PAYSLIP_LANGUAGE = "en";
+
+// Salary components sit between these two groups; see salaryStructure.js.
+export const ADDITIONAL_FIELDS = [
+  {
+    key: "deductions",
+    label: "Deductions",
+    type: "deductions",
+    placeholder: "Provident Fund: 10%; Loan Installment: 2000",
+    aliases: ["deduction", "other deductions", "other deduction"],
+  },
+  { key: "totalSalary", label: "Total Salary", type: "number", placeholder: "39900", aliases: ["total", "gross salary", "net salary", "net pay"] },
+  // Leave Working Days empty to pay the full month; see attendance.js.
+  { key: "workingDays", label: "Working Days", type: "number", placeholder: "22", aliases: ["working days in period", "work days"] },
+  { key: "daysPresent", label: "Days Present", type: "number", placeholder: "22", aliases: ["present", "present days", "days worked"] },
+  { key: "unpaidLeaveDays", label: "Unpaid Leave Days", type: "number", placeholder: "0", aliases: ["unpaid leave", "lwp", "leave without pay"] },
+  { key: "joiningDate", label: "Joining Date", type: "date", aliases: ["date of joining", "start date", "doj"] },
+  { key: "exitDate", label: "Exit Date", type: "date", aliases: ["leaving date", "last working day", "end date"] },
+  { key: "overtimeHours", label: "Overtime Hours", type: "number", placeholder: "0", aliases: ["overtime", "ot hours", "ot"] },
+  { key: "weekendOvertimeHours", label: "Weekend Overtime Hours", type: "number", placeholder: "0", aliases: ["weekend overtime", "weekend ot"] },
+  { key: "holidayOvertimeHours", label: "Holiday Overtime Hours", type: "number", placeholder: "0", aliases: ["holiday overtime", "holiday ot"] },
+  // Only needed when a typed Performance Bonus replaces the amount from the bonus bands.
+  { key: "bonusOverrideReason", label: "Bonus Override Reason", type: "text", placeholder: "Agreed at mid-year review", aliases: ["override reason", "bonus reason"] },
+  {
+    key: "gender",
+    label: "Gender",
+    type: "select",
+    options: [
+      { value: "male", label: "Male", aliases: ["m", "man"] },
+      { value: "female", label: "Female", aliases: ["f", "woman"] },
+      { value: "third-gender", label: "Third Gender", aliases: ["third", "other"] },
+    ],
+    aliases: ["sex"],
+  },
+  { key: "dateOfBirth", label: "Date of Birth", type: "date", aliases: ["dob", "birth date", "birthday"] },
+  {
+    key: "disability",
+    label: "Disability",
+    type: "select",
+    options: [
+      { value: "no", label: "No", aliases: ["n", "false", "0"] },
+      { value: "yes", label: "Yes", aliases: ["y", "true", "1", "disabled"] },
+    ],
+    aliases: ["disabled", "person with disability"],
+  },
+  { key: "annualInvestment", label: "Annual Investment", type: "number", placeholder: "0", aliases: ["investment", "tax investment", "rebate investment"] },
+  {
+    key: "currency",
+    label: "Currency",
+    type: "select",
+    options: [
+      { value: "BDT", label: "BDT", aliases: ["taka", "tk", "৳"] },
+      { value: "USD", label: "USD", aliases: ["dollar", "us dollar", "$"] },
+      { value: "EUR", label: "EUR", aliases: ["euro", "€"] },
+      { value: "GBP", label: "GBP", aliases: ["pound", "sterling", "£"] },
+    ],
+    aliases: ["pay currency", "salary currency"],
+  },
+  {
+    key: "payslipLanguage",
+    label: "Pay Slip Language",
+    type: "select",
+    options: PAYSLIP_LANGUAGES,
+    aliases: ["language", "slip language"],
+  },
+  // Secret fields stay in the grid and its drafts; exports and archived pay runs leave them out.
+  {
+    key: "pdfPassword",
+    label: "PDF Password",
+    type: "text",
+    secret: true,
+    aliases: ["password", "slip password", "payslip password"],
+  },
+];
+
+export const RECONCILIATION_MODES = [
+  { id: "off", label: "Off" },
+  { id: "warn", label: "Warn before generating" },
+  { id: "block", label: "Block generation" },
+];
+
+export const DEFAULT_RECONCILIATION = { mode: "warn", tolerance: 1 };
+
+// BDT keeps its code as the prefix and uses lakh grouping (12,34,567) as printed by local banks.
+export const CURRENCY_OPTIONS = [
+  { code: "BDT", label: "Bangladeshi Taka (BDT)", prefix: "BDT ", banglaPrefix: "৳ ", locale: "en-IN" },
+  { code: "USD", label: "US Dollar (USD)", prefix: "$", locale: "en-US" },
+  { code: "EUR", label: "Euro (EUR)", prefix: "€", locale: "en-IE" },
+  { code: "GBP", label: "Pound Sterling (GBP)", prefix: "£", locale: "en-GB" },
 ];
 
-export const DEFAULT_COMPANY_META = {
+export const BASE_CURRENCY = "BDT";
+
+export const DEFAULT_COMPANY_PROFILE = {
+  id: "company-default",
   name: "Remote Talent Ltd.",
+  caption: "Remote Talent",
+  initials: "RT",
   email: "info@heyremotetalent.com",
   address: "Suite 11/B, Level 11, Al Amin Millennium Tower, 75/76 Kakrail, Dhaka 1000",
+  logo: null,
+  signature: null,
+  primaryColor: "#667eea",
+  secondaryColor: "#764ba2",
+  currency: "BDT",
+  // The account salaries are paid from, named in the bank forwarding letter.
+  salaryBankName: "",
+  salaryBankBranch: "",
+  salaryAccountNumber: "",
 };
-
-export const EMPLOYEE_KEYS = FIELD_DEFINITIONS.map((field) => field.key);
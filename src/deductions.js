@@ -0,0 +1,149 @@
+import { formatCurrency, parseNumber } from "./utils.js";
+
+export const DEDUCTION_PRESETS = [
+  { id: "providentFund", label: "Provident Fund", banglaLabel: "ভবিষ্য তহবিল", aliases: ["pf"], employerShare: true },
+  { id: "loan", label: "Loan Installment", banglaLabel: "ঋণের কিস্তি", aliases: ["loan", "loan instalment"] },
+  { id: "advance", label: "Advance Adjustment", banglaLabel: "অগ্রিম সমন্বয়", aliases: ["advance", "salary advance"] },
+  {
+    id: "absence",
+    label: "Absence",
+    banglaLabel: "অনুপস্থিতি",
+    aliases: ["absent", "leave without pay", "lwp"],
+    automatic: "attendance",
+  },
+  { id: "tax", label: "Income Tax", banglaLabel: "আয়কর", aliases: ["tax", "ait"], automatic: "tax" },
+  { id: "other", label: "Other Deductions", banglaLabel: "অন্যান্য কর্তন", aliases: ["other", "others"] },
+];
+
+export const DEDUCTION_BASES = [
+  { id: "amount", label: "Amount" },
+  { id: "percentOfBasic", label: "% of basic" },
+];
+
+export function createDeduction(label = "") {
+  return { label, basis: "amount", value: "", employerValue: "" };
+}
+
+export function findDeductionPreset(label) {
+  const candidate = String(label ?? "").trim().toLowerCase();
+  return DEDUCTION_PRESETS.find(
+    (preset) => preset.label.toLowerCase() === candidate || preset.aliases.includes(candidate)
+  );
+}
+
+export function hasEmployerShare(item) {
+  return Boolean(findDeductionPreset(item.label)?.employerShare);
+}
+
+function formatQuantity(value, basis) {
+  return basis === "percentOfBasic" ? `${value}%` : String(value);
+}
+
+// Text form used for paste, import and export: "Provident Fund: 10% (employer 10%); Loan Installment: 2000".
+export function formatDeductions(items) {
+  return items
+    .filter((item) => item.label.trim() || String(item.value).trim())
+    .map((item) => {
+      const employer =
+        hasEmployerShare(item) && String(item.employerValue ?? "").trim()
+          ? ` (employer ${formatQuantity(item.employerValue, item.basis)})`
+          : "";
+      return `${item.label.trim()}: ${formatQuantity(item.value, item.basis)}${employer}`.trim();
+    })
+    .join("; ");
+}
+
+export function parseDeductions(text) {
+  const trimmed = String(text ?? "").trim();
+  if (!trimmed) {
+    return [];
+  }
+  // A bare number is the legacy single "Other Deductions" amount.
+  if (parseNumber(trimmed.replace(/\s/g, "")) !== null) {
+    return [{ ...createDeduction("Other Deductions"), value: trimmed.replace(/[,\s]/g, "") }];
+  }
+  return trimmed
+    .split(/[;\n]/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = part.match(/^(.*?)\s*[:=]\s*([^()%]*?)\s*(%)?\s*(?:\(\s*employer\s*([^()%]*?)\s*%?\s*\))?$/i);
+      if (!match) {
+        return { ...createDeduction(part), value: "" };
+      }
+      const [, label, value, percent, employerValue] = match;
+      const preset = findDeductionPreset(label);
+      return {
+        label: preset ? preset.label : label,
+        basis: percent ? "percentOfBasic" : "amount",
+        value: value.replace(/,/g, ""),
+        employerValue: (employerValue ?? "").replace(/,/g, ""),
+      };
+    });
+}
+
+export function validateDeductions(items) {
+  for (const item of items) {
+    const label = item.label.trim();
+    if (!label) {
+      return "Every deduction needs a name.";
+    }
+    const value = parseNumber(item.value);
+    if (value === null || value < 0) {
+      return `${label} needs a non-negative amount.`;
+    }
+    if (item.basis === "percentOfBasic" && value > 100) {
+      return `${label} cannot be more than 100% of basic.`;
+    }
+    const employerValue = parseNumber(item.employerValue);
+    if (String(item.employerValue ?? "").trim() && (employerValue === null || employerValue < 0)) {
+      return `${label} has an invalid employer contribution.`;
+    }
+  }
+  return null;
+}
+
+const AUTOMATIC_OVERLAPS = {
+  tax: "TDS is already deducted from the tax settings",
+  attendance: "unpaid days are already taken off through attendance",
+};
+
+// Lines that repeat a deduction the pay run works out itself; `automatic` says which of those apply to the row.
+export function findAutomaticOverlaps(items, automatic) {
+  return items
+    .map((item) => findDeductionPreset(item.label))
+    .filter((preset) => preset?.automatic && automatic[preset.automatic])
+    .map((preset) => `${preset.label}: ${AUTOMATIC_OVERLAPS[preset.automatic]}`);
+}
+
+export function calculateDeductions(items, basicSalary, currency) {
+  const resolve = (value, basis) => {
+    const amount = parseNumber(value) ?? 0;
+    return basis === "percentOfBasic" ? Math.round((basicSalary * amount) / 100) : amount;
+  };
+  const lines = parseDeductions(items).map((item) => {
+    const amount = resolve(item.value, item.basis);
+    const employerAmount = hasEmployerShare(item) ? resolve(item.employerValue, item.basis) : 0;
+    return {
+      label: item.label.trim(),
+      banglaLabel: findDeductionPreset(item.label)?.banglaLabel ?? "",
+      amount,
+      employerAmount,
+      display: formatCurrency(amount, currency),
+      employerDisplay: formatCurrency(employerAmount, currency),
+    };
+  });
+  return {
+    lines,
+    total: lines.reduce((sum, line) => sum + line.amount, 0),
+    employerTotal: lines.reduce((sum, line) => sum + line.employerAmount, 0),
+  };
+}
+
+export function summariseDeductions(items, basicSalary, currency) {
+  const { lines, total } = calculateDeductions(items, basicSalary, currency);
+  if (!lines.length) {
+    return "None";
+  }
+  return `${lines.length} item${lines.length === 1 ? "" : "s"} • ${formatCurrency(total, currency)}`;
+}
@@ -0,0 +1,96 @@
+import { createRecordId } from "./storage.js";
+import { createEmptyEmployee } from "./utils.js";
+
+// Bangladesh Bank routing numbers are 9 digits. Only the length is checked here, not the trailing check digit.
+export const ROUTING_NUMBER_PATTERN = /^\d{9}$/;
+
+export const EMPLOYEE_STATUSES = [
+  { value: "active", label: "Active" },
+  { value: "left", label: "Left" },
+];
+
+export function createDirectoryEntry(changes = {}) {
+  return {
+    id: createRecordId("employee"),
+    employeeName: "",
+    employeeId: "",
+    designation: "",
+    department: "",
+    email: "",
+    joiningDate: "",
+    status: "active",
+    gender: "",
+    dateOfBirth: "",
+    disability: "",
+    currency: "",
+    payslipLanguage: "",
+    bankName: "",
+    bankBranch: "",
+    accountName: "",
+    accountNumber: "",
+    routingNumber: "",
+    ...changes,
+  };
+}
+
+// Profile fields copied onto each pay run row; the month's figures are left for the grid.
+const PAY_RUN_FIELDS = [
+  "employeeName",
+  "employeeId",
+  "designation",
+  "department",
+  "joiningDate",
+  "gender",
+  "dateOfBirth",
+  "disability",
+  "currency",
+  "payslipLanguage",
+];
+
+export function validateDirectoryEntry(entry, entries) {
+  if (!entry.employeeName.trim() || !entry.employeeId.trim()) {
+    return "Employee name and ID are required.";
+  }
+  const id = entry.employeeId.trim().toLowerCase();
+  if (entries.some((other) => other.id !== entry.id && other.employeeId.trim().toLowerCase() === id)) {
+    return `Another employee already uses the ID ${entry.employeeId.trim()}.`;
+  }
+  if (entry.email.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(entry.email.trim())) {
+    return "Please enter a valid email address.";
+  }
+  if (entry.routingNumber.trim() && !ROUTING_NUMBER_PATTERN.test(entry.routingNumber.trim())) {
+    return "The routing number must be 9 digits.";
+  }
+  return null;
+}
+
+export function createPayRunRows(entries, { payPeriod, payDate }, structure) {
+  return entries
+    .filter((entry) => entry.status === "active")
+    .map((entry) => {
+      const row = { ...createEmptyEmployee(structure), payPeriod, payDate };
+      PAY_RUN_FIELDS.forEach((key) => {
+        row[key] = entry[key] ?? "";
+      });
+      return row;
+    });
+}
+
+// Grid rows whose Employee ID is not in the directory yet, as new active entries.
+export function entriesFromGrid(rows, entries) {
+  const known = new Set(entries.map((entry) => entry.employeeId.trim().toLowerCase()));
+  return rows.reduce((added, row) => {
+    const id = String(row.employeeId ?? "").trim();
+    if (!id || !String(row.employeeName ?? "").trim() || known.has(id.toLowerCase())) {
+      return added;
+    }
+    known.add(id.toLowerCase());
+    const profile = PAY_RUN_FIELDS.reduce((acc, key) => ({ ...acc, [key]: String(row[key] ?? "").trim() }), {});
+    return added.concat(createDirectoryEntry(profile));
+  }, []);
+}
+
+export function findDirectoryEntry(entries, employeeId) {
+  const id = String(employeeId ?? "").trim().toLowerCase();
+  return id ? entries.find((entry) => entry.employeeId.trim().toLowerCase() === id) ?? null : null;
+}
@@ -1,6 +1,10 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 import { Toaster } from "react-hot-toast";
+import "@fontsource/noto-sans-bengali/bengali-400.css";
+import "@fontsource/noto-sans-bengali/bengali-500.css";
+import "@fontsource/noto-sans-bengali/bengali-600.css";
+import "@fontsource/noto-sans-bengali/bengali-700.css";
 import App from "./App.jsx";
 import "../styles.css";
 
@@ -0,0 +1,51 @@
+import { parseNumber } from "./utils.js";
+
+export const OVERTIME_KEY = "overtimePay";
+
+// The hourly rate is monthly Basic Salary divided by `hoursPerMonth` (26 days of 8 hours by default).
+export const DEFAULT_OVERTIME_SETTINGS = {
+  hoursPerMonth: 208,
+  regularMultiplier: 2,
+  weekendMultiplier: 2,
+  holidayMultiplier: 3,
+};
+
+const OVERTIME_FIELDS = [
+  { key: "overtimeHours", multiplier: "regularMultiplier" },
+  { key: "weekendOvertimeHours", multiplier: "weekendMultiplier" },
+  { key: "holidayOvertimeHours", multiplier: "holidayMultiplier" },
+];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function validateOvertime(raw) {
+  return OVERTIME_FIELDS.map((field) => field.key).filter((key) => {
+    const value = String(raw[key] ?? "").trim();
+    return value !== "" && !(parseNumber(value) >= 0);
+  });
+}
+
+/**
+ * Overtime pay for the row, or null when no overtime hours are entered. `basic` is the full monthly
+ * Basic Salary before attendance proration, since the hourly rate does not change with days worked.
+ */
+export function calculateOvertime(raw, basic, settings = DEFAULT_OVERTIME_SETTINGS) {
+  const entries = OVERTIME_FIELDS.map((field) => ({
+    key: field.key,
+    hours: Math.max(parseNumber(raw[field.key]) ?? 0, 0),
+    multiplier: settings[field.multiplier],
+  })).filter((entry) => entry.hours > 0);
+  if (!entries.length) {
+    return null;
+  }
+  const hourlyRate = settings.hoursPerMonth > 0 ? basic / settings.hoursPerMonth : 0;
+  const lines = entries.map((entry) => ({ ...entry, amount: round(entry.hours * hourlyRate * entry.multiplier) }));
+  return {
+    hourlyRate: round(hourlyRate),
+    hours: round(lines.reduce((sum, line) => sum + line.hours, 0)),
+    lines,
+    amount: round(lines.reduce((sum, line) => sum + line.amount, 0)),
+  };
+}
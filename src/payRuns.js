@@ -0,0 +1,112 @@
+import { ADDITIONAL_FIELDS } from "./constants.js";
+import { ENGLISH_MONTHS } from "./payslipLocale.js";
+import { createRecordId } from "./storage.js";
+import { enrichEmployeeData, isEmployeeEmpty } from "./utils.js";
+import { addToYearToDate } from "./yearToDate.js";
+
+export const PAY_RUN_STATUSES = {
+  locked: "Locked",
+  reopened: "Reopened",
+};
+
+const SECRET_KEYS = ADDITIONAL_FIELDS.filter((field) => field.secret).map((field) => field.key);
+
+function withoutSecrets(record) {
+  const copy = { ...record };
+  SECRET_KEYS.forEach((key) => delete copy[key]);
+  return copy;
+}
+
+function auditEntry(action, note = "") {
+  return { at: new Date().toISOString(), action, note };
+}
+
+/**
+ * Freezes the grid as issued: each row keeps its raw input beside the enriched figures, and the
+ * company profile (logo and signature included) is copied so later edits do not change history.
+ * PDF passwords are left out. Finalising a reopened run replaces its rows but keeps the id and audit trail.
+ */
+export function createPayRunSnapshot({ existing, employees, context, company, templateId, pdfEngine, pdfPasswordRule }) {
+  const rows = employees
+    .filter((employee) => !isEmployeeEmpty(employee))
+    .map((employee) => ({
+      raw: withoutSecrets(employee),
+      enriched: withoutSecrets(enrichEmployeeData(employee, context)),
+    }));
+  const periods = Array.from(new Set(rows.map((row) => row.enriched.payPeriod).filter((value) => value !== "-")));
+  const payDates = rows.map((row) => row.enriched.payDateValue).filter(Boolean).sort();
+  // Prior totals are already folded into each row's enriched year-to-date figures.
+  const { yearToDate, ...settings } = context;
+
+  return {
+    id: existing?.id ?? createRecordId("payrun"),
+    payPeriod: periods.join(", ") || "-",
+    payDate: payDates[payDates.length - 1] ?? "",
+    status: "locked",
+    finalisedAt: new Date().toISOString(),
+    company: { ...company },
+    templateId,
+    // Kept so archived slips are rendered and protected exactly as they were issued.
+    pdfEngine,
+    pdfPasswordRule,
+    context: settings,
+    rows,
+    audit: (existing?.audit ?? []).concat(auditEntry(existing ? "Finalised again" : "Finalised")),
+  };
+}
+
+export function reopenPayRun(run, note) {
+  return { ...run, status: "reopened", audit: run.audit.concat(auditEntry("Reopened", note)) };
+}
+
+/**
+ * Totals from locked runs paid before `before` (an ISO date), keyed by employee ID, in the shape
+ * enrichEmployeeData expects for `context.yearToDate`.
+ */
+export function yearToDateFromRuns(runs, { before, excludeId } = {}) {
+  const totals = {};
+  runs
+    .filter((run) => run.status === "locked" && run.id !== excludeId)
+    .flatMap((run) => run.rows.map((row) => row.enriched))
+    .filter((enriched) => enriched.payDateValue && (!before || enriched.payDateValue < before))
+    .sort((a, b) => a.payDateValue.localeCompare(b.payDateValue))
+    .forEach((enriched) => {
+      totals[enriched.employeeId] = addToYearToDate(totals[enriched.employeeId], enriched);
+    });
+  return totals;
+}
+
+function nextPayPeriod(period) {
+  const match = /^([A-Za-z]+)\s+(\d{4})$/.exec(String(period ?? "").trim());
+  const index = match
+    ? ENGLISH_MONTHS.findIndex((month) => month.slice(0, 3).toLowerCase() === match[1].slice(0, 3).toLowerCase())
+    : -1;
+  if (index < 0) {
+    return "";
+  }
+  const year = Number(match[2]) + (index === 11 ? 1 : 0);
+  return `${ENGLISH_MONTHS[(index + 1) % 12]} ${year}`;
+}
+
+function nextPayDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value ?? ""));
+  if (!match) {
+    return "";
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  // Days past the end of the next month are clamped, so 31 January becomes 28 or 29 February.
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+// Raw rows for the following month, with the pay period and pay date moved on by one month.
+// Attendance counts belong to the month they were recorded for, so they start empty.
+export function rowsForNextPayRun(run) {
+  return run.rows.map(({ raw }) => ({
+    ...raw,
+    payPeriod: nextPayPeriod(raw.payPeriod),
+    payDate: nextPayDate(raw.payDate),
+    daysPresent: "",
+    unpaidLeaveDays: "",
+  }));
+}
@@ -0,0 +1,44 @@
+import JSZip from "jszip";
+import { toCsv } from "./spreadsheet.js";
+import { sanitiseFilename } from "./utils.js";
+
+const MANIFEST_COLUMNS = ["Employee ID", "Employee Name", "Department", "File", "Net Salary", "Currency"];
+
+export function buildPayslipFilename(enriched) {
+  return `${sanitiseFilename(enriched.employeeName)}-pay-slip.pdf`;
+}
+
+function departmentFolder(department) {
+  return department && department !== "-" ? sanitiseFilename(department) : "unassigned";
+}
+
+function uniquePath(path, usedPaths) {
+  if (!usedPaths.has(path)) {
+    usedPaths.add(path);
+    return path;
+  }
+  const stem = path.replace(/\.pdf$/, "");
+  let counter = 2;
+  while (usedPaths.has(`${stem}-${counter}.pdf`)) {
+    counter += 1;
+  }
+  const unique = `${stem}-${counter}.pdf`;
+  usedPaths.add(unique);
+  return unique;
+}
+
+export async function buildPayslipZip(entries, { groupByDepartment = false } = {}) {
+  const zip = new JSZip();
+  const usedPaths = new Set();
+  const manifest = [MANIFEST_COLUMNS];
+
+  entries.forEach(({ enriched, blob }) => {
+    const folder = groupByDepartment ? `${departmentFolder(enriched.department)}/` : "";
+    const path = uniquePath(`${folder}${buildPayslipFilename(enriched)}`, usedPaths);
+    zip.file(path, blob);
+    manifest.push([enriched.employeeId, enriched.employeeName, enriched.department, path, enriched.netAmount, enriched.currency]);
+  });
+
+  zip.file("manifest.csv", toCsv(manifest));
+  return zip.generateAsync({ type: "blob" });
+}
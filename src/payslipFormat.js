@@ -0,0 +1,102 @@
+import { amountInWordsLines } from "./amountInWords.js";
+import { BASE_CURRENCY } from "./constants.js";
+import { localiseDigits, localiseText, payslipLabels } from "./payslipLocale.js";
+import { formatCurrency, formatDate, formatMoney } from "./utils.js";
+
+function amountInWordsFor(data, language, bilingual) {
+  if (!data.netSalaryInWords.length || (language === "en" && !bilingual)) {
+    return data.netSalaryInWords;
+  }
+  // Each half of a bilingual slip, and a Bangla-only slip, prints the words in its own language.
+  return amountInWordsLines(data.netAmount, { ...data.wordsSettings, language }, data.currency);
+}
+
+function bonusReason(attendance, reasons) {
+  if (attendance.joinedDuringPeriod) {
+    return reasons.joined;
+  }
+  if (attendance.leftDuringPeriod) {
+    return reasons.left;
+  }
+  return attendance.unpaidLeaveDays > 0 ? reasons.unpaidLeave : reasons.absences(attendance.absences);
+}
+
+// One line explaining the proration and the attendance bonus decision, or null for full-month rows.
+function attendanceNote(attendance, labels, lineLabel) {
+  if (!attendance) {
+    return null;
+  }
+  const parts = [labels.attendance({ ...attendance, percent: Math.round(attendance.factor * 10000) / 100 })];
+  if (attendance.proratedLines.length) {
+    parts.push(labels.prorated(attendance.proratedLines.map(lineLabel).join(", ")));
+  }
+  if (attendance.bonusLine) {
+    parts.push(
+      attendance.bonusEligible ? labels.bonusEligible : labels.bonusWithheld(bonusReason(attendance, labels.bonusReasons))
+    );
+  }
+  return parts.join(" ");
+}
+
+function overtimeNote(overtime, labels, digits, money) {
+  if (!overtime) {
+    return null;
+  }
+  const parts = overtime.lines.map((line) =>
+    labels.overtimePart(digits(line.hours), labels.overtimeKinds[line.key], digits(line.multiplier))
+  );
+  return labels.overtime(parts.join(", "), money(overtime.hourlyRate));
+}
+
+// Which bonus band the Mark fell in and what it paid, or why a typed amount was used instead.
+function bonusBandNote(bonusBand, labels, digits, money) {
+  if (!bonusBand) {
+    return null;
+  }
+  const mark = digits(bonusBand.mark);
+  if (bonusBand.overridden) {
+    return labels.bonusOverride(bonusBand.reason, money(bonusBand.calculated));
+  }
+  if (!bonusBand.band) {
+    return labels.bonusNoBand(mark);
+  }
+  const { min, max, type, value, cap } = bonusBand.band;
+  const range = max === null ? `${digits(min)}+` : `${digits(min)}–${digits(max)}`;
+  const rule =
+    type === "percent"
+      ? labels.bandPercent(digits(value), bonusBand.capped ? money(cap) : null)
+      : money(bonusBand.calculated);
+  return labels.bonusBand(mark, range, rule);
+}
+
+// Everything a template needs to print values in its language.
+export function createPayslipFormat(data, language, bilingual = false) {
+  const labels = payslipLabels(language);
+  const digits = (value) => localiseDigits(value, language);
+  const lineLabel = (line) => (language === "bn" ? line.banglaLabel || line.label : line.label);
+  const money = (value, currency = data.currency) => formatMoney(value, currency, language);
+  return {
+    language,
+    labels,
+    digits,
+    lineLabel,
+    lineDisplay: (line) => (line.numeric === false ? line.display : digits(line.display)),
+    amount: (value) => digits(formatCurrency(value, data.currency)),
+    money,
+    payPeriod: localiseText(data.payPeriod, language),
+    payDate: language === "en" ? data.payDate : formatDate(data.payDateValue, language) || data.payDate,
+    words: amountInWordsFor(data, language, bilingual),
+    payNotes: [
+      attendanceNote(data.attendance, labels, lineLabel),
+      overtimeNote(data.overtime, labels, digits, money),
+      bonusBandNote(data.bonusBand, labels, digits, money),
+    ].filter(Boolean),
+    baseEquivalent: data.showBaseEquivalent
+      ? labels.equivalent(
+          formatMoney(data.netAmountBase, BASE_CURRENCY, language),
+          data.currency,
+          digits(formatCurrency(data.exchangeRate))
+        )
+      : null,
+  };
+}
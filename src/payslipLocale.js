@@ -0,0 +1,147 @@
+const BANGLA_DIGITS = ["০", "১", "২", "৩", "৪", "৫", "৬", "৭", "৮", "৯"];
+
+export const ENGLISH_MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+export const BANGLA_MONTHS = [
+  "জানুয়ারি", "ফেব্রুয়ারি", "মার্চ", "এপ্রিল", "মে", "জুন",
+  "জুলাই", "আগস্ট", "সেপ্টেম্বর", "অক্টোবর", "নভেম্বর", "ডিসেম্বর",
+];
+
+// Matches full month names and their three-letter forms, e.g. "September 2025" or "Sep-25".
+const MONTH_PATTERN = new RegExp(`\\b(${ENGLISH_MONTHS.map((month) => `${month.slice(0, 3)}(?:${month.slice(3)})?`).join("|")})\\b`, "gi");
+
+const LABELS = {
+  en: {
+    title: "Salary Pay Slip",
+    employeeName: "Employee Name",
+    employeeId: "Employee ID",
+    designation: "Designation",
+    department: "Department",
+    payPeriod: "Pay Period",
+    payDate: "Pay Date",
+    earnings: "Earnings",
+    deductions: "Deductions",
+    description: "Description",
+    amount: (currency) => `Amount (${currency})`,
+    tax: "Tax Deducted at Source",
+    totalDeductions: "Total Deductions",
+    employerContribution: (amount) =>
+      `Employer provident fund contribution: ${amount} (paid by the company, not deducted from salary)`,
+    netSalary: "Net Salary Payable:",
+    equivalent: (amount, currency, rate) => `Equivalent to ${amount} at 1 ${currency} = ${rate} BDT`,
+    authorisedSignature: "Authorized Signature:",
+    employeeSignature: "Employee Signature:",
+    scanToVerify: "Scan to verify",
+    companyName: "Company Name:",
+    email: "Email Address:",
+    address: "Office Address:",
+    thisPeriod: "This Period",
+    yearToDate: "Year to Date",
+    summary: "Summary",
+    grossEarnings: "Gross Earnings",
+    netPay: "Net Pay",
+    employerContributionShort: "Employer PF Contribution",
+    ytdNote: (periods, fiscalYear) =>
+      `Year-to-date figures cover ${periods} pay slip${periods === 1 ? "" : "s"} in fiscal year ${fiscalYear}.`,
+    attendance: ({ workingDays, daysPresent, unpaidLeaveDays, payableDays, percent }) =>
+      `Attendance: present ${daysPresent} of ${workingDays} working days, ${unpaidLeaveDays} day(s) unpaid leave. ` +
+      `Paid for ${payableDays} of ${workingDays} days (${percent}%).`,
+    prorated: (components) => `Prorated: ${components}.`,
+    bonusEligible: "Attendance bonus: eligible.",
+    bonusWithheld: (reason) => `Attendance bonus withheld: ${reason}.`,
+    bonusReasons: {
+      joined: "joined during the pay period",
+      left: "left during the pay period",
+      unpaidLeave: "unpaid leave taken",
+      absences: (days) => `absent ${days} day(s)`,
+    },
+    bonusBand: (mark, range, rule) => `Performance bonus: mark ${mark}, band ${range} (${rule}).`,
+    bandPercent: (percent, cap) => `${percent}% of basic${cap ? `, capped at ${cap}` : ""}`,
+    bonusNoBand: (mark) => `Performance bonus: no band covers mark ${mark}.`,
+    bonusOverride: (reason, calculated) => `Performance bonus set manually instead of ${calculated}: ${reason}.`,
+    overtime: (parts, rate) => `Overtime: ${parts}, at ${rate} per hour.`,
+    overtimePart: (hours, kind, multiplier) => `${hours} h ${kind} × ${multiplier}`,
+    overtimeKinds: { overtimeHours: "regular", weekendOvertimeHours: "weekend", holidayOvertimeHours: "holiday" },
+  },
+  bn: {
+    title: "বেতন বিবরণী",
+    employeeName: "কর্মচারীর নাম",
+    employeeId: "কর্মচারী আইডি",
+    designation: "পদবি",
+    department: "বিভাগ",
+    payPeriod: "বেতনকাল",
+    payDate: "পরিশোধের তারিখ",
+    earnings: "আয়",
+    deductions: "কর্তন",
+    description: "বিবরণ",
+    amount: (currency) => `পরিমাণ (${currency === "BDT" ? "টাকা" : currency})`,
+    tax: "উৎসে কর কর্তন",
+    totalDeductions: "মোট কর্তন",
+    employerContribution: (amount) =>
+      `নিয়োগকর্তার ভবিষ্য তহবিল অংশ: ${amount} (প্রতিষ্ঠান কর্তৃক প্রদেয়, বেতন থেকে কর্তন করা হয়নি)`,
+    netSalary: "প্রদেয় নিট বেতন:",
+    equivalent: (amount, currency, rate) => `সমমূল্য ${amount} (১ ${currency} = ${rate} টাকা)`,
+    authorisedSignature: "অনুমোদনকারীর স্বাক্ষর:",
+    employeeSignature: "কর্মচারীর স্বাক্ষর:",
+    scanToVerify: "যাচাই করতে স্ক্যান করুন",
+    companyName: "প্রতিষ্ঠানের নাম:",
+    email: "ইমেইল ঠিকানা:",
+    address: "অফিসের ঠিকানা:",
+    thisPeriod: "চলতি মাস",
+    yearToDate: "অর্থবছরের মোট",
+    summary: "সারসংক্ষেপ",
+    grossEarnings: "মোট আয়",
+    netPay: "নিট বেতন",
+    employerContributionShort: "নিয়োগকর্তার ভবিষ্য তহবিল অংশ",
+    ytdNote: (periods, fiscalYear) =>
+      toBanglaDigits(`অর্থবছর ${fiscalYear}-এর ${periods}টি বেতন বিবরণী অনুযায়ী অর্থবছরের মোট হিসাব।`),
+    attendance: ({ workingDays, daysPresent, unpaidLeaveDays, payableDays, percent }) =>
+      toBanglaDigits(
+        `উপস্থিতি: ${workingDays} কর্মদিবসের মধ্যে ${daysPresent} দিন উপস্থিত, ${unpaidLeaveDays} দিন বিনা বেতনে ছুটি। ` +
+          `${workingDays} দিনের মধ্যে ${payableDays} দিনের বেতন (${percent}%)।`
+      ),
+    prorated: (components) => `আনুপাতিক হারে: ${components}।`,
+    bonusEligible: "হাজিরা বোনাস: প্রাপ্য।",
+    bonusWithheld: (reason) => `হাজিরা বোনাস প্রদেয় নয়: ${reason}।`,
+    bonusReasons: {
+      joined: "বেতনকালের মধ্যে যোগদান",
+      left: "বেতনকালের মধ্যে প্রস্থান",
+      unpaidLeave: "বিনা বেতনে ছুটি",
+      absences: (days) => toBanglaDigits(`${days} দিন অনুপস্থিত`),
+    },
+    bonusBand: (mark, range, rule) => `কর্মদক্ষতা বোনাস: নম্বর ${mark}, ধাপ ${range} (${rule})।`,
+    bandPercent: (percent, cap) => `মূল বেতনের ${percent}%${cap ? `, সর্বোচ্চ ${cap}` : ""}`,
+    bonusNoBand: (mark) => `কর্মদক্ষতা বোনাস: নম্বর ${mark} কোনো ধাপে পড়ে না।`,
+    bonusOverride: (reason, calculated) => `কর্মদক্ষতা বোনাস ${calculated}-এর পরিবর্তে নিজে নির্ধারিত: ${reason}।`,
+    overtime: (parts, rate) => `ওভারটাইম: ${parts}, ঘণ্টাপ্রতি ${rate} হারে।`,
+    overtimePart: (hours, kind, multiplier) => `${kind} ${hours} ঘণ্টা × ${multiplier}`,
+    overtimeKinds: { overtimeHours: "সাধারণ", weekendOvertimeHours: "সাপ্তাহিক ছুটিতে", holidayOvertimeHours: "উৎসব ছুটিতে" },
+  },
+};
+
+export function payslipLabels(language) {
+  return LABELS[language] ?? LABELS.en;
+}
+
+export function toBanglaDigits(value) {
+  return String(value).replace(/[0-9]/g, (digit) => BANGLA_DIGITS[digit]);
+}
+
+export function localiseDigits(value, language) {
+  return language === "bn" ? toBanglaDigits(value) : String(value);
+}
+
+// For free text such as the pay period: month names and digits are translated, everything else is kept.
+export function localiseText(value, language) {
+  if (language !== "bn") {
+    return String(value);
+  }
+  const translated = String(value).replace(MONTH_PATTERN, (match) => {
+    const index = ENGLISH_MONTHS.findIndex((month) => month.slice(0, 3).toLowerCase() === match.slice(0, 3).toLowerCase());
+    return BANGLA_MONTHS[index];
+  });
+  return toBanglaDigits(translated);
+}
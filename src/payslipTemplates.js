@@ -0,0 +1,43 @@
+import CompactPayslip from "./components/CompactPayslip.jsx";
+import DetailedPayslip from "./components/DetailedPayslip.jsx";
+import LandscapePayslip from "./components/LandscapePayslip.jsx";
+import Payslip from "./components/Payslip.jsx";
+
+// Every template receives the same props: { data, company, language, bilingual }, where `data` comes from
+// enrichEmployeeData. `orientation` sets the PDF page the template is captured onto.
+export const PAYSLIP_TEMPLATES = [
+  {
+    id: "standard",
+    label: "Standard",
+    description: "Full-page slip with separate earnings and deductions tables.",
+    orientation: "portrait",
+    component: Payslip,
+  },
+  {
+    id: "compact",
+    label: "Compact",
+    description: "Half-page slip with earnings and deductions side by side.",
+    orientation: "portrait",
+    component: CompactPayslip,
+  },
+  {
+    id: "detailed",
+    label: "Detailed with YTD",
+    description: "Adds fiscal year-to-date columns and a pay summary.",
+    orientation: "portrait",
+    component: DetailedPayslip,
+  },
+  {
+    id: "landscape",
+    label: "Landscape",
+    description: "Two-column layout on a landscape page.",
+    orientation: "landscape",
+    component: LandscapePayslip,
+  },
+];
+
+export const DEFAULT_PAYSLIP_TEMPLATE = "standard";
+
+export function findPayslipTemplate(id) {
+  return PAYSLIP_TEMPLATES.find((template) => template.id === id) ?? PAYSLIP_TEMPLATES[0];
+}
@@ -0,0 +1,121 @@
+import { renderToStaticMarkup } from "react-dom/server";
+import html2pdf from "html2pdf.js";
+import { jsPDF } from "jspdf";
+import { registerPdfFonts } from "./vectorPdf.js";
+
+export const PDF_ENGINES = [
+  { id: "image", label: "Image (matches the preview exactly)" },
+  { id: "vector", label: "Vector (searchable text, smaller files)" },
+];
+
+export const DEFAULT_PDF_ENGINE = "image";
+
+export const PDF_OPTIONS = {
+  margin: [0.5, 0.5, 0.5, 0.5],
+  html2canvas: { scale: 2, useCORS: true },
+  jsPDF: { unit: "in", format: "a4", orientation: "portrait" },
+};
+
+function optionsFor(orientation = "portrait") {
+  return { ...PDF_OPTIONS, jsPDF: { ...PDF_OPTIONS.jsPDF, orientation } };
+}
+
+function mountElement(element) {
+  const wrapper = document.createElement("div");
+  wrapper.innerHTML = renderToStaticMarkup(element);
+  const node = wrapper.firstElementChild;
+  document.body.appendChild(node);
+  return node;
+}
+
+// Web fonts are only fetched once text needs them, so Bangla glyphs are requested up front;
+// otherwise html2canvas may capture the page before they arrive.
+async function loadFonts(node) {
+  if (node.matches('[lang="bn"]') || node.querySelector('[lang="bn"]')) {
+    await Promise.all(
+      ["400", "500", "600", "700"].map((weight) => document.fonts.load(`${weight} 16px "Noto Sans Bengali"`, "বাংলা"))
+    );
+  }
+  await document.fonts.ready;
+}
+
+export async function savePdf(element, filename, { orientation } = {}) {
+  const node = mountElement(element);
+  try {
+    await loadFonts(node);
+    await html2pdf()
+      .set({ ...optionsFor(orientation), filename })
+      .from(node)
+      .save();
+  } finally {
+    node.remove();
+  }
+}
+
+export async function renderPageImages(element, { orientation = "portrait" } = {}) {
+  const node = mountElement(element);
+  try {
+    await loadFonts(node);
+    const worker = html2pdf().set(optionsFor(orientation)).from(node).toCanvas();
+    const canvas = await worker.get("canvas");
+    const pageSize = await worker.get("pageSize");
+
+    // Mirrors html2pdf's own page slicing so the pages can be stitched into any document later.
+    const pxPageHeight = Math.floor(canvas.width * pageSize.inner.ratio);
+    const pageCount = Math.ceil(canvas.height / pxPageHeight);
+    const pageCanvas = document.createElement("canvas");
+    const context = pageCanvas.getContext("2d");
+    pageCanvas.width = canvas.width;
+
+    const pages = [];
+    for (let page = 0; page < pageCount; page += 1) {
+      const sliceHeight = Math.min(pxPageHeight, canvas.height - page * pxPageHeight);
+      pageCanvas.height = sliceHeight;
+      context.fillStyle = "white";
+      context.fillRect(0, 0, pageCanvas.width, sliceHeight);
+      context.drawImage(canvas, 0, page * pxPageHeight, canvas.width, sliceHeight, 0, 0, canvas.width, sliceHeight);
+      pages.push({
+        image: pageCanvas.toDataURL("image/jpeg", 0.95),
+        width: pageSize.inner.width,
+        height: (sliceHeight * pageSize.inner.width) / canvas.width,
+        orientation,
+      });
+    }
+    return pages;
+  } finally {
+    node.remove();
+  }
+}
+
+/**
+ * Pages are either rendered images ({ image, width, height }) or vector pages ({ draw }) whose
+ * draw(pdf) call writes straight onto the document and may continue onto further pages.
+ * Pass jsPDF `encryption` options to password-protect the file.
+ */
+export function buildPdfFromPages(pages, { encryption } = {}) {
+  if (!pages.length) {
+    throw new Error("There are no pages to add to the PDF.");
+  }
+  const [marginTop, marginLeft] = PDF_OPTIONS.margin;
+  // Pages keep the orientation they were rendered for, so one document can mix templates.
+  const pdf = new jsPDF({
+    ...PDF_OPTIONS.jsPDF,
+    orientation: pages[0].orientation ?? "portrait",
+    compress: true,
+    ...(encryption && { encryption }),
+  });
+  if (pages.some((page) => page.draw)) {
+    registerPdfFonts(pdf);
+  }
+  pages.forEach((page, index) => {
+    if (index > 0) {
+      pdf.addPage(PDF_OPTIONS.jsPDF.format, page.orientation ?? "portrait");
+    }
+    if (page.draw) {
+      page.draw(pdf);
+    } else {
+      pdf.addImage(page.image, "JPEG", marginLeft, marginTop, page.width, page.height);
+    }
+  });
+  return pdf.output("blob");
+}
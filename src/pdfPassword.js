@@ -0,0 +1,75 @@
+// Each rule tells HR what to share with staff; `example` is shown next to the description.
+export const PDF_PASSWORD_RULES = [
+  { id: "off", label: "No password", description: "Pay slips open without a password." },
+  {
+    id: "id-birth-year",
+    label: "Employee ID + birth year",
+    description: "The password is the employee ID followed by the four-digit birth year.",
+    example: "IT-0031990",
+  },
+  {
+    id: "id-birth-date",
+    label: "Employee ID + date of birth",
+    description: "The password is the employee ID followed by the date of birth as DDMMYYYY.",
+    example: "IT-00324061990",
+  },
+  {
+    id: "column",
+    label: "PDF Password column",
+    description:
+      "The password is whatever is entered in each employee's PDF Password column. These passwords are not exported or archived.",
+  },
+];
+
+export const DEFAULT_PDF_PASSWORD_RULE = "off";
+
+// jsPDF only offers 40-bit RC4, so HR should not present the password as real security.
+export const PDF_PASSWORD_STRENGTH =
+  "The password uses 40-bit RC4 encryption, which keeps casual readers out but can be broken with free tools.";
+
+// Staff may open, print and copy from the file; editing needs the owner password, which nobody is given.
+const USER_PERMISSIONS = ["print", "copy"];
+
+export function findPdfPasswordRule(id) {
+  return PDF_PASSWORD_RULES.find((rule) => rule.id === id) ?? PDF_PASSWORD_RULES[0];
+}
+
+/**
+ * Returns the password for an employee's pay slip, null when the rule is off, or throws when the
+ * row lacks the data the rule needs.
+ */
+export function derivePdfPassword(employee, ruleId) {
+  const employeeId = String(employee.employeeId ?? "").trim();
+  const dateOfBirth = String(employee.dateOfBirth ?? "").trim();
+  const [year, month, day] = dateOfBirth.split("-");
+
+  switch (ruleId) {
+    case "id-birth-year":
+    case "id-birth-date":
+      if (!employeeId || !/^\d{4}-\d{2}-\d{2}$/.test(dateOfBirth)) {
+        throw new Error("The Employee ID and Date of Birth are needed to build the PDF password.");
+      }
+      return ruleId === "id-birth-year" ? `${employeeId}${year}` : `${employeeId}${day}${month}${year}`;
+    case "column": {
+      const password = String(employee.pdfPassword ?? "").trim();
+      if (!password) {
+        throw new Error("The PDF Password column is empty.");
+      }
+      return password;
+    }
+    default:
+      return null;
+  }
+}
+
+function randomOwnerPassword() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+export function pdfEncryptionOptions(password) {
+  if (!password) {
+    return null;
+  }
+  return { userPassword: password, ownerPassword: randomOwnerPassword(), userPermissions: USER_PERMISSIONS };
+}
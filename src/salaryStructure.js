@@ -0,0 +1,309 @@
+import { ADDITIONAL_FIELDS, EMPLOYEE_INFO_FIELDS } from "./constants.js";
+import { OVERTIME_KEY } from "./overtime.js";
+import { parseNumber } from "./utils.js";
+
+export const COMPONENT_KINDS = [
+  { id: "earning", label: "Earning" },
+  { id: "deduction", label: "Deduction" },
+  { id: "info", label: "Informational" },
+];
+
+export const COMPONENT_TYPES = [
+  { id: "number", label: "Number" },
+  { id: "text", label: "Text" },
+];
+
+// Deduction percentages and income tax are worked out from this component, so it cannot be removed.
+export const BASIC_SALARY_KEY = "basicSalary";
+
+export const DEFAULT_SALARY_STRUCTURE = [
+  { key: "basicSalary", label: "Basic Salary", banglaLabel: "মূল বেতন", type: "number", kind: "earning", required: false, formula: "", prorate: true, placeholder: "35400", aliases: ["basic", "basic pay"] },
+  { key: "houseRentAllowance", label: "House Rent Allowance", banglaLabel: "বাড়ি ভাড়া ভাতা", type: "number", kind: "earning", required: false, formula: "", prorate: true, placeholder: "0", aliases: ["house rent", "hra"] },
+  { key: "transportAllowance", label: "Transport Allowance", banglaLabel: "যাতায়াত ভাতা", type: "number", kind: "earning", required: false, formula: "", prorate: true, placeholder: "0", aliases: ["transport", "conveyance", "conveyance allowance"] },
+  { key: "attendanceBonus", label: "Attendance Bonus", banglaLabel: "হাজিরা বোনাস", type: "number", kind: "earning", required: false, formula: "", placeholder: "500", aliases: ["attendance"] },
+  { key: "mark", label: "Mark", banglaLabel: "নম্বর", type: "number", kind: "info", required: false, formula: "", placeholder: "87", aliases: ["marks", "score", "rating"] },
+  { key: "performanceBonus", label: "Performance Bonus", banglaLabel: "কর্মদক্ষতা বোনাস", type: "number", kind: "earning", required: false, formula: "", placeholder: "4000", aliases: ["performance", "bonus"] },
+];
+
+// Structures saved before proration existed have no flag, so the default components keep theirs.
+export function isProratedComponent(component) {
+  if (component.kind !== "earning" || component.type === "text") {
+    return false;
+  }
+  return component.prorate ?? DEFAULT_SALARY_STRUCTURE.some((item) => item.key === component.key && item.prorate);
+}
+
+// Overtime is added as its own earnings line, so no component may take its key.
+const RESERVED_KEYS = new Set(
+  [...EMPLOYEE_INFO_FIELDS, ...ADDITIONAL_FIELDS].map((field) => field.key).concat(OVERTIME_KEY)
+);
+const FORMULA_FUNCTIONS = {
+  min: Math.min,
+  max: Math.max,
+  round: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits,
+  floor: Math.floor,
+  ceil: Math.ceil,
+};
+
+export function buildFieldDefinitions(structure) {
+  const componentFields = structure.map((component) => ({
+    key: component.key,
+    label: component.label,
+    type: component.type === "text" ? "text" : "number",
+    placeholder: component.formula ? `= ${component.formula}` : component.placeholder ?? "",
+    aliases: component.aliases ?? [],
+    required: component.required && !component.formula,
+    component,
+  }));
+  return [...EMPLOYEE_INFO_FIELDS, ...componentFields, ...ADDITIONAL_FIELDS];
+}
+
+export function createComponentKey(label, structure) {
+  const words = label
+    .replace(/[^A-Za-z0-9]+/g, " ")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  const base =
+    words
+      .map((word, index) => (index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+      .join("") || "component";
+  const safeBase = /^[a-z]/.test(base) ? base : `component${base}`;
+  const taken = new Set([...RESERVED_KEYS, ...structure.map((component) => component.key)]);
+  let key = safeBase;
+  let suffix = 2;
+  while (taken.has(key) || key in FORMULA_FUNCTIONS) {
+    key = `${safeBase}${suffix}`;
+    suffix += 1;
+  }
+  return key;
+}
+
+function tokenizeFormula(source) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|([-+*/(),]))/y;
+  let index = 0;
+  while (index < source.length) {
+    if (!source.slice(index).trim()) {
+      break;
+    }
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected "${source.slice(index).trim()[0]}" in formula.`);
+    }
+    if (match[1]) {
+      tokens.push({ type: "number", value: Number(match[1]) });
+    } else if (match[2]) {
+      tokens.push({ type: "name", value: match[2] });
+    } else {
+      tokens.push({ type: "op", value: match[3] });
+    }
+    index = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+function parseFormula(source) {
+  const tokens = tokenizeFormula(source);
+  let position = 0;
+  const peek = () => tokens[position];
+  const take = (value) => {
+    const token = tokens[position];
+    if (value !== undefined && token?.value !== value) {
+      throw new Error(`Expected "${value}" in formula.`);
+    }
+    position += 1;
+    return token;
+  };
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (peek()?.value === "+" || peek()?.value === "-") {
+      node = { type: "binary", operator: take().value, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (peek()?.value === "*" || peek()?.value === "/") {
+      node = { type: "binary", operator: take().value, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+  const parseUnary = () => {
+    if (peek()?.value === "-" || peek()?.value === "+") {
+      const operator = take().value;
+      const operand = parseUnary();
+      return operator === "-" ? { type: "negate", operand } : operand;
+    }
+    return parsePrimary();
+  };
+  const parsePrimary = () => {
+    const token = take();
+    if (!token) {
+      throw new Error("The formula ends unexpectedly.");
+    }
+    if (token.type === "number") {
+      return { type: "number", value: token.value };
+    }
+    if (token.value === "(") {
+      const node = parseExpression();
+      take(")");
+      return node;
+    }
+    if (token.type === "name") {
+      if (peek()?.value !== "(") {
+        return { type: "reference", key: token.value };
+      }
+      if (!FORMULA_FUNCTIONS[token.value]) {
+        throw new Error(`Unknown function "${token.value}".`);
+      }
+      take("(");
+      const args = [];
+      if (peek()?.value !== ")") {
+        args.push(parseExpression());
+        while (peek()?.value === ",") {
+          take(",");
+          args.push(parseExpression());
+        }
+      }
+      take(")");
+      return { type: "call", name: token.value, args };
+    }
+    throw new Error(`Unexpected "${token.value}" in formula.`);
+  };
+
+  const tree = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}" in formula.`);
+  }
+  return tree;
+}
+
+function collectReferences(node, references = new Set()) {
+  if (node.type === "reference") {
+    references.add(node.key);
+  } else if (node.type === "negate") {
+    collectReferences(node.operand, references);
+  } else if (node.type === "binary") {
+    collectReferences(node.left, references);
+    collectReferences(node.right, references);
+  } else if (node.type === "call") {
+    node.args.forEach((arg) => collectReferences(arg, references));
+  }
+  return references;
+}
+
+function evaluateNode(node, lookup) {
+  switch (node.type) {
+    case "number":
+      return node.value;
+    case "reference":
+      return lookup(node.key);
+    case "negate":
+      return -evaluateNode(node.operand, lookup);
+    case "call":
+      return FORMULA_FUNCTIONS[node.name](...node.args.map((arg) => evaluateNode(arg, lookup)));
+    default: {
+      const left = evaluateNode(node.left, lookup);
+      const right = evaluateNode(node.right, lookup);
+      if (node.operator === "+") return left + right;
+      if (node.operator === "-") return left - right;
+      if (node.operator === "*") return left * right;
+      return right === 0 ? 0 : left / right;
+    }
+  }
+}
+
+const compiledFormulas = new Map();
+
+export function compileFormula(source) {
+  if (!compiledFormulas.has(source)) {
+    const tree = parseFormula(source);
+    compiledFormulas.set(source, {
+      references: collectReferences(tree),
+      evaluate: (lookup) => evaluateNode(tree, lookup),
+    });
+  }
+  return compiledFormulas.get(source);
+}
+
+export function evaluateComponents(structure, employee) {
+  const byKey = new Map(structure.map((component) => [component.key, component]));
+  const values = new Map();
+  const resolving = new Set();
+
+  const resolve = (key) => {
+    if (values.has(key)) {
+      return values.get(key);
+    }
+    const component = byKey.get(key);
+    if (!component || component.type === "text") {
+      return 0;
+    }
+    if (resolving.has(key)) {
+      throw new Error(`The formula for ${component.label} refers back to itself.`);
+    }
+    resolving.add(key);
+    let value = parseNumber(employee[key]);
+    if (value === null && component.formula?.trim()) {
+      value = compileFormula(component.formula.trim()).evaluate(resolve);
+      value = Number.isFinite(value) ? Math.round(value * 100) / 100 : 0;
+    }
+    resolving.delete(key);
+    values.set(key, value ?? 0);
+    return value ?? 0;
+  };
+
+  return structure.map((component) => {
+    const entered = String(employee[component.key] ?? "").trim();
+    return {
+      component,
+      entered,
+      usesFormula: !entered && Boolean(component.formula?.trim()),
+      value: component.type === "text" ? null : resolve(component.key),
+    };
+  });
+}
+
+export function validateSalaryStructure(structure) {
+  if (!structure.some((component) => component.key === BASIC_SALARY_KEY)) {
+    return "The structure must keep the Basic Salary component.";
+  }
+  const labels = new Set();
+  for (const component of structure) {
+    const label = component.label.trim();
+    if (!label) {
+      return "Every component needs a label.";
+    }
+    if (labels.has(label.toLowerCase())) {
+      return `"${label}" is used by more than one component.`;
+    }
+    labels.add(label.toLowerCase());
+    if (component.type === "text" && component.kind !== "info") {
+      return `${label} must be a number to count as an earning or deduction.`;
+    }
+    if (!component.formula?.trim()) {
+      continue;
+    }
+    let formula;
+    try {
+      formula = compileFormula(component.formula.trim());
+    } catch (error) {
+      return `${label}: ${error.message}`;
+    }
+    for (const reference of formula.references) {
+      const target = structure.find((item) => item.key === reference);
+      if (!target || target.type === "text") {
+        return `${label}: "${reference}" is not a number component.`;
+      }
+    }
+  }
+  try {
+    evaluateComponents(structure, {});
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
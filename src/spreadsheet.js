@@ -0,0 +1,287 @@
+import * as XLSX from "xlsx";
+import { BANK_ADVICE_COLUMNS } from "./bankAdvice.js";
+import { buildFieldDefinitions } from "./salaryStructure.js";
+import { createEmptyEmployee, enrichEmployeeData, normaliseInputValue, parseNumber } from "./utils.js";
+import { VARIANCE_STATUSES } from "./variance.js";
+
+export const SPREADSHEET_ACCEPT = ".csv,.xlsx,.xls,.json";
+
+export const EXPORT_FORMATS = [
+  { id: "csv", label: "CSV", extension: "csv", mimeType: "text/csv;charset=utf-8" },
+  {
+    id: "xlsx",
+    label: "Excel (XLSX)",
+    extension: "xlsx",
+    mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+  { id: "json", label: "JSON", extension: "json", mimeType: "application/json" },
+];
+
+const COMPUTED_COLUMNS = [
+  { key: "overtimeAmount", label: "Overtime Pay" },
+  { key: "grossEarnings", label: "Gross Earnings" },
+  { key: "totalDeductionsAmount", label: "Total Deductions" },
+  { key: "employerContributionAmount", label: "Employer PF Contribution" },
+  { key: "taxAmount", label: "Tax Deducted at Source" },
+  { key: "computedTotal", label: "Computed Total" },
+  { key: "netAmount", label: "Net Salary" },
+  { key: "netAmountBase", label: "Net Salary (BDT)" },
+];
+
+// Every CSV the app writes goes through here. The BOM makes Excel open the UTF-8 file with the right encoding.
+export function toCsv(rows, { bom = true } = {}) {
+  const csv = XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(rows));
+  return bom ? `\ufeff${csv}` : csv;
+}
+
+function normaliseHeader(value) {
+  return String(value ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+function toIsoDate(date) {
+  const adjusted = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return adjusted.toISOString().slice(0, 10);
+}
+
+function toCell(value, text) {
+  if (value instanceof Date) {
+    return { value, text: toIsoDate(value) };
+  }
+  const display = text === undefined || text === null || text === "" ? value : text;
+  return { value, text: display === undefined || display === null ? "" : String(display).trim() };
+}
+
+function readJsonRows(text, fileName) {
+  const parsed = JSON.parse(text);
+  const records = Array.isArray(parsed) ? parsed : parsed?.employees;
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new Error("The JSON file does not contain an employees list.");
+  }
+  const headers = [];
+  records.forEach((record) => {
+    Object.keys(record ?? {}).forEach((key) => {
+      if (typeof record[key] !== "object" && !headers.includes(key)) {
+        headers.push(key);
+      }
+    });
+  });
+  const rows = records.map((record) => headers.map((header) => toCell(record?.[header] ?? "")));
+  return { fileName, sheetName: "employees", headers, rows };
+}
+
+export async function readSpreadsheetFile(file) {
+  if (/\.json$/i.test(file.name) || file.type === "application/json") {
+    return readJsonRows(await file.text(), file.name);
+  }
+
+  const isCsv = /\.csv$/i.test(file.name) || file.type === "text/csv";
+  // CSV cells stay as plain text so day-first dates are not reinterpreted as US dates.
+  const workbook = isCsv
+    ? XLSX.read(await file.text(), { type: "string", raw: true })
+    : XLSX.read(await file.arrayBuffer(), { type: "array", cellDates: true });
+
+  const sheetName = workbook.SheetNames[0];
+  if (!sheetName) {
+    throw new Error("The file does not contain any sheets.");
+  }
+  const sheet = workbook.Sheets[sheetName];
+  const values = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: "", blankrows: false });
+  const texts = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: "", blankrows: false });
+
+  if (values.length === 0) {
+    throw new Error("The file is empty.");
+  }
+
+  const [headerRow, ...bodyRows] = values;
+  const headers = headerRow.map((header, index) => String(header ?? "").trim() || `Column ${index + 1}`);
+  const rows = bodyRows
+    .map((row, rowIndex) => headers.map((_, colIndex) => toCell(row[colIndex], texts[rowIndex + 1]?.[colIndex])))
+    .filter((row) => row.some((cell) => cell.text !== ""));
+
+  return { fileName: file.name, sheetName, headers, rows };
+}
+
+export function suggestHeaderMapping(headers, fields) {
+  const used = new Set();
+  return headers.map((header) => {
+    const normalised = normaliseHeader(header);
+    if (!normalised) {
+      return "";
+    }
+    const match = fields.find((field) => {
+      if (used.has(field.key)) {
+        return false;
+      }
+      const candidates = [field.key, field.label, ...(field.aliases ?? [])].map(normaliseHeader);
+      return candidates.includes(normalised);
+    });
+    if (!match) {
+      return "";
+    }
+    used.add(match.key);
+    return match.key;
+  });
+}
+
+function cellToInput(field, cell) {
+  if (!cell) {
+    return "";
+  }
+  if (field.type === "date" && cell.value instanceof Date) {
+    return toIsoDate(cell.value);
+  }
+  if (field.type === "number" && typeof cell.value === "number") {
+    return String(cell.value);
+  }
+  return cell.text;
+}
+
+export function buildEmployeesFromRows(rows, mapping, fields) {
+  const fieldsByKey = new Map(fields.map((field) => [field.key, field]));
+  return rows
+    .map((row) => {
+      const employee = createEmptyEmployee();
+      let hasValue = false;
+      mapping.forEach((fieldKey, colIndex) => {
+        const field = fieldsByKey.get(fieldKey);
+        if (!field) {
+          return;
+        }
+        const value = normaliseInputValue(field, cellToInput(field, row[colIndex])).trim();
+        if (value) {
+          employee[field.key] = value;
+          hasValue = true;
+        }
+      });
+      return hasValue ? employee : null;
+    })
+    .filter(Boolean);
+}
+
+function toExportValue(field, value) {
+  if (field.type === "number") {
+    return parseNumber(value) ?? "";
+  }
+  return value ?? "";
+}
+
+export function exportEmployees(employees, { format, includeComputed, baseName, context }) {
+  const exportFormat = EXPORT_FORMATS.find((item) => item.id === format) ?? EXPORT_FORMATS[0];
+  const filename = `${baseName}.${exportFormat.extension}`;
+  const fields = buildFieldDefinitions(context.structure).filter((field) => !field.secret);
+
+  if (exportFormat.id === "json") {
+    const payload = {
+      exportedAt: new Date().toISOString(),
+      employees: employees.map((employee) => {
+        const record = {};
+        fields.forEach((field) => {
+          record[field.key] = employee[field.key] ?? "";
+        });
+        if (includeComputed) {
+          const enriched = enrichEmployeeData(employee, context);
+          record.computed = COMPUTED_COLUMNS.reduce((acc, column) => {
+            acc[column.key] = enriched[column.key];
+            return acc;
+          }, {});
+        }
+        return record;
+      }),
+    };
+    return {
+      filename,
+      blob: new Blob([JSON.stringify(payload, null, 2)], { type: exportFormat.mimeType }),
+    };
+  }
+
+  const header = fields.map((field) => field.label);
+  if (includeComputed) {
+    header.push(...COMPUTED_COLUMNS.map((column) => column.label));
+  }
+  const body = employees.map((employee) => {
+    const row = fields.map((field) => toExportValue(field, employee[field.key]));
+    if (includeComputed) {
+      const enriched = enrichEmployeeData(employee, context);
+      row.push(...COMPUTED_COLUMNS.map((column) => enriched[column.key]));
+    }
+    return row;
+  });
+
+  if (exportFormat.id === "csv") {
+    return { filename, blob: new Blob([toCsv([header, ...body])], { type: exportFormat.mimeType }) };
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([header, ...body]), "Employees");
+  const buffer = XLSX.write(workbook, { bookType: "xlsx", type: "array" });
+  return { filename, blob: new Blob([buffer], { type: exportFormat.mimeType }) };
+}
+
+const DEPARTMENT_COLUMNS = [
+  { key: "name", label: "Department" },
+  { key: "previousHeadcount", label: "Previous Headcount" },
+  { key: "currentHeadcount", label: "Current Headcount" },
+  { key: "joiners", label: "New Joiners" },
+  { key: "leavers", label: "Leavers" },
+  { key: "previousNet", label: "Previous Net (BDT)" },
+  { key: "currentNet", label: "Current Net (BDT)" },
+  { key: "difference", label: "Change (BDT)" },
+  { key: "unconverted", label: "Rows Without Exchange Rate" },
+];
+
+// CSV has a single sheet, so the department subtotals follow the employee rows after a blank line.
+export function exportVarianceReport(report, { format, baseName }) {
+  const exportFormat = EXPORT_FORMATS.find((item) => item.id === format) ?? EXPORT_FORMATS[0];
+  const filename = `${baseName}.${exportFormat.extension}`;
+
+  const employeeHeader = ["Employee ID", "Employee Name", "Department", "Status", "Currency"];
+  report.columns.forEach((column) => {
+    employeeHeader.push(`${column.label} (Previous)`, `${column.label} (Current)`, `${column.label} (Change)`);
+  });
+  employeeHeader.push("Flags");
+  const employeeRows = report.rows.map((row) => [
+    row.employeeId,
+    row.employeeName,
+    row.department,
+    VARIANCE_STATUSES[row.status],
+    row.currency,
+    ...row.changes.flatMap((change) => [change.previous ?? "", change.current ?? "", change.difference]),
+    row.flags.join("; "),
+  ]);
+  const departmentRows = report.departments
+    .concat(report.totals)
+    .map((department) => DEPARTMENT_COLUMNS.map((column) => department[column.key]));
+  const departmentHeader = DEPARTMENT_COLUMNS.map((column) => column.label);
+
+  if (exportFormat.id === "csv") {
+    const csv = toCsv([employeeHeader, ...employeeRows, [], departmentHeader, ...departmentRows]);
+    return { filename, blob: new Blob([csv], { type: exportFormat.mimeType }) };
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([employeeHeader, ...employeeRows]), "Employees");
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([departmentHeader, ...departmentRows]), "Departments");
+  const buffer = XLSX.write(workbook, { bookType: "xlsx", type: "array" });
+  return { filename, blob: new Blob([buffer], { type: exportFormat.mimeType }) };
+}
+
+/**
+ * The BEFTN upload file: one transfer per row with no totals row and no byte-order mark, since bank
+ * portals read the file as plain ASCII. Account and routing numbers stay text so leading zeros survive.
+ */
+export function exportBankAdvice(advice, { baseName }) {
+  const exportFormat = EXPORT_FORMATS.find((item) => item.id === "csv");
+  const header = BANK_ADVICE_COLUMNS.map((column) => column.label);
+  const rows = advice.payments.map((payment) =>
+    BANK_ADVICE_COLUMNS.map((column) =>
+      column.key === "amount" ? payment.amount.toFixed(2) : String(payment[column.key] ?? "")
+    )
+  );
+  const csv = toCsv([header, ...rows], { bom: false });
+  return {
+    filename: `${baseName}.${exportFormat.extension}`,
+    blob: new Blob([csv], { type: exportFormat.mimeType }),
+  };
+}
@@ -0,0 +1,72 @@
+const DB_NAME = "payroll-techchef-paperwork";
+const DB_VERSION = 4;
+const STORE_NAMES = ["drafts", "settings", "companies", "employees", "payRuns"];
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (databasePromise) {
+    return databasePromise;
+  }
+  databasePromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      STORE_NAMES.forEach((storeName) => {
+        if (!database.objectStoreNames.contains(storeName)) {
+          database.createObjectStore(storeName, { keyPath: "id" });
+        }
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  databasePromise.catch(() => {
+    databasePromise = null;
+  });
+  return databasePromise;
+}
+
+async function runRequest(storeName, mode, operation) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+export function getAllRecords(storeName) {
+  return runRequest(storeName, "readonly", (store) => store.getAll());
+}
+
+export function getRecord(storeName, id) {
+  return runRequest(storeName, "readonly", (store) => store.get(id));
+}
+
+export function putRecord(storeName, record) {
+  return runRequest(storeName, "readwrite", (store) => store.put(record));
+}
+
+export function deleteRecord(storeName, id) {
+  return runRequest(storeName, "readwrite", (store) => store.delete(id));
+}
+
+export async function loadSetting(id, fallback = null) {
+  const record = await getRecord("settings", id);
+  return record ? record.value : fallback;
+}
+
+export function saveSetting(id, value) {
+  return putRecord("settings", { id, value });
+}
+
+export function createRecordId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.round(Math.random() * 1e6).toString(36)}`;
+}
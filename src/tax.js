@@ -0,0 +1,143 @@
+export const TAXPAYER_CATEGORIES = [
+  { id: "general", label: "General" },
+  { id: "female", label: "Women" },
+  { id: "senior", label: "Senior citizens" },
+  { id: "disabled", label: "Persons with disability" },
+  { id: "thirdGender", label: "Third gender" },
+];
+
+// Finance Act 2024 (FY 2024-25) figures; further years are added from the Tax Settings dialog.
+export const DEFAULT_TAX_TABLE = {
+  thresholds: {
+    general: 350000,
+    female: 400000,
+    senior: 400000,
+    disabled: 475000,
+    thirdGender: 475000,
+  },
+  seniorAge: 65,
+  slabs: [
+    { amount: 100000, rate: 5 },
+    { amount: 400000, rate: 10 },
+    { amount: 500000, rate: 15 },
+    { amount: 500000, rate: 20 },
+    { amount: 2000000, rate: 25 },
+    { amount: null, rate: 30 },
+  ],
+  exemption: { rate: 33.3333, cap: 450000 },
+  rebate: { incomeRate: 3, investmentRate: 15, cap: 1000000 },
+  minimumTax: 5000,
+};
+
+export const DEFAULT_TAX_SETTINGS = {
+  enabled: false,
+  tables: { "2024-25": DEFAULT_TAX_TABLE },
+};
+
+export function fiscalYearFor(value) {
+  const date = value ? new Date(`${value}T00:00:00`) : new Date();
+  const reference = Number.isNaN(date.getTime()) ? new Date() : date;
+  const year = reference.getFullYear();
+  // Bangladesh fiscal years run from July to June.
+  const startYear = reference.getMonth() >= 6 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+}
+
+export function resolveTaxTable(tables, fiscalYear) {
+  const years = Object.keys(tables ?? {}).sort();
+  if (!years.length) {
+    return { fiscalYear, table: DEFAULT_TAX_TABLE };
+  }
+  const applicable = years.filter((year) => year <= fiscalYear);
+  const chosen = applicable.length ? applicable[applicable.length - 1] : years[0];
+  return { fiscalYear: chosen, table: tables[chosen] };
+}
+
+function ageOn(dateOfBirth, referenceDate) {
+  if (!dateOfBirth) {
+    return null;
+  }
+  const birth = new Date(`${dateOfBirth}T00:00:00`);
+  if (Number.isNaN(birth.getTime())) {
+    return null;
+  }
+  let age = referenceDate.getFullYear() - birth.getFullYear();
+  const beforeBirthday =
+    referenceDate.getMonth() < birth.getMonth() ||
+    (referenceDate.getMonth() === birth.getMonth() && referenceDate.getDate() < birth.getDate());
+  if (beforeBirthday) {
+    age -= 1;
+  }
+  return age;
+}
+
+export function resolveTaxpayerCategory({ gender, dateOfBirth, disability, payDate }, table) {
+  const referenceDate = payDate ? new Date(`${payDate}T00:00:00`) : new Date();
+  const age = ageOn(dateOfBirth, Number.isNaN(referenceDate.getTime()) ? new Date() : referenceDate);
+  const candidates = ["general"];
+  if (gender === "female") {
+    candidates.push("female");
+  }
+  if (gender === "third-gender") {
+    candidates.push("thirdGender");
+  }
+  if (age !== null && age >= table.seniorAge) {
+    candidates.push("senior");
+  }
+  if (disability === "yes") {
+    candidates.push("disabled");
+  }
+  // The most favourable threshold applies when several categories match.
+  return candidates.reduce((best, category) =>
+    (table.thresholds[category] ?? 0) > (table.thresholds[best] ?? 0) ? category : best
+  );
+}
+
+export function calculateMonthlyTds(
+  { monthlyEarnings, gender, dateOfBirth, disability, annualInvestment, payDate },
+  settings
+) {
+  const { fiscalYear, table } = resolveTaxTable(settings.tables, fiscalYearFor(payDate));
+  const annualIncome = Math.max(monthlyEarnings, 0) * 12;
+  const exemption = Math.round(Math.min((annualIncome * table.exemption.rate) / 100, table.exemption.cap));
+  const taxableIncome = Math.max(annualIncome - exemption, 0);
+  const category = resolveTaxpayerCategory({ gender, dateOfBirth, disability, payDate }, table);
+  const threshold = table.thresholds[category] ?? table.thresholds.general;
+
+  let remaining = Math.max(taxableIncome - threshold, 0);
+  let grossTax = 0;
+  for (const slab of table.slabs) {
+    if (remaining <= 0) {
+      break;
+    }
+    const portion = slab.amount === null || slab.amount === undefined ? remaining : Math.min(remaining, slab.amount);
+    grossTax += (portion * slab.rate) / 100;
+    remaining -= portion;
+  }
+
+  const rebate =
+    grossTax > 0
+      ? Math.min(
+          (taxableIncome * table.rebate.incomeRate) / 100,
+          (Math.max(annualInvestment, 0) * table.rebate.investmentRate) / 100,
+          table.rebate.cap
+        )
+      : 0;
+  let annualTax = Math.max(grossTax - rebate, 0);
+  if (taxableIncome > threshold && annualTax < table.minimumTax) {
+    annualTax = table.minimumTax;
+  }
+
+  return {
+    fiscalYear,
+    category,
+    annualIncome,
+    exemption,
+    taxableIncome,
+    threshold,
+    grossTax,
+    rebate,
+    annualTax,
+    monthlyTds: Math.round(annualTax / 12),
+  };
+}
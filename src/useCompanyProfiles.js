@@ -0,0 +1,49 @@
+import { useCallback, useEffect, useState } from "react";
+import { DEFAULT_COMPANY_PROFILE } from "./constants.js";
+import { deleteRecord, getAllRecords, putRecord } from "./storage.js";
+
+function sortProfiles(records) {
+  return records.slice().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export default function useCompanyProfiles() {
+  const [ready, setReady] = useState(false);
+  const [profiles, setProfiles] = useState([DEFAULT_COMPANY_PROFILE]);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        let records = await getAllRecords("companies");
+        if (!records.length) {
+          await putRecord("companies", DEFAULT_COMPANY_PROFILE);
+          records = [DEFAULT_COMPANY_PROFILE];
+        }
+        if (!cancelled) {
+          setProfiles(sortProfiles(records.map((record) => ({ ...DEFAULT_COMPANY_PROFILE, ...record }))));
+        }
+      } catch (error) {
+        console.error("Failed to load company profiles", error);
+      } finally {
+        if (!cancelled) {
+          setReady(true);
+        }
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const saveProfile = useCallback(async (profile) => {
+    await putRecord("companies", profile);
+    setProfiles((prev) => sortProfiles(prev.filter((item) => item.id !== profile.id).concat(profile)));
+  }, []);
+
+  const deleteProfile = useCallback(async (id) => {
+    await deleteRecord("companies", id);
+    setProfiles((prev) => prev.filter((item) => item.id !== id));
+  }, []);
+
+  return { ready, profiles, saveProfile, deleteProfile };
+}
@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useState } from "react";
+import { createDirectoryEntry } from "./employeeDirectory.js";
+import { deleteRecord, getAllRecords, putRecord } from "./storage.js";
+
+function sortEntries(records) {
+  return records.slice().sort((a, b) => a.employeeName.localeCompare(b.employeeName));
+}
+
+export default function useEmployeeDirectory() {
+  const [ready, setReady] = useState(false);
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const records = await getAllRecords("employees");
+        if (!cancelled) {
+          setEntries(sortEntries(records.map((record) => createDirectoryEntry(record))));
+        }
+      } catch (error) {
+        console.error("Failed to load the employee directory", error);
+      } finally {
+        if (!cancelled) {
+          setReady(true);
+        }
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const saveEntries = useCallback(async (records) => {
+    await Promise.all(records.map((record) => putRecord("employees", record)));
+    const ids = new Set(records.map((record) => record.id));
+    setEntries((prev) => sortEntries(prev.filter((item) => !ids.has(item.id)).concat(records)));
+  }, []);
+
+  const saveEntry = useCallback((entry) => saveEntries([entry]), [saveEntries]);
+
+  const deleteEntry = useCallback(async (id) => {
+    await deleteRecord("employees", id);
+    setEntries((prev) => prev.filter((item) => item.id !== id));
+  }, []);
+
+  return { ready, entries, saveEntry, saveEntries, deleteEntry };
+}
@@ -0,0 +1,40 @@
+import { useCallback, useEffect, useState } from "react";
+import { getAllRecords, putRecord } from "./storage.js";
+
+function sortRuns(records) {
+  return records.slice().sort((a, b) => b.payDate.localeCompare(a.payDate) || b.finalisedAt.localeCompare(a.finalisedAt));
+}
+
+// Pay runs are never deleted; reopening and finalising again rewrite the same record.
+export default function usePayRuns() {
+  const [ready, setReady] = useState(false);
+  const [runs, setRuns] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const records = await getAllRecords("payRuns");
+        if (!cancelled) {
+          setRuns(sortRuns(records));
+        }
+      } catch (error) {
+        console.error("Failed to load the pay run archive", error);
+      } finally {
+        if (!cancelled) {
+          setReady(true);
+        }
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const saveRun = useCallback(async (run) => {
+    await putRecord("payRuns", run);
+    setRuns((prev) => sortRuns(prev.filter((item) => item.id !== run.id).concat(run)));
+  }, []);
+
+  return { ready, runs, saveRun };
+}
@@ -0,0 +1,209 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { createRecordId, deleteRecord, getAllRecords, loadSetting, saveSetting, putRecord } from "./storage.js";
+
+const AUTOSAVE_DELAY_MS = 1000;
+const ACTIVE_DRAFT_SETTING = "activeDraftId";
+
+function createDraftMeta(name) {
+  const now = Date.now();
+  return {
+    id: createRecordId("draft"),
+    name: name?.trim() || `Draft ${new Date(now).toLocaleString("en-GB")}`,
+    createdAt: now,
+  };
+}
+
+function sortDrafts(records) {
+  return records.slice().sort((a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0));
+}
+
+export default function useWorkspaceDrafts({ workspace, hasContent, applyWorkspace, createBlankWorkspace }) {
+  const [ready, setReady] = useState(false);
+  const [available, setAvailable] = useState(true);
+  const [activeDraft, setActiveDraft] = useState(() => createDraftMeta());
+  const [drafts, setDrafts] = useState([]);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const [restoredDraft, setRestoredDraft] = useState(null);
+
+  const workspaceRef = useRef(workspace);
+  const activeDraftRef = useRef(activeDraft);
+  const persistedRef = useRef(false);
+  const skipNextSaveRef = useRef(false);
+  workspaceRef.current = workspace;
+  activeDraftRef.current = activeDraft;
+
+  const refreshDrafts = useCallback(async () => {
+    const records = await getAllRecords("drafts");
+    setDrafts(sortDrafts(records));
+    return records;
+  }, []);
+
+  const saveNow = useCallback(async () => {
+    const meta = activeDraftRef.current;
+    const updatedAt = Date.now();
+    await putRecord("drafts", { ...meta, updatedAt, workspace: workspaceRef.current });
+    await saveSetting(ACTIVE_DRAFT_SETTING, meta.id);
+    persistedRef.current = true;
+    setLastSavedAt(updatedAt);
+    await refreshDrafts();
+  }, [refreshDrafts]);
+
+  const activate = useCallback(
+    (record) => {
+      const meta = { id: record.id, name: record.name, createdAt: record.createdAt };
+      activeDraftRef.current = meta;
+      persistedRef.current = true;
+      // Opening a draft should not bump its "last saved" time.
+      skipNextSaveRef.current = true;
+      setActiveDraft(meta);
+      setLastSavedAt(record.updatedAt ?? null);
+      applyWorkspace(record.workspace);
+    },
+    [applyWorkspace]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const records = await refreshDrafts();
+        const activeId = await loadSetting(ACTIVE_DRAFT_SETTING);
+        const record = records.find((item) => item.id === activeId) ?? sortDrafts(records)[0];
+        if (!cancelled && record?.workspace) {
+          activate(record);
+          setRestoredDraft(record);
+        }
+      } catch (error) {
+        console.error("Failed to restore the saved workspace", error);
+        if (!cancelled) {
+          setAvailable(false);
+          toast.error("Autosave is unavailable in this browser. Your work will not be kept after a refresh.");
+        }
+      } finally {
+        if (!cancelled) {
+          setReady(true);
+        }
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [activate, refreshDrafts]);
+
+  useEffect(() => {
+    if (!ready || !available) {
+      return undefined;
+    }
+    if (skipNextSaveRef.current) {
+      skipNextSaveRef.current = false;
+      return undefined;
+    }
+    if (!persistedRef.current && !hasContent) {
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      saveNow().catch((error) => {
+        console.error("Failed to autosave the workspace", error);
+      });
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [available, hasContent, ready, saveNow, workspace]);
+
+  const startNewDraft = useCallback(
+    async (name) => {
+      if (persistedRef.current || hasContent) {
+        await saveNow();
+      }
+      const meta = createDraftMeta(name);
+      activeDraftRef.current = meta;
+      persistedRef.current = false;
+      setActiveDraft(meta);
+      setLastSavedAt(null);
+      setRestoredDraft(null);
+      applyWorkspace(createBlankWorkspace());
+    },
+    [applyWorkspace, createBlankWorkspace, hasContent, saveNow]
+  );
+
+  const openDraft = useCallback(
+    async (id) => {
+      if (id === activeDraftRef.current.id) {
+        return;
+      }
+      if (persistedRef.current || hasContent) {
+        await saveNow();
+      }
+      const record = (await refreshDrafts()).find((item) => item.id === id);
+      if (!record) {
+        toast.error("That draft no longer exists.");
+        return;
+      }
+      activate(record);
+      setRestoredDraft(null);
+      await saveSetting(ACTIVE_DRAFT_SETTING, record.id);
+    },
+    [activate, hasContent, refreshDrafts, saveNow]
+  );
+
+  const renameDraft = useCallback(
+    async (id, name) => {
+      const trimmed = name.trim();
+      if (!trimmed) {
+        return;
+      }
+      if (id === activeDraftRef.current.id) {
+        const meta = { ...activeDraftRef.current, name: trimmed };
+        activeDraftRef.current = meta;
+        setActiveDraft(meta);
+        if (persistedRef.current) {
+          await saveNow();
+        }
+        return;
+      }
+      const record = drafts.find((item) => item.id === id);
+      if (record) {
+        await putRecord("drafts", { ...record, name: trimmed });
+        await refreshDrafts();
+      }
+    },
+    [drafts, refreshDrafts, saveNow]
+  );
+
+  const deleteDraft = useCallback(
+    async (id) => {
+      await deleteRecord("drafts", id);
+      if (id === activeDraftRef.current.id) {
+        const meta = createDraftMeta();
+        activeDraftRef.current = meta;
+        persistedRef.current = false;
+        setActiveDraft(meta);
+        setLastSavedAt(null);
+        applyWorkspace(createBlankWorkspace());
+      }
+      setRestoredDraft(null);
+      await refreshDrafts();
+    },
+    [applyWorkspace, createBlankWorkspace, refreshDrafts]
+  );
+
+  const discardActiveDraft = useCallback(
+    () => deleteDraft(activeDraftRef.current.id),
+    [deleteDraft]
+  );
+
+  return {
+    ready,
+    available,
+    activeDraft,
+    drafts,
+    lastSavedAt,
+    restoredDraft,
+    dismissRestoredDraft: () => setRestoredDraft(null),
+    discardActiveDraft,
+    startNewDraft,
+    openDraft,
+    renameDraft,
+    deleteDraft,
+  };
+}
@@ -1,12 +1,67 @@
-import { CURRENCY_FIELDS, EMPLOYEE_KEYS, REQUIRED_FIELDS } from "./constants.js";
+import { DEFAULT_WORDS_SETTINGS, amountInWordsLines } from "./amountInWords.js";
+import {
+  ATTENDANCE_BONUS_KEY,
+  DEFAULT_ATTENDANCE_SETTINGS,
+  applyAttendance,
+  calculateAttendance,
+  validateAttendance,
+} from "./attendance.js";
+import {
+  DEFAULT_BONUS_BANDS,
+  PERFORMANCE_BONUS_KEY,
+  resolveBonusBand,
+  validateBonusOverride,
+} from "./bonusBands.js";
+import { BASE_CURRENCY, CURRENCY_OPTIONS, DEFAULT_PAYSLIP_LANGUAGE } from "./constants.js";
+import { BANGLA_MONTHS, toBanglaDigits } from "./payslipLocale.js";
+import { DEFAULT_OVERTIME_SETTINGS, OVERTIME_KEY, calculateOvertime, validateOvertime } from "./overtime.js";
+import { calculateDeductions, formatDeductions, parseDeductions, validateDeductions } from "./deductions.js";
+import {
+  BASIC_SALARY_KEY,
+  DEFAULT_SALARY_STRUCTURE,
+  buildFieldDefinitions,
+  evaluateComponents,
+  isProratedComponent,
+} from "./salaryStructure.js";
+import { calculateMonthlyTds } from "./tax.js";
+import { addToYearToDate } from "./yearToDate.js";
 
-export function createEmptyEmployee() {
-  return EMPLOYEE_KEYS.reduce((acc, key) => {
-    acc[key] = "";
+export function createEmptyEmployee(structure = DEFAULT_SALARY_STRUCTURE) {
+  return buildFieldDefinitions(structure).reduce((acc, field) => {
+    acc[field.key] = "";
     return acc;
   }, {});
 }
 
+// Fills every field with its placeholder so layouts can be previewed before any data is entered.
+export function createSampleEmployee(structure = DEFAULT_SALARY_STRUCTURE) {
+  return buildFieldDefinitions(structure).reduce((acc, field) => {
+    if (field.type === "date") {
+      acc[field.key] = new Date().toISOString().slice(0, 10);
+    } else if (field.required || field.component || field.type === "deductions") {
+      // Formula placeholders read "= …"; leaving those empty lets the formula fill them.
+      acc[field.key] = field.placeholder?.startsWith("=") ? "" : field.placeholder ?? "";
+    } else {
+      acc[field.key] = "";
+    }
+    return acc;
+  }, {});
+}
+
+export function isEmployeeEmpty(employee) {
+  return Object.values(employee).every((value) => !String(value ?? "").trim());
+}
+
+// Brings rows saved by older versions up to the current field set.
+export function normaliseEmployeeRecord(saved) {
+  const { otherDeductions, ...rest } = saved ?? {};
+  const employee = { ...createEmptyEmployee(), ...rest };
+  if (!employee.deductions && otherDeductions) {
+    employee.deductions = formatDeductions(parseDeductions(otherDeductions));
+  }
+  return employee;
+}
+
 export function normaliseDateInput(value = "") {
   const trimmed = value.trim();
   if (!trimmed) {
@@ -41,6 +96,17 @@ export function normaliseInputValue(field, rawValue) {
   if (field.type === "date") {
     return normaliseDateInput(rawValue.trim());
   }
+  if (field.type === "deductions") {
+    return formatDeductions(parseDeductions(rawValue));
+  }
+  if (field.type === "select") {
+    const candidate = rawValue.trim().toLowerCase();
+    const option = field.options.find(
+      (item) =>
+        item.value === candidate || item.label.toLowerCase() === candidate || item.aliases?.includes(candidate)
+    );
+    return option ? option.value : rawValue.trim();
+  }
   // For text fields, preserve spaces - don't trim during input
   return rawValue;
 }
@@ -54,17 +120,53 @@ export function parseNumber(rawValue) {
   return Number.isFinite(value) ? value : null;
 }
 
-export function formatCurrency(value) {
+export function findCurrency(code) {
+  return CURRENCY_OPTIONS.find((currency) => currency.code === code) ?? CURRENCY_OPTIONS[0];
+}
+
+export function formatCurrency(value, currencyCode) {
   if (value === null) {
     return "0";
   }
-  return new Intl.NumberFormat("en-US", {
+  const locale = currencyCode ? findCurrency(currencyCode).locale : "en-US";
+  return new Intl.NumberFormat(locale, {
     minimumFractionDigits: value % 1 === 0 ? 0 : 2,
     maximumFractionDigits: 2,
   }).format(value);
 }
 
-export function formatDate(value) {
+export function formatMoney(value, currencyCode = BASE_CURRENCY, language = "en") {
+  const currency = findCurrency(currencyCode);
+  if (language === "bn") {
+    return `${currency.banglaPrefix ?? currency.prefix}${toBanglaDigits(formatCurrency(value, currencyCode))}`;
+  }
+  return `${currency.prefix}${formatCurrency(value, currencyCode)}`;
+}
+
+// Pay run exchange rates are BDT per unit of the foreign currency; null when no rate was entered.
+export function resolveExchangeRate(currencyCode, exchangeRates) {
+  if (currencyCode === BASE_CURRENCY) {
+    return 1;
+  }
+  const rate = parseNumber(exchangeRates?.[currencyCode]);
+  return rate && rate > 0 ? rate : null;
+}
+
+// TDS slabs are in BDT, so a row paid in another currency cannot be taxed until its rate is entered.
+export function lacksTaxExchangeRate(employee, context = {}) {
+  const currency = employee.currency || context.currency || BASE_CURRENCY;
+  return Boolean(context.tax?.enabled) && resolveExchangeRate(currency, context.exchangeRates) === null;
+}
+
+// Deductions the pay run works out itself, so a matching manual line would take them twice.
+export function automaticDeductions(raw, context = {}) {
+  return {
+    tax: Boolean(context.tax?.enabled),
+    attendance: calculateAttendance(raw, context.attendance ?? DEFAULT_ATTENDANCE_SETTINGS) !== null,
+  };
+}
+
+export function formatDate(value, language = "en") {
   if (!value) {
     return "";
   }
@@ -73,6 +175,10 @@ export function formatDate(value) {
   if (Number.isNaN(date.getTime())) {
     return value;
   }
+  if (language === "bn") {
+    const day = String(date.getDate()).padStart(2, "0");
+    return toBanglaDigits(`${day} ${BANGLA_MONTHS[date.getMonth()]} ${date.getFullYear()}`);
+  }
   return new Intl.DateTimeFormat("en-GB", {
     day: "2-digit",
     month: "long",
@@ -84,13 +190,31 @@ export function makeErrorKey(rowIndex, fieldKey) {
   return `${rowIndex}:${fieldKey}`;
 }
 
-export function buildErrorSet(employeesList) {
+export function collectRowErrors(employee, structure = DEFAULT_SALARY_STRUCTURE, bonusBands = DEFAULT_BONUS_BANDS) {
+  const invalidKeys = buildFieldDefinitions(structure)
+    .filter((field) => {
+      const value = String(employee[field.key] ?? "").trim();
+      if (field.required && !value) {
+        return true;
+      }
+      return field.component && field.type === "number" && value !== "" && parseNumber(value) === null;
+    })
+    .map((field) => field.key);
+  if (validateDeductions(parseDeductions(employee.deductions))) {
+    invalidKeys.push("deductions");
+  }
+  return invalidKeys.concat(
+    validateAttendance(employee),
+    validateOvertime(employee),
+    validateBonusOverride(employee, bonusBands)
+  );
+}
+
+export function buildErrorSet(employeesList, structure, bonusBands) {
   const nextErrors = new Set();
   employeesList.forEach((employee, rowIndex) => {
-    REQUIRED_FIELDS.forEach((fieldKey) => {
-      if (!employee[fieldKey]?.trim()) {
-        nextErrors.add(makeErrorKey(rowIndex, fieldKey));
-      }
+    collectRowErrors(employee, structure, bonusBands).forEach((fieldKey) => {
+      nextErrors.add(makeErrorKey(rowIndex, fieldKey));
     });
   });
   return nextErrors;
@@ -107,7 +231,23 @@ export function sanitiseFilename(name) {
     .slice(0, 60) || "salary-pay-slip";
 }
 
-export function enrichEmployeeData(raw) {
+// Pay slip colours come from CSS custom properties so each company profile can restyle them.
+export function brandStyle(company) {
+  return { "--brand-primary": company.primaryColor, "--brand-secondary": company.secondaryColor };
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function enrichEmployeeData(raw, context = {}) {
   const enriched = { ...raw };
   enriched.employeeName = raw.employeeName || "-";
   enriched.employeeId = raw.employeeId || "-";
@@ -115,27 +255,220 @@ export function enrichEmployeeData(raw) {
   enriched.department = raw.department || "-";
   enriched.payPeriod = raw.payPeriod || "-";
   enriched.payDate = formatDate(raw.payDate) || raw.payDate || "-";
+  enriched.payDateValue = raw.payDate ?? "";
+  enriched.payslipLanguage = raw.payslipLanguage || context.payslipLanguage || DEFAULT_PAYSLIP_LANGUAGE;
 
-  CURRENCY_FIELDS.forEach((key) => {
-    const numericValue = parseNumber(raw[key]);
-    enriched[key] = formatCurrency(numericValue);
-  });
+  const currency = raw.currency || context.currency || BASE_CURRENCY;
+  const exchangeRate = resolveExchangeRate(currency, context.exchangeRates);
+  enriched.currency = currency;
+  enriched.exchangeRate = exchangeRate;
 
-  enriched.mark = raw.mark || "-";
+  const attendanceSettings = context.attendance ?? DEFAULT_ATTENDANCE_SETTINGS;
+  const attendance = calculateAttendance(raw, attendanceSettings);
+  const structure = context.structure ?? DEFAULT_SALARY_STRUCTURE;
 
-  const basic = parseNumber(raw.basicSalary) ?? 0;
-  const house = parseNumber(raw.houseRentAllowance) ?? 0;
-  const transport = parseNumber(raw.transportAllowance) ?? 0;
-  const attendance = parseNumber(raw.attendanceBonus) ?? 0;
-  const performance = parseNumber(raw.performanceBonus) ?? 0;
-  const deductions = parseNumber(raw.otherDeductions) ?? 0;
+  // Percentage bands are worked out on the Basic Salary actually paid, so attendance is applied first.
+  const bandSettings = context.bonusBands ?? DEFAULT_BONUS_BANDS;
+  let bonusBand = null;
+  if (bandSettings.enabled && structure.some((component) => component.key === PERFORMANCE_BONUS_KEY)) {
+    const basicLine = evaluateComponents(structure, raw).find(({ component }) => component.key === BASIC_SALARY_KEY);
+    const paidBasic = basicLine ? applyAttendance(basicLine, attendance, attendanceSettings) : 0;
+    bonusBand = resolveBonusBand(raw, bandSettings, paidBasic);
+  }
+  const input = bonusBand && !bonusBand.overridden ? { ...raw, [PERFORMANCE_BONUS_KEY]: String(bonusBand.amount) } : raw;
+
+  const evaluatedComponents = evaluateComponents(structure, input);
+  const lines = evaluatedComponents.map(
+    (evaluated) => {
+      const { component, entered, usesFormula } = evaluated;
+      const value = applyAttendance(evaluated, attendance, attendanceSettings);
+      let display;
+      if (component.type === "text") {
+        display = entered || "-";
+      } else if (component.kind === "info") {
+        display = entered || (usesFormula ? formatCurrency(value, currency) : "-");
+      } else {
+        display = formatCurrency(value, currency);
+      }
+      enriched[component.key] = display;
+      return {
+        key: component.key,
+        label: component.label,
+        banglaLabel: component.banglaLabel ?? "",
+        kind: component.kind,
+        amount: value ?? 0,
+        numeric: component.type !== "text",
+        prorated: Boolean(attendance) && isProratedComponent(component),
+        display,
+      };
+    }
+  );
+
+  // Overtime is paid on the contracted Basic Salary, before attendance proration.
+  const contractBasic = evaluatedComponents.find(({ component }) => component.key === BASIC_SALARY_KEY)?.value ?? 0;
+  const overtime = calculateOvertime(raw, contractBasic, context.overtime ?? DEFAULT_OVERTIME_SETTINGS);
+  if (overtime) {
+    lines.push({
+      key: OVERTIME_KEY,
+      label: "Overtime",
+      banglaLabel: "ওভারটাইম",
+      kind: "earning",
+      amount: overtime.amount,
+      numeric: true,
+      prorated: false,
+      display: formatCurrency(overtime.amount, currency),
+    });
+  }
+  enriched.overtime = overtime;
+  enriched.overtimeAmount = overtime?.amount ?? 0;
+
+  enriched.attendance = attendance && {
+    ...attendance,
+    proratedLines: lines.filter((line) => line.prorated),
+    bonusLine: lines.find((line) => line.key === ATTENDANCE_BONUS_KEY) ?? null,
+  };
+  enriched.bonusBand = bonusBand;
+  const componentValue = (key) => lines.find((line) => line.key === key)?.amount ?? 0;
+  const sumOf = (kind) =>
+    lines.filter((line) => line.kind === kind).reduce((sum, line) => sum + line.amount, 0);
+
+  const basic = componentValue(BASIC_SALARY_KEY);
+  enriched.basicAmount = basic;
+  const earnings = sumOf("earning");
+  const deductions = calculateDeductions(raw.deductions, basic, currency);
+  const componentDeductions = lines
+    .filter((line) => line.kind === "deduction")
+    .map((line) => ({ ...line, employerAmount: 0, employerDisplay: formatCurrency(0, currency) }));
+  const deductionTotal = sumOf("deduction") + deductions.total;
+
+  // Informational components print in the earnings table, as Mark always has.
+  enriched.earningLines = lines.filter((line) => line.kind !== "deduction");
+  enriched.grossEarnings = earnings;
+
+  // Tax slabs are in BDT, so foreign-currency pay is converted at the pay run rate and back.
+  const tax = context.tax?.enabled && exchangeRate
+    ? calculateMonthlyTds(
+        {
+          monthlyEarnings: earnings * exchangeRate,
+          gender: raw.gender,
+          dateOfBirth: raw.dateOfBirth,
+          disability: raw.disability,
+          annualInvestment: parseNumber(raw.annualInvestment) ?? 0,
+          payDate: raw.payDate,
+        },
+        context.tax
+      )
+    : null;
+  const taxAmount = tax ? Math.round((tax.monthlyTds / exchangeRate) * 100) / 100 : 0;
+
+  enriched.taxEnabled = Boolean(tax);
+  enriched.taxDetails = tax;
+  enriched.taxAmount = taxAmount;
+  enriched.taxDeducted = formatCurrency(taxAmount, currency);
+
+  enriched.deductionLines = componentDeductions.concat(deductions.lines);
+  enriched.totalDeductionsAmount = deductionTotal + taxAmount;
+  enriched.totalDeductions = formatCurrency(enriched.totalDeductionsAmount, currency);
+  enriched.employerContributionAmount = deductions.employerTotal;
+  enriched.employerContribution = formatMoney(deductions.employerTotal, currency);
 
   const providedTotal = parseNumber(raw.totalSalary);
-  const computedTotal = basic + house + transport + attendance + performance - deductions;
-  const finalTotal = providedTotal ?? computedTotal;
+  const computedTotal = earnings - deductionTotal - taxAmount;
+  // Once TDS is taken, the typed Total Salary is only checked against the computed net, never paid instead of it.
+  const finalTotal = tax ? computedTotal : providedTotal ?? computedTotal;
 
-  enriched.totalSalary = formatCurrency(finalTotal);
-  enriched.netSalary = `BDT ${formatCurrency(finalTotal)}`;
+  enriched.totalSalary = formatCurrency(finalTotal, currency);
+  enriched.netSalary = formatMoney(finalTotal, currency);
+  enriched.wordsSettings = context.words ?? DEFAULT_WORDS_SETTINGS;
+  enriched.netSalaryInWords = amountInWordsLines(finalTotal, enriched.wordsSettings, currency);
+  enriched.netAmountBase = exchangeRate ? Math.round(finalTotal * exchangeRate * 100) / 100 : null;
+  enriched.showBaseEquivalent =
+    currency !== BASE_CURRENCY && Boolean(context.showBaseEquivalent) && enriched.netAmountBase !== null;
+  enriched.computedTotal = computedTotal;
+  enriched.enteredTotal = providedTotal;
+  enriched.netAmount = finalTotal;
+  // Earlier pay runs in the fiscal year are supplied by the caller, keyed by employee ID.
+  enriched.yearToDate = addToYearToDate(context.yearToDate?.[raw.employeeId], enriched);
 
   return enriched;
 }
+
+function totalAcceptanceKey(entered, computed) {
+  return `${entered}=${computed}`;
+}
+
+// Compares a typed Total Salary with the sum of the components; null when they agree within the tolerance,
+// which is read in the row's own currency.
+export function findTotalMismatch(employee, context = {}) {
+  const { enteredTotal, computedTotal, taxEnabled, currency } = enrichEmployeeData(employee, context);
+  if (enteredTotal === null) {
+    return null;
+  }
+  const difference = enteredTotal - computedTotal;
+  if (Math.abs(difference) <= (context.reconciliation?.tolerance ?? 0)) {
+    return null;
+  }
+  return {
+    entered: enteredTotal,
+    computed: computedTotal,
+    difference,
+    currency,
+    taxed: taxEnabled,
+    accepted: !taxEnabled && employee.acceptedTotal === totalAcceptanceKey(enteredTotal, computedTotal),
+  };
+}
+
+export function resolveTotalMismatch(employee, mismatch, action) {
+  if (action === "useComputed") {
+    return { ...employee, totalSalary: String(mismatch.computed), acceptedTotal: "" };
+  }
+  return { ...employee, acceptedTotal: totalAcceptanceKey(mismatch.entered, mismatch.computed) };
+}
+
+export function summarisePayRun(enrichedList, wordsSettings = DEFAULT_WORDS_SETTINGS) {
+  const periods = Array.from(new Set(enrichedList.map((item) => item.payPeriod).filter((value) => value !== "-")));
+  const payDates = Array.from(new Set(enrichedList.map((item) => item.payDate).filter((value) => value !== "-")));
+  const departments = new Map();
+  const currencies = new Map();
+  let totalPayout = 0;
+  let unconverted = 0;
+
+  enrichedList.forEach((item) => {
+    const currencyTotal = currencies.get(item.currency) ?? { currency: item.currency, headcount: 0, total: 0 };
+    currencyTotal.headcount += 1;
+    currencyTotal.total += item.netAmount;
+    currencies.set(item.currency, currencyTotal);
+
+    // Totals are reported in BDT; rows without an exchange rate are listed but left out.
+    if (item.netAmountBase === null) {
+      unconverted += 1;
+      return;
+    }
+    totalPayout += item.netAmountBase;
+    const current = departments.get(item.department) ?? { name: item.department, headcount: 0, total: 0 };
+    current.headcount += 1;
+    current.total += item.netAmountBase;
+    departments.set(item.department, current);
+  });
+
+  return {
+    payPeriod: periods.join(", ") || "-",
+    payDate: payDates.join(", ") || "-",
+    headcount: enrichedList.length,
+    totalPayout,
+    totalPayoutDisplay: formatMoney(totalPayout),
+    totalPayoutInWords: amountInWordsLines(totalPayout, wordsSettings),
+    unconverted,
+    currencies:
+      currencies.size > 1 || !currencies.has(BASE_CURRENCY)
+        ? Array.from(currencies.values()).map((entry) => ({
+            ...entry,
+            totalDisplay: formatMoney(entry.total, entry.currency),
+          }))
+        : [],
+    departments: Array.from(departments.values()).map((department) => ({
+      ...department,
+      totalDisplay: formatCurrency(department.total, BASE_CURRENCY),
+    })),
+  };
+}
@@ -0,0 +1,227 @@
+import { BASIC_SALARY_KEY } from "./salaryStructure.js";
+
+export const VARIANCE_STATUSES = {
+  joiner: "New joiner",
+  leaver: "Leaver",
+  changed: "Changed",
+  unchanged: "Unchanged",
+  unmatched: "Unmatched",
+};
+
+export const DEFAULT_VARIANCE_THRESHOLD = 10;
+
+const TOTAL_COLUMNS = [
+  { key: "grossEarnings", label: "Gross Earnings" },
+  { key: "totalDeductionsAmount", label: "Total Deductions" },
+  { key: "netAmount", label: "Net Salary" },
+];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function employeeKey(enriched) {
+  return String(enriched.employeeId ?? "").trim().toLowerCase();
+}
+
+function amountsOf(enriched) {
+  const totals = Object.fromEntries(TOTAL_COLUMNS.map((column) => [column.key, enriched[column.key]]));
+  return enriched.earningLines.reduce(
+    (amounts, line) => (line.kind === "earning" ? { ...amounts, [line.key]: line.amount } : amounts),
+    totals
+  );
+}
+
+// Earning components from both runs, in the order they first appear, followed by the totals.
+function buildColumns(currentRows, previousRows) {
+  const columns = new Map();
+  currentRows.concat(previousRows).forEach((enriched) => {
+    enriched.earningLines.forEach((line) => {
+      if (line.kind === "earning" && !columns.has(line.key)) {
+        columns.set(line.key, { key: line.key, label: line.label });
+      }
+    });
+  });
+  return Array.from(columns.values()).concat(TOTAL_COLUMNS);
+}
+
+function percentChange(previous, current) {
+  if (previous === current) {
+    return 0;
+  }
+  return previous ? ((current - previous) / Math.abs(previous)) * 100 : null;
+}
+
+function compareEmployee(current, previous, columns, threshold) {
+  const currentAmounts = current ? amountsOf(current) : {};
+  const previousAmounts = previous ? amountsOf(previous) : {};
+  const changes = columns.map((column) => {
+    const before = previous ? previousAmounts[column.key] ?? 0 : null;
+    const after = current ? currentAmounts[column.key] ?? 0 : null;
+    const difference = round((after ?? 0) - (before ?? 0));
+    const percent = percentChange(before ?? 0, after ?? 0);
+    return {
+      ...column,
+      previous: before,
+      current: after,
+      difference,
+      percent,
+      // A component that appears from nothing always counts as a swing.
+      overThreshold: difference !== 0 && (percent === null || Math.abs(percent) >= threshold),
+    };
+  });
+
+  const flags = [];
+  let status;
+  if (!previous) {
+    status = "joiner";
+  } else if (!current) {
+    status = "leaver";
+  } else {
+    status = changes.some((change) => change.difference !== 0) ? "changed" : "unchanged";
+    if (current.currency !== previous.currency) {
+      flags.push(`Currency changed from ${previous.currency} to ${current.currency}`);
+    }
+    changes.forEach((change) => {
+      if (change.key === BASIC_SALARY_KEY && change.difference !== 0) {
+        flags.push("Salary change");
+      } else if (change.overThreshold && !TOTAL_COLUMNS.some((column) => column.key === change.key)) {
+        flags.push(`${change.label} swing`);
+      }
+    });
+  }
+
+  const source = current ?? previous;
+  return {
+    employeeId: source.employeeId,
+    employeeName: source.employeeName,
+    department: source.department,
+    currency: source.currency,
+    status,
+    flags,
+    changes,
+    inPrevious: Boolean(previous),
+    inCurrent: Boolean(current),
+    previousNetBase: previous ? previous.netAmountBase : null,
+    currentNetBase: current ? current.netAmountBase : null,
+  };
+}
+
+// Rows without an Employee ID, or sharing one within their run, cannot be paired safely, so each is listed alone.
+function unmatchedRow(current, previous, columns, threshold, reason) {
+  return { ...compareEmployee(current, previous, columns, threshold), status: "unmatched", flags: [reason] };
+}
+
+function findAmbiguousKeys(rows) {
+  const counts = new Map();
+  rows.forEach((enriched) => counts.set(employeeKey(enriched), (counts.get(employeeKey(enriched)) ?? 0) + 1));
+  return new Set(Array.from(counts).filter(([key, count]) => !key || count > 1).map(([key]) => key));
+}
+
+function unmatchedReason(enriched, run) {
+  return employeeKey(enriched)
+    ? `Employee ID ${enriched.employeeId} appears more than once in the ${run} run`
+    : `No Employee ID in the ${run} run`;
+}
+
+const SUBTOTAL_KEYS = [
+  "previousHeadcount",
+  "currentHeadcount",
+  "previousNet",
+  "currentNet",
+  "difference",
+  "joiners",
+  "leavers",
+  "unconverted",
+];
+
+function emptySubtotal(name) {
+  return SUBTOTAL_KEYS.reduce((subtotal, key) => ({ ...subtotal, [key]: 0 }), { name });
+}
+
+function addToDepartment(departments, row) {
+  const department = departments.get(row.department) ?? emptySubtotal(row.department);
+  if (row.inPrevious) {
+    department.previousHeadcount += 1;
+  }
+  if (row.inCurrent) {
+    department.currentHeadcount += 1;
+  }
+  department.joiners += row.status === "joiner" ? 1 : 0;
+  department.leavers += row.status === "leaver" ? 1 : 0;
+  // Subtotals are in BDT, like the pay run cover; rows without an exchange rate are counted but not summed.
+  if (row.inPrevious && row.previousNetBase === null) {
+    department.unconverted += 1;
+  } else if (row.inCurrent && row.currentNetBase === null) {
+    department.unconverted += 1;
+  } else {
+    department.previousNet = round(department.previousNet + (row.previousNetBase ?? 0));
+    department.currentNet = round(department.currentNet + (row.currentNetBase ?? 0));
+  }
+  department.difference = round(department.currentNet - department.previousNet);
+  departments.set(row.department, department);
+  return departments;
+}
+
+/**
+ * Compares two lists of enriched rows employee by employee (matched on Employee ID) and component by
+ * component. `threshold` is the percentage change at which an earning component is flagged as a swing.
+ * Blank or repeated IDs are reported as unmatched rather than merged.
+ */
+export function buildVarianceReport(currentRows, previousRows, { threshold = DEFAULT_VARIANCE_THRESHOLD } = {}) {
+  const columns = buildColumns(currentRows, previousRows);
+  const ambiguousCurrent = findAmbiguousKeys(currentRows);
+  const ambiguousPrevious = findAmbiguousKeys(previousRows);
+  const isMatchable = (key) => !ambiguousCurrent.has(key) && !ambiguousPrevious.has(key);
+  const previousById = new Map(
+    previousRows.filter((enriched) => isMatchable(employeeKey(enriched))).map((enriched) => [employeeKey(enriched), enriched])
+  );
+  const currentIds = new Set(currentRows.map(employeeKey));
+
+  const rows = currentRows
+    .map((current) => {
+      const key = employeeKey(current);
+      if (ambiguousCurrent.has(key)) {
+        return unmatchedRow(current, null, columns, threshold, unmatchedReason(current, "current"));
+      }
+      if (ambiguousPrevious.has(key)) {
+        return unmatchedRow(current, null, columns, threshold, unmatchedReason(current, "previous"));
+      }
+      return compareEmployee(current, previousById.get(key), columns, threshold);
+    })
+    .concat(
+      previousRows
+        .filter((previous) => {
+          const key = employeeKey(previous);
+          return !isMatchable(key) || !currentIds.has(key);
+        })
+        .map((previous) => {
+          const key = employeeKey(previous);
+          if (ambiguousPrevious.has(key)) {
+            return unmatchedRow(null, previous, columns, threshold, unmatchedReason(previous, "previous"));
+          }
+          if (ambiguousCurrent.has(key)) {
+            return unmatchedRow(null, previous, columns, threshold, unmatchedReason(previous, "current"));
+          }
+          return compareEmployee(null, previous, columns, threshold);
+        })
+    );
+
+  const departments = Array.from(rows.reduce(addToDepartment, new Map()).values()).sort((a, b) =>
+    a.name.localeCompare(b.name)
+  );
+  const totals = departments.reduce(
+    (sum, department) =>
+      SUBTOTAL_KEYS.reduce((next, key) => ({ ...next, [key]: round(next[key] + department[key]) }), sum),
+    emptySubtotal("All departments")
+  );
+
+  return {
+    columns,
+    rows,
+    departments,
+    totals,
+    unmatched: rows.filter((row) => row.status === "unmatched").length,
+    flagged: rows.filter((row) => row.flags.length > 0 || row.status === "joiner" || row.status === "leaver").length,
+  };
+}
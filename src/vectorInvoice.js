@@ -0,0 +1,168 @@
+import { COMPANY_INFO } from "./components/TechchefInvoicePreview.jsx";
+import { createPdfCanvas, PDF_FONT } from "./vectorPdf.js";
+
+const INK = "#0f172a";
+const MUTED = "#94a3b8";
+const RULE = "#e2e8f0";
+const PANEL = "#f8fafc";
+const QR_SIZE = 72;
+
+const LINE_COLUMNS = [
+  { key: "description", label: "Description", width: 0.4, align: "left" },
+  { key: "quantity", label: "Qty", width: 0.1, align: "right" },
+  { key: "unitPriceDisplay", label: "Unit Price", width: 0.18, align: "right" },
+  { key: "taxLabel", label: "Tax", width: 0.14, align: "right" },
+  { key: "amountDisplay", label: "Amount", width: 0.18, align: "right" },
+];
+
+function drawHeader(canvas, data) {
+  const { margin: x, contentWidth: width } = canvas;
+  const top = canvas.y;
+  canvas.font("bold", 9, MUTED);
+  canvas.text("INVOICE", x, top, { charSpace: 2.2 });
+
+  const metaWidth = (width * 0.7) / 3;
+  [
+    ["Invoice number", data.invoiceNumber],
+    ["Date of issue", data.dateOfIssue],
+    ["Date due", data.dateDue],
+  ].forEach(([label, value], index) => {
+    const left = x + index * metaWidth;
+    canvas.font("normal", 7.5, MUTED);
+    canvas.text(label.toUpperCase(), left, top + 24, { charSpace: 0.4 });
+    canvas.font("bold", 10.5, INK);
+    canvas.paragraph(value, left, top + 38, metaWidth - 12);
+  });
+
+  // The wordmark is set in the PDF's built-in Times face, matching the preview's serif.
+  canvas.pdf.setFont("times", "bold");
+  canvas.pdf.setFontSize(30);
+  canvas.pdf.setTextColor("#cbd5f5");
+  canvas.text("ChatChef", x + width, top, { align: "right" });
+  canvas.pdf.setFont(PDF_FONT, "normal");
+  canvas.y = top + 76;
+}
+
+function drawAddresses(canvas) {
+  const { margin: x, contentWidth: width } = canvas;
+  const top = canvas.y;
+  canvas.font("normal", 10.5, INK);
+  COMPANY_INFO.forEach((line, index) => canvas.text(line, x, top + index * 16));
+  const right = x + width * 0.6;
+  canvas.font("bold", 10.5, INK);
+  canvas.text("Bill To:", right, top);
+  canvas.font("normal", 10.5, INK);
+  canvas.text("Techchef", right, top + 19);
+  canvas.y = top + COMPANY_INFO.length * 16 + 24;
+}
+
+function drawTotalBanner(canvas, data) {
+  const { margin: x, contentWidth: width } = canvas;
+  const top = canvas.y;
+  const height = 44;
+  canvas.fillRect(x, top, width, height, PANEL, 10);
+  canvas.strokeRect(x, top, width, height, RULE, { radius: 10 });
+  canvas.font("bold", 12.5, INK);
+  canvas.text(data.totalDisplay, x + 16, top + 14);
+  const offset = canvas.textWidth(data.totalDisplay);
+  canvas.font("bold", 10.5, INK);
+  canvas.text(` due ${data.dueDateHeadline}`, x + 16 + offset, top + 16);
+  canvas.y = top + height + 20;
+}
+
+function drawLineTable(canvas, data) {
+  const { margin: x, contentWidth: width } = canvas;
+  const padding = 8;
+  const columnX = (index) => x + LINE_COLUMNS.slice(0, index).reduce((sum, column) => sum + column.width * width, 0);
+  const cellText = (column, index, text) => {
+    const columnWidth = column.width * width - padding * 2;
+    const left = columnX(index) + padding;
+    return canvas.paragraph(text, left, canvas.y + padding, columnWidth, { align: column.align });
+  };
+
+  const drawHeaderRow = () => {
+    canvas.font("bold", 7.5, MUTED);
+    LINE_COLUMNS.forEach((column, index) => cellText(column, index, column.label.toUpperCase()));
+    canvas.y += 7.5 * 1.35 + padding * 2;
+    canvas.line(x, canvas.y, x + width, canvas.y, RULE);
+  };
+
+  drawHeaderRow();
+  data.lines.forEach((line) => {
+    canvas.font("normal", 10, INK);
+    const rows = Math.max(...LINE_COLUMNS.map((column) => canvas.lines(line[column.key], column.width * width - padding * 2).length));
+    const height = rows * 10 * 1.35 + padding * 2;
+    if (canvas.ensureSpace(height)) {
+      drawHeaderRow();
+      canvas.font("normal", 10, INK);
+    }
+    LINE_COLUMNS.forEach((column, index) => cellText(column, index, line[column.key]));
+    canvas.y += height;
+    canvas.line(x, canvas.y, x + width, canvas.y, RULE);
+  });
+  if (data.lines.length === 0) {
+    canvas.font("normal", 10, MUTED);
+    canvas.text("Add invoice details to populate this section.", x + width / 2, canvas.y + padding, { align: "center" });
+    canvas.y += 10 * 1.35 + padding * 2;
+    canvas.line(x, canvas.y, x + width, canvas.y, RULE);
+  }
+  canvas.y += 20;
+}
+
+function drawNotes(canvas, notes) {
+  const { margin: x, contentWidth: width } = canvas;
+  canvas.font("normal", 10, INK);
+  const rows = canvas.lines(notes, width - 32);
+  const height = 30 + rows.length * 10 * 1.35 + 14;
+  canvas.ensureSpace(height);
+  const top = canvas.y;
+  canvas.fillRect(x, top, width, height, PANEL, 10);
+  canvas.strokeRect(x, top, width, height, RULE, { radius: 10 });
+  canvas.font("bold", 7.5, MUTED);
+  canvas.text("NOTES", x + 16, top + 14, { charSpace: 0.8 });
+  canvas.font("normal", 10, INK);
+  canvas.paragraph(notes, x + 16, top + 30, width - 32);
+  canvas.y = top + height + 20;
+}
+
+function drawSummary(canvas, data) {
+  const summaryWidth = 240;
+  const x = canvas.margin + canvas.contentWidth - summaryWidth;
+  const rows = [
+    ["Subtotal", data.subtotalDisplay],
+    ["Tax Total", data.taxTotalDisplay],
+    ["Total", data.totalDisplay],
+  ];
+  canvas.ensureSpace(Math.max(rows.length * 20 + 40, QR_SIZE + 16));
+  const top = canvas.y;
+  if (data.verificationQr) {
+    canvas.image(data.verificationQr, canvas.margin, top, QR_SIZE, QR_SIZE);
+    canvas.font("normal", 7, MUTED);
+    canvas.text("Scan to verify", canvas.margin + QR_SIZE / 2, top + QR_SIZE + 3, { align: "center" });
+  }
+  rows.forEach(([label, value]) => {
+    canvas.font("normal", 10.5, INK);
+    canvas.text(label, x, canvas.y);
+    canvas.font("bold", 10.5, INK);
+    canvas.text(value, x + summaryWidth, canvas.y, { align: "right" });
+    canvas.y += 20;
+  });
+  canvas.line(x, canvas.y, x + summaryWidth, canvas.y, RULE, 1.5);
+  canvas.y += 10;
+  canvas.font("bold", 11.5, INK);
+  canvas.text("Amount Due", x, canvas.y);
+  canvas.text(data.amountDueDisplay, x + summaryWidth, canvas.y, { align: "right" });
+  canvas.y = Math.max(canvas.y + 24, data.verificationQr ? top + QR_SIZE + 16 : 0);
+}
+
+export function drawInvoice(pdf, data) {
+  const canvas = createPdfCanvas(pdf);
+  drawHeader(canvas, data);
+  drawAddresses(canvas);
+  drawTotalBanner(canvas, data);
+  drawLineTable(canvas, data);
+  if (data.notes) {
+    drawNotes(canvas, data.notes);
+  }
+  drawSummary(canvas, data);
+}
@@ -0,0 +1,615 @@
+import { amountToWords } from "./amountInWords.js";
+import { BASE_CURRENCY } from "./constants.js";
+import { createPayslipFormat } from "./payslipFormat.js";
+import { formatCurrency, formatMoney } from "./utils.js";
+import { createPdfCanvas } from "./vectorPdf.js";
+
+const BENGALI_SCRIPT = /[ঀ-৿]/;
+const MUTED = "#64748b";
+const RULE = "#e2e8f0";
+
+// jsPDF cannot shape Bengali conjuncts, so anything that prints Bangla stays with the image engine.
+function printsBangla(values) {
+  return values.some((value) => BENGALI_SCRIPT.test(String(value ?? "")));
+}
+
+function companyText(company) {
+  return [company.name, company.caption, company.initials, company.email, company.address];
+}
+
+export function canDrawPayslipAsVector(data, company) {
+  if (data.payslipLanguage !== "en") {
+    return false;
+  }
+  return !printsBangla([
+    data.employeeName,
+    data.employeeId,
+    data.designation,
+    data.department,
+    data.payPeriod,
+    ...data.earningLines.flatMap((line) => [line.label, line.display]),
+    ...data.deductionLines.map((line) => line.label),
+    ...data.netSalaryInWords.map((line) => line.text),
+    ...companyText(company),
+  ]);
+}
+
+export function canDrawCoverAsVector(summary, company) {
+  return !printsBangla([
+    summary.payPeriod,
+    ...summary.departments.map((department) => department.name),
+    ...summary.totalPayoutInWords.map((line) => line.text),
+    ...companyText(company),
+  ]);
+}
+
+export function canDrawBankLetterAsVector(advice, company) {
+  return !printsBangla([
+    advice.payPeriod,
+    advice.payDate,
+    company.salaryBankName,
+    company.salaryBankBranch,
+    company.salaryAccountNumber,
+    ...companyText(company),
+  ]);
+}
+
+function area(canvas, options = {}) {
+  return { x: options.x ?? canvas.margin, width: options.width ?? canvas.contentWidth };
+}
+
+function drawBrandBar(canvas, company) {
+  canvas.gradientBar(canvas.margin, canvas.y, canvas.contentWidth, 6, company.primaryColor, company.secondaryColor);
+  canvas.y += 20;
+}
+
+function drawLogo(canvas, company, options) {
+  const { x, width } = area(canvas, options);
+  const top = canvas.y;
+  const boxWidth = Math.min(width, 140);
+  let height = company.logo ? canvas.image(company.logo, x + (width - boxWidth) / 2, top, boxWidth, 48, { align: "center" }) : 0;
+  if (!height) {
+    const radius = 20;
+    canvas.circle(x + width / 2, top + radius, radius, company.primaryColor);
+    canvas.font("bold", 15, "#ffffff");
+    canvas.text(company.initials, x + width / 2, top + radius - 9, { align: "center" });
+    height = radius * 2;
+  }
+  canvas.font("bold", 10, "#1e293b");
+  canvas.text(String(company.caption ?? "").toUpperCase(), x + width / 2, top + height + 6, { align: "center" });
+  canvas.y = top + height + 24;
+}
+
+function drawTitle(canvas, company, text, options) {
+  const { x, width } = area(canvas, options);
+  canvas.font("bold", 16, "#1e293b");
+  canvas.text(text, x + width / 2, canvas.y, { align: "center" });
+  canvas.y += 24;
+  canvas.line(x, canvas.y, x + width, canvas.y, company.primaryColor, 2);
+  canvas.y += 14;
+}
+
+function drawSectionHeading(canvas, company, text, options) {
+  const { x, width } = area(canvas, options);
+  canvas.ensureSpace(60);
+  canvas.font("bold", 10, company.primaryColor);
+  canvas.text(text.toUpperCase(), x, canvas.y, { charSpace: 0.8 });
+  canvas.y += 15;
+  canvas.line(x, canvas.y, x + width, canvas.y, RULE, 1.5);
+  canvas.y += 7;
+}
+
+function drawTable(canvas, table, options) {
+  canvas.table({ ...area(canvas, options), ...table });
+  canvas.y += 10;
+}
+
+function drawNote(canvas, text, options) {
+  const { x, width } = area(canvas, options);
+  canvas.font("normal", 8.5, MUTED);
+  canvas.y += canvas.paragraph(text, x, canvas.y - 6, width) + 8;
+}
+
+function drawNetBox(canvas, company, { label, amount, lines }) {
+  const { x, width } = area(canvas);
+  const inner = width - 48;
+  const measured = lines.map((line) => {
+    canvas.font(line.style, line.size);
+    return { ...line, rows: canvas.lines(line.text, inner) };
+  });
+  const height = 24 + 16 + 22 + measured.reduce((sum, line) => sum + line.rows.length * line.size * 1.35 + 4, 0);
+  canvas.ensureSpace(height + 24);
+  canvas.y += 6;
+  const top = canvas.y;
+  canvas.fillRect(x, top, width, height, "#eef2ff", 6);
+  canvas.fillRect(x, top, 4, height, company.primaryColor);
+
+  let cursor = top + 12;
+  canvas.font("bold", 11, "#1e293b");
+  canvas.text(label, x + width / 2, cursor, { align: "center" });
+  cursor += 16;
+  canvas.font("bold", 16, company.primaryColor);
+  canvas.text(amount, x + width / 2, cursor, { align: "center" });
+  cursor += 22;
+  measured.forEach((line) => {
+    canvas.font(line.style, line.size, line.color);
+    cursor += canvas.paragraph(line.text, x + 24, cursor, inner, { align: "center" }) + 4;
+  });
+  canvas.y = top + height + 14;
+}
+
+function drawNetSalary(canvas, company, data, format) {
+  const lines = format.words.map((line) => ({ text: line.text, style: "italic", size: 9, color: "#475569" }));
+  if (format.baseEquivalent) {
+    lines.push({ text: format.baseEquivalent, style: "normal", size: 8.5, color: MUTED });
+  }
+  drawNetBox(canvas, company, { label: format.labels.netSalary, amount: format.money(data.netAmount), lines });
+}
+
+function drawSignatures(canvas, company, format, options) {
+  const { x, width } = area(canvas, options);
+  canvas.ensureSpace(90);
+  canvas.line(x, canvas.y, x + width, canvas.y, RULE, 1.5);
+  const top = canvas.y + 8;
+  const columnWidth = (width - 36) / 2;
+  if (company.signature) {
+    canvas.image(company.signature, x, top, Math.min(columnWidth, 140), 36);
+  }
+  const lineY = top + 42;
+  [format.labels.authorisedSignature, format.labels.employeeSignature].forEach((label, index) => {
+    const left = x + index * (columnWidth + 36);
+    canvas.line(left, lineY, left + columnWidth, lineY, "#94a3b8", 1.5);
+    canvas.font("normal", 9, "#1e293b");
+    canvas.text(label, left, lineY + 6);
+  });
+  canvas.y = lineY + 26;
+}
+
+// `aside` keeps room clear on the right of the rows, below the full-width rule.
+function drawLabelledLines(canvas, rows, options = {}) {
+  const { x, width } = area(canvas, options);
+  const textWidth = width - (options.aside ?? 0);
+  canvas.ensureSpace(rows.length * 14 + 20);
+  canvas.line(x, canvas.y, x + width, canvas.y, RULE, 1.5);
+  canvas.y += 8;
+  rows.forEach(([label, value]) => {
+    canvas.font("bold", 8.5, "#334155");
+    canvas.text(label, x, canvas.y);
+    const offset = canvas.textWidth(label) + 5;
+    canvas.font("normal", 8.5, MUTED);
+    canvas.y += Math.max(canvas.paragraph(value, x + offset, canvas.y, textWidth - offset), 11) + 2;
+  });
+  canvas.y += 4;
+}
+
+const QR_SIZE = 60;
+
+// Draws the QR with its caption with the top-right corner at (right, top) and returns the height used.
+function drawVerificationCode(canvas, data, format, right, top) {
+  if (!data.verificationQr) {
+    return 0;
+  }
+  canvas.image(data.verificationQr, right - QR_SIZE, top, QR_SIZE, QR_SIZE);
+  canvas.font("normal", 6.5, MUTED);
+  canvas.text(format.labels.scanToVerify, right - QR_SIZE / 2, top + QR_SIZE + 2, { align: "center" });
+  return QR_SIZE + 12;
+}
+
+function drawFooter(canvas, data, company, format, options) {
+  const { x, width } = area(canvas, options);
+  const aside = data.verificationQr ? QR_SIZE + 12 : 0;
+  canvas.ensureSpace(Math.max(62, aside + 20));
+  const top = canvas.y;
+  drawLabelledLines(
+    canvas,
+    [
+      [format.labels.companyName, company.name],
+      [format.labels.email, company.email],
+      [format.labels.address, company.address],
+    ],
+    { x, width, aside }
+  );
+  const codeHeight = drawVerificationCode(canvas, data, format, x + width, top + 8);
+  canvas.y = Math.max(canvas.y, top + 8 + codeHeight + 4);
+}
+
+// Landscape pages are short, so the signatures and footer share a row instead of stacking.
+function drawClosingRow(canvas, data, company, format) {
+  const { x, width } = area(canvas);
+  const gap = 24;
+  const columnWidth = (width - gap) / 2;
+  canvas.ensureSpace(90);
+  const top = canvas.y;
+  drawSignatures(canvas, company, format, { x, width: columnWidth });
+  const signaturesEnd = canvas.y;
+  canvas.y = top;
+  drawFooter(canvas, data, company, format, { x: x + columnWidth + gap, width: columnWidth });
+  canvas.y = Math.max(canvas.y, signaturesEnd);
+}
+
+const TWO_COLUMNS = [{ width: 0.45 }, { width: 0.55 }];
+const YTD_COLUMNS = [{ width: 0.4 }, { width: 0.3 }, { width: 0.3 }];
+
+function infoRows(data, format) {
+  const { labels } = format;
+  return [
+    [labels.employeeName, data.employeeName],
+    [labels.employeeId, data.employeeId],
+    [labels.designation, data.designation],
+    [labels.department, data.department],
+    [labels.payPeriod, format.payPeriod],
+    [labels.payDate, format.payDate],
+  ].map((cells) => ({ cells }));
+}
+
+function earningRows(data, format) {
+  return data.earningLines.map((line) => ({ cells: [format.lineLabel(line), format.lineDisplay(line)] }));
+}
+
+function deductionRows(data, format) {
+  const rows = data.deductionLines.map((line) => ({ cells: [format.lineLabel(line), format.lineDisplay(line)] }));
+  if (data.taxEnabled) {
+    rows.push({ cells: [format.labels.tax, format.amount(data.taxAmount)] });
+  }
+  return rows;
+}
+
+function drawEmployerNote(canvas, data, format, options) {
+  if (data.employerContributionAmount > 0) {
+    drawNote(canvas, format.labels.employerContribution(format.money(data.employerContributionAmount)), options);
+  }
+}
+
+function drawPayNotes(canvas, format, options) {
+  format.payNotes.forEach((note) => drawNote(canvas, note, options));
+}
+
+function drawStandard(canvas, data, company, format) {
+  const { labels } = format;
+  const amountHeader = [labels.description, labels.amount(data.currency)];
+  drawLogo(canvas, company);
+  drawTitle(canvas, company, labels.title);
+  drawTable(canvas, { columns: TWO_COLUMNS, rows: infoRows(data, format) });
+  drawSectionHeading(canvas, company, labels.earnings);
+  drawTable(canvas, { columns: TWO_COLUMNS, header: amountHeader, rows: earningRows(data, format) });
+  drawSectionHeading(canvas, company, labels.deductions);
+  drawTable(canvas, {
+    columns: TWO_COLUMNS,
+    header: amountHeader,
+    rows: deductionRows(data, format).concat({
+      cells: [labels.totalDeductions, format.amount(data.totalDeductionsAmount)],
+      total: true,
+    }),
+  });
+  drawEmployerNote(canvas, data, format);
+  drawPayNotes(canvas, format);
+}
+
+function drawDetailed(canvas, data, company, format) {
+  const { labels } = format;
+  const ytd = data.yearToDate;
+  const ytdAmount = (value) => (value === undefined ? "-" : format.amount(value));
+  const header = [labels.description, labels.thisPeriod, labels.yearToDate];
+  drawLogo(canvas, company);
+  drawTitle(canvas, company, labels.title);
+  drawTable(canvas, { columns: TWO_COLUMNS, rows: infoRows(data, format) });
+
+  drawSectionHeading(canvas, company, labels.earnings);
+  drawTable(canvas, {
+    columns: YTD_COLUMNS,
+    header,
+    rows: data.earningLines
+      .map((line) => ({
+        cells: [
+          format.lineLabel(line),
+          format.lineDisplay(line),
+          line.kind === "earning" ? ytdAmount(ytd.earnings[line.key]) : "-",
+        ],
+      }))
+      .concat({ cells: [labels.grossEarnings, format.amount(data.grossEarnings), format.amount(ytd.gross)], total: true }),
+  });
+
+  drawSectionHeading(canvas, company, labels.deductions);
+  const rows = data.deductionLines.map((line) => ({
+    cells: [format.lineLabel(line), format.lineDisplay(line), ytdAmount(ytd.deductions[line.key ?? line.label])],
+  }));
+  if (data.taxEnabled) {
+    rows.push({ cells: [labels.tax, format.amount(data.taxAmount), format.amount(ytd.tax)] });
+  }
+  rows.push({
+    cells: [labels.totalDeductions, format.amount(data.totalDeductionsAmount), format.amount(ytd.totalDeductions)],
+    total: true,
+  });
+  drawTable(canvas, { columns: YTD_COLUMNS, header, rows });
+
+  drawSectionHeading(canvas, company, labels.summary);
+  drawTable(canvas, {
+    columns: YTD_COLUMNS,
+    header,
+    rows: [{ cells: [labels.netPay, format.amount(data.netAmount), format.amount(ytd.net)], total: true }],
+  });
+  drawNote(canvas, labels.ytdNote(ytd.periods, ytd.fiscalYear));
+  drawEmployerNote(canvas, data, format);
+  drawPayNotes(canvas, format);
+}
+
+function drawCompact(canvas, data, company, format) {
+  const { labels } = format;
+  const { x, width } = area(canvas);
+  const top = canvas.y;
+  const logoHeight = company.logo ? canvas.image(company.logo, x, top, 44, 44) : 0;
+  if (!logoHeight) {
+    canvas.circle(x + 22, top + 22, 22, company.primaryColor);
+    canvas.font("bold", 12, "#ffffff");
+    canvas.text(company.initials, x + 22, top + 15, { align: "center" });
+  }
+  canvas.font("bold", 12, "#1e293b");
+  canvas.text(company.name, x + 56, top + 6);
+  canvas.font("bold", 9.5, company.primaryColor);
+  canvas.text(`${labels.title} • ${format.payPeriod}`, x + 56, top + 24);
+  canvas.y = top + 56;
+
+  const details = [
+    [labels.employeeName, data.employeeName],
+    [labels.employeeId, data.employeeId],
+    [labels.designation, data.designation],
+    [labels.department, data.department],
+    [labels.payDate, format.payDate],
+  ];
+  const columnWidth = width / 3;
+  for (let index = 0; index < details.length; index += 3) {
+    let rowHeight = 0;
+    details.slice(index, index + 3).forEach(([label, value], column) => {
+      const left = x + column * columnWidth;
+      canvas.font("normal", 7, MUTED);
+      canvas.text(label.toUpperCase(), left, canvas.y);
+      canvas.font("bold", 9, "#1e293b");
+      rowHeight = Math.max(rowHeight, canvas.paragraph(value, left, canvas.y + 10, columnWidth - 12) + 10);
+    });
+    canvas.y += rowHeight + 6;
+  }
+  canvas.y += 4;
+
+  const earnings = earningRows(data, format);
+  const deductions = deductionRows(data, format);
+  const rows = Array.from({ length: Math.max(earnings.length, deductions.length) }, (_, index) => ({
+    cells: [...(earnings[index]?.cells ?? ["", ""]), ...(deductions[index]?.cells ?? ["", ""])],
+  }));
+  rows.push({
+    cells: [
+      labels.grossEarnings,
+      format.amount(data.grossEarnings),
+      labels.totalDeductions,
+      format.amount(data.totalDeductionsAmount),
+    ],
+    total: true,
+  });
+  canvas.table({
+    x,
+    width,
+    columns: [{ width: 0.3 }, { width: 0.2 }, { width: 0.3 }, { width: 0.2 }],
+    header: [labels.earnings, labels.amount(data.currency), labels.deductions, labels.amount(data.currency)],
+    rows,
+    fontSize: 8.5,
+    padding: 4,
+    labelColumn: false,
+  });
+  if (format.payNotes.length) {
+    canvas.y += 10;
+    drawPayNotes(canvas, format);
+  }
+}
+
+function drawLandscape(canvas, data, company, format) {
+  const { labels } = format;
+  const { x, width } = area(canvas);
+  const gap = 24;
+  const top = canvas.y;
+  const leftWidth = width * 0.38;
+  drawLogo(canvas, company, { x, width: leftWidth });
+  drawTitle(canvas, company, labels.title, { x, width: leftWidth });
+  const leftBottom = canvas.y;
+  canvas.y = top;
+  drawTable(canvas, { columns: TWO_COLUMNS, rows: infoRows(data, format) }, { x: x + leftWidth + gap, width: width - leftWidth - gap });
+  canvas.y = Math.max(canvas.y, leftBottom);
+
+  const columnWidth = (width - gap) / 2;
+  const amountHeader = [labels.description, labels.amount(data.currency)];
+  const start = canvas.y;
+  const left = { x, width: columnWidth };
+  drawSectionHeading(canvas, company, labels.earnings, left);
+  drawTable(
+    canvas,
+    {
+      columns: TWO_COLUMNS,
+      header: amountHeader,
+      rows: earningRows(data, format).concat({
+        cells: [labels.grossEarnings, format.amount(data.grossEarnings)],
+        total: true,
+      }),
+    },
+    left
+  );
+  const leftEnd = canvas.y;
+  canvas.y = start;
+  const right = { x: x + columnWidth + gap, width: columnWidth };
+  drawSectionHeading(canvas, company, labels.deductions, right);
+  drawTable(
+    canvas,
+    {
+      columns: TWO_COLUMNS,
+      header: amountHeader,
+      rows: deductionRows(data, format).concat({
+        cells: [labels.totalDeductions, format.amount(data.totalDeductionsAmount)],
+        total: true,
+      }),
+    },
+    right
+  );
+  drawEmployerNote(canvas, data, format, right);
+  drawPayNotes(canvas, format, right);
+  canvas.y = Math.max(canvas.y, leftEnd);
+}
+
+function drawStackedClosing(canvas, data, company, format) {
+  drawSignatures(canvas, company, format);
+  drawFooter(canvas, data, company, format);
+}
+
+function drawCompactClosing(canvas, data, company, format) {
+  canvas.ensureSpace(QR_SIZE + 12);
+  canvas.y += drawVerificationCode(canvas, data, format, canvas.margin + canvas.contentWidth, canvas.y);
+}
+
+const LAYOUTS = {
+  standard: { body: drawStandard, closing: drawStackedClosing },
+  detailed: { body: drawDetailed, closing: drawStackedClosing },
+  compact: { body: drawCompact, closing: drawCompactClosing },
+  landscape: { body: drawLandscape, closing: drawClosingRow },
+};
+
+// Draws one pay slip from the current page onwards; the page orientation is set by the caller.
+export function drawPayslip(pdf, data, company, templateId) {
+  const canvas = createPdfCanvas(pdf);
+  const format = createPayslipFormat(data, "en");
+  const layout = LAYOUTS[templateId] ?? LAYOUTS.standard;
+  drawBrandBar(canvas, company);
+  layout.body(canvas, data, company, format);
+  drawNetSalary(canvas, company, data, format);
+  layout.closing(canvas, data, company, format);
+  drawBrandBar(canvas, company);
+}
+
+export function drawPayRunCover(pdf, summary, company) {
+  const canvas = createPdfCanvas(pdf);
+  drawBrandBar(canvas, company);
+  drawLogo(canvas, company);
+  drawTitle(canvas, company, "Pay Run Summary");
+  drawTable(canvas, {
+    columns: TWO_COLUMNS,
+    rows: [
+      { cells: ["Pay Period", summary.payPeriod] },
+      { cells: ["Pay Date", summary.payDate] },
+      { cells: ["Headcount", String(summary.headcount)] },
+    ],
+  });
+
+  drawSectionHeading(canvas, company, "By Department");
+  drawTable(canvas, {
+    columns: TWO_COLUMNS,
+    header: ["Department", "Net Payout (BDT)"],
+    rows: summary.departments.map((department) => ({
+      cells: [`${department.name} (${department.headcount})`, department.totalDisplay],
+    })),
+  });
+
+  if (summary.currencies.length > 0) {
+    drawSectionHeading(canvas, company, "By Pay Currency");
+    drawTable(canvas, {
+      columns: TWO_COLUMNS,
+      header: ["Currency", "Net Payout"],
+      rows: summary.currencies.map((entry) => ({ cells: [`${entry.currency} (${entry.headcount})`, entry.totalDisplay] })),
+    });
+  }
+
+  const lines = summary.totalPayoutInWords.map((line) => ({ text: line.text, style: "italic", size: 9, color: "#475569" }));
+  if (summary.unconverted > 0) {
+    lines.push({
+      text: `Excludes ${summary.unconverted} employee${summary.unconverted === 1 ? "" : "s"} paid in a currency without an exchange rate.`,
+      style: "normal",
+      size: 8.5,
+      color: MUTED,
+    });
+  }
+  drawNetBox(canvas, company, { label: "Total Payout:", amount: summary.totalPayoutDisplay, lines });
+  drawLabelledLines(canvas, [
+    ["Company Name:", company.name],
+    [
+      "Prepared On:",
+      new Intl.DateTimeFormat("en-GB", { day: "2-digit", month: "long", year: "numeric" }).format(new Date()),
+    ],
+  ]);
+  drawBrandBar(canvas, company);
+}
+
+const ADVICE_COLUMNS = [
+  { width: 0.06 },
+  { width: 0.25 },
+  { width: 0.19 },
+  { width: 0.2 },
+  { width: 0.13 },
+  { width: 0.17, align: "right" },
+];
+
+// The forwarding letter asks the company's bank to debit the salary account and make the listed BEFTN transfers.
+export function drawBankForwardingLetter(pdf, advice, company) {
+  const canvas = createPdfCanvas(pdf);
+  const { margin: x, contentWidth: width } = canvas;
+  const total = formatMoney(advice.fileTotal, BASE_CURRENCY);
+  const preparedOn = new Intl.DateTimeFormat("en-GB", { day: "2-digit", month: "long", year: "numeric" }).format(
+    new Date()
+  );
+  drawBrandBar(canvas, company);
+  drawLogo(canvas, company);
+
+  canvas.font("normal", 10, "#1e293b");
+  canvas.text(`Date: ${preparedOn}`, x + width, canvas.y, { align: "right" });
+  canvas.y += 22;
+  ["To", "The Manager", company.salaryBankName || "[Bank name]", company.salaryBankBranch || "[Branch]"].forEach(
+    (line) => {
+      canvas.text(line, x, canvas.y);
+      canvas.y += 14;
+    }
+  );
+  canvas.y += 8;
+  canvas.font("bold", 10, "#1e293b");
+  const subject = `Subject: Salary disbursement through BEFTN for ${advice.payPeriod}`;
+  canvas.y += canvas.paragraph(subject, x, canvas.y, width);
+  canvas.y += 10;
+
+  const account = company.salaryAccountNumber || "[account number]";
+  const valueDate = advice.payDate ? ` with value date ${advice.payDate}` : "";
+  canvas.font("normal", 10, "#1e293b");
+  [
+    "Dear Sir/Madam,",
+    `Please debit our account no. ${account} by ${total} (${amountToWords(advice.fileTotal)}) and transfer the ` +
+      `amounts below to the accounts of our ${advice.payments.length} employee(s) through BEFTN${valueDate}. ` +
+      "The same transfers are in the enclosed upload file.",
+  ].forEach((paragraph) => {
+    canvas.y += canvas.paragraph(paragraph, x, canvas.y, width) + 8;
+  });
+
+  drawTable(canvas, {
+    columns: ADVICE_COLUMNS,
+    header: ["SL", "Beneficiary", "Account Number", "Bank / Branch", "Routing", "Amount (BDT)"],
+    rows: advice.payments
+      .map((payment) => ({
+        cells: [
+          String(payment.serial),
+          payment.accountName,
+          payment.accountNumber,
+          [payment.bankName, payment.bankBranch].filter(Boolean).join(", "),
+          payment.routingNumber,
+          formatCurrency(payment.amount, BASE_CURRENCY),
+        ],
+      }))
+      .concat({ cells: ["", "Total", "", "", "", formatCurrency(advice.fileTotal, BASE_CURRENCY)], total: true }),
+    labelColumn: false,
+  });
+
+  canvas.ensureSpace(110);
+  canvas.font("normal", 10, "#1e293b");
+  canvas.text("Yours faithfully,", x, canvas.y);
+  canvas.y += 16;
+  if (company.signature) {
+    canvas.image(company.signature, x, canvas.y, 140, 36);
+  }
+  canvas.y += 42;
+  canvas.line(x, canvas.y, x + 180, canvas.y, "#94a3b8", 1.5);
+  canvas.y += 6;
+  canvas.text("Authorised Signatory", x, canvas.y);
+  canvas.y += 14;
+  canvas.text(company.name, x, canvas.y);
+  canvas.y += 24;
+  drawBrandBar(canvas, company);
+}
@@ -0,0 +1,249 @@
+import interBoldUrl from "@expo-google-fonts/inter/700Bold/Inter_700Bold.ttf?url";
+import interItalicUrl from "@expo-google-fonts/inter/400Regular_Italic/Inter_400Regular_Italic.ttf?url";
+import interRegularUrl from "@expo-google-fonts/inter/400Regular/Inter_400Regular.ttf?url";
+
+export const PDF_FONT = "Inter";
+
+const FONT_FILES = [
+  { file: "Inter-Regular.ttf", url: interRegularUrl, style: "normal" },
+  { file: "Inter-Italic.ttf", url: interItalicUrl, style: "italic" },
+  { file: "Inter-Bold.ttf", url: interBoldUrl, style: "bold" },
+];
+
+const LINE_HEIGHT = 1.35;
+
+let loadedFonts = null;
+let fontsPromise = null;
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function loadPdfFonts() {
+  if (!fontsPromise) {
+    fontsPromise = Promise.all(
+      FONT_FILES.map(async (font) => {
+        const response = await fetch(font.url);
+        if (!response.ok) {
+          throw new Error(`Unable to load the ${font.file} font (HTTP ${response.status}).`);
+        }
+        return { ...font, data: toBase64(await response.arrayBuffer()) };
+      })
+    )
+      .then((fonts) => {
+        loadedFonts = fonts;
+        return fonts;
+      })
+      .catch((error) => {
+        fontsPromise = null;
+        throw error;
+      });
+  }
+  return fontsPromise;
+}
+
+// jsPDF embeds only the glyphs a document uses, so the fonts add little to the file size.
+export function registerPdfFonts(pdf) {
+  if (!loadedFonts) {
+    throw new Error("Call loadPdfFonts() before building a vector PDF.");
+  }
+  loadedFonts.forEach((font) => {
+    pdf.addFileToVFS(font.file, font.data);
+    pdf.addFont(font.file, PDF_FONT, font.style);
+  });
+  pdf.setFont(PDF_FONT, "normal");
+}
+
+function mixColor(from, to, ratio) {
+  const channel = (hex, index) => parseInt(hex.slice(1 + index * 2, 3 + index * 2), 16);
+  return `#${[0, 1, 2]
+    .map((index) => Math.round(channel(from, index) + (channel(to, index) - channel(from, index)) * ratio))
+    .map((value) => value.toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+function imageFormat(dataUrl) {
+  const match = /^data:image\/(png|jpe?g|webp|gif|bmp);/i.exec(dataUrl ?? "");
+  return match ? match[1].toUpperCase().replace("JPG", "JPEG") : null;
+}
+
+/**
+ * Wraps a jsPDF document with a top-down cursor. All measurements are in points, whatever unit the
+ * document was created with, and content flows onto a new page when it would cross the bottom margin.
+ */
+export function createPdfCanvas(pdf, { margin = 36 } = {}) {
+  const scale = pdf.internal.scaleFactor;
+  const toUnits = (points) => points / scale;
+  const pageSize = () => ({
+    width: pdf.internal.pageSize.getWidth() * scale,
+    height: pdf.internal.pageSize.getHeight() * scale,
+  });
+
+  const canvas = {
+    pdf,
+    margin,
+    y: margin,
+    get pageWidth() {
+      return pageSize().width;
+    },
+    get contentWidth() {
+      return pageSize().width - margin * 2;
+    },
+    get bottom() {
+      return pageSize().height - margin;
+    },
+
+    font(style = "normal", size = 10, color = "#1e293b") {
+      pdf.setFont(PDF_FONT, style);
+      pdf.setFontSize(size);
+      pdf.setTextColor(color);
+      return size * LINE_HEIGHT;
+    },
+
+    lines(value, width) {
+      return pdf.splitTextToSize(String(value ?? ""), toUnits(width));
+    },
+
+    textWidth(value) {
+      return pdf.getTextWidth(String(value ?? "")) * scale;
+    },
+
+    text(value, x, y, { align = "left", charSpace = 0 } = {}) {
+      pdf.text(value, toUnits(x), toUnits(y), { align, baseline: "top", charSpace: toUnits(charSpace) });
+    },
+
+    // Draws wrapped text inside a column and returns the height used.
+    paragraph(value, x, y, width, { align = "left", lineHeight } = {}) {
+      const rows = canvas.lines(value, width);
+      const step = lineHeight ?? pdf.getFontSize() * LINE_HEIGHT;
+      const anchor = align === "center" ? x + width / 2 : align === "right" ? x + width : x;
+      rows.forEach((row, index) => canvas.text(row, anchor, y + index * step, { align }));
+      return rows.length * step;
+    },
+
+    fillRect(x, y, width, height, color, radius = 0) {
+      pdf.setFillColor(color);
+      if (radius) {
+        pdf.roundedRect(toUnits(x), toUnits(y), toUnits(width), toUnits(height), toUnits(radius), toUnits(radius), "F");
+      } else {
+        pdf.rect(toUnits(x), toUnits(y), toUnits(width), toUnits(height), "F");
+      }
+    },
+
+    strokeRect(x, y, width, height, color, { lineWidth = 0.75, radius = 0 } = {}) {
+      pdf.setDrawColor(color);
+      pdf.setLineWidth(toUnits(lineWidth));
+      if (radius) {
+        pdf.roundedRect(toUnits(x), toUnits(y), toUnits(width), toUnits(height), toUnits(radius), toUnits(radius), "S");
+      } else {
+        pdf.rect(toUnits(x), toUnits(y), toUnits(width), toUnits(height), "S");
+      }
+    },
+
+    line(x1, y1, x2, y2, color, lineWidth = 0.75) {
+      pdf.setDrawColor(color);
+      pdf.setLineWidth(toUnits(lineWidth));
+      pdf.line(toUnits(x1), toUnits(y1), toUnits(x2), toUnits(y2));
+    },
+
+    circle(x, y, radius, color) {
+      pdf.setFillColor(color);
+      pdf.circle(toUnits(x), toUnits(y), toUnits(radius), "F");
+    },
+
+    // PDF has no CSS gradients, so the brand bar is built from narrow strips.
+    gradientBar(x, y, width, height, from, to, strips = 48) {
+      const step = width / strips;
+      for (let index = 0; index < strips; index += 1) {
+        canvas.fillRect(x + index * step, y, step + 0.5, height, mixColor(from, to, index / (strips - 1)));
+      }
+    },
+
+    // Fits an image inside the box and returns the height drawn; unsupported formats such as SVG are skipped.
+    image(dataUrl, x, y, maxWidth, maxHeight, { align = "left" } = {}) {
+      const format = imageFormat(dataUrl);
+      if (!format) {
+        return 0;
+      }
+      const { width, height } = pdf.getImageProperties(dataUrl);
+      const ratio = Math.min(maxWidth / width, maxHeight / height, 1);
+      const drawWidth = width * ratio;
+      const drawHeight = height * ratio;
+      const left = align === "center" ? x + (maxWidth - drawWidth) / 2 : x;
+      pdf.addImage(dataUrl, format, toUnits(left), toUnits(y), toUnits(drawWidth), toUnits(drawHeight));
+      return drawHeight;
+    },
+
+    ensureSpace(height) {
+      if (canvas.y + height <= canvas.bottom) {
+        return false;
+      }
+      pdf.addPage([pdf.internal.pageSize.getWidth(), pdf.internal.pageSize.getHeight()]);
+      canvas.y = margin;
+      return true;
+    },
+
+    /**
+     * Draws a bordered table at the cursor. `columns` are { width: fraction, align }, `rows` are
+     * { cells, total }, and the header row is repeated when the table breaks across pages.
+     */
+    table({ columns, header, rows, x = margin, width = canvas.contentWidth, fontSize = 8.5, padding = 4, labelColumn = true }) {
+      const widths = columns.map((column) => column.width * width);
+      const cellX = (index) => x + widths.slice(0, index).reduce((sum, value) => sum + value, 0);
+
+      const cellStyle = (options, index) => (index === 0 && options.firstStyle) || options.style;
+      const cellSize = (options) => (options.header ? fontSize - 1 : fontSize);
+      const cellText = (options, cell) => (options.header ? String(cell ?? "").toUpperCase() : cell);
+
+      const measure = (cells, options) => {
+        const counts = cells.map((cell, index) => {
+          canvas.font(cellStyle(options, index), cellSize(options));
+          return canvas.lines(cellText(options, cell), widths[index] - padding * 2).length;
+        });
+        return Math.max(...counts) * fontSize * LINE_HEIGHT + padding * 2;
+      };
+
+      const headerOptions = { header: true, style: "bold", fill: "#f1f5f9", color: "#334155" };
+      const drawRow = (cells, options) => {
+        const height = measure(cells, options);
+        if (canvas.ensureSpace(height) && header && !options.header) {
+          drawRow(header, headerOptions);
+        }
+        cells.forEach((cell, index) => {
+          const first = index === 0;
+          const background = (first && options.firstFill) || options.fill;
+          if (background) {
+            canvas.fillRect(cellX(index), canvas.y, widths[index], height, background);
+          }
+          canvas.strokeRect(cellX(index), canvas.y, widths[index], height, "#cbd5e1");
+          canvas.font(cellStyle(options, index), cellSize(options), (first && options.firstColor) || options.color);
+          canvas.paragraph(cellText(options, cell), cellX(index) + padding, canvas.y + padding, widths[index] - padding * 2, {
+            align: columns[index].align,
+            lineHeight: fontSize * LINE_HEIGHT,
+          });
+        });
+        canvas.y += height;
+      };
+
+      if (header) {
+        drawRow(header, headerOptions);
+      }
+      const labelOptions = labelColumn ? { firstStyle: "bold", firstFill: "#fafbfc", firstColor: "#475569" } : {};
+      rows.forEach((row) =>
+        drawRow(
+          row.cells,
+          row.total
+            ? { style: "bold", fill: "#f1f5f9", color: "#1e293b" }
+            : { style: "normal", color: "#1e293b", ...labelOptions }
+        )
+      );
+    },
+  };
+
+  return canvas;
+}
@@ -0,0 +1,104 @@
+import QRCode from "qrcode";
+import { loadSetting, saveSetting } from "./storage.js";
+
+// Payloads read "<version>.<base64url JSON>.<base64url HMAC-SHA-256 of the JSON part>".
+const PAYLOAD_VERSION = "PSV1";
+const KEY_SETTING = "signingKey";
+
+let keyPromise = null;
+
+function toBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * The HMAC key is generated on first use and kept in IndexedDB, so only this browser can issue
+ * or check codes. Losing the key means earlier pay slips can no longer be verified.
+ */
+export function loadSigningKey() {
+  if (!keyPromise) {
+    keyPromise = (async () => {
+      let stored = await loadSetting(KEY_SETTING, null);
+      if (!stored) {
+        stored = toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+        await saveSetting(KEY_SETTING, stored);
+      }
+      const raw = fromBase64Url(stored);
+      const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", raw));
+      const key = await crypto.subtle.importKey("raw", raw, { name: "HMAC", hash: "SHA-256" }, false, ["sign", "verify"]);
+      const fingerprint = Array.from(digest.slice(0, 6), (byte) => byte.toString(16).padStart(2, "0"))
+        .join("")
+        .toUpperCase();
+      return { key, fingerprint };
+    })();
+    keyPromise.catch(() => {
+      keyPromise = null;
+    });
+  }
+  return keyPromise;
+}
+
+export async function signPayload(fields) {
+  const { key } = await loadSigningKey();
+  const body = toBase64Url(new TextEncoder().encode(JSON.stringify({ ...fields, issued: new Date().toISOString() })));
+  const signature = new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(body)));
+  return `${PAYLOAD_VERSION}.${body}.${toBase64Url(signature)}`;
+}
+
+/**
+ * Returns { valid, fields } for a well-formed payload; `valid` is false when the figures were
+ * altered or the code was signed with another key. Throws when the text is not a payload at all.
+ */
+export async function verifyPayload(text) {
+  const parts = String(text ?? "").trim().split(".");
+  if (parts.length !== 3 || parts[0] !== PAYLOAD_VERSION) {
+    throw new Error("This is not a pay slip or invoice verification code.");
+  }
+  const [, body, signature] = parts;
+  let fields;
+  let signatureBytes;
+  try {
+    fields = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+    signatureBytes = fromBase64Url(signature);
+  } catch (error) {
+    throw new Error("The verification code is damaged and cannot be read.");
+  }
+  const { key } = await loadSigningKey();
+  const valid = await crypto.subtle.verify("HMAC", key, signatureBytes, new TextEncoder().encode(body));
+  return { valid, fields };
+}
+
+export function payslipVerificationFields(data, company) {
+  return {
+    type: "payslip",
+    company: company.name,
+    employeeId: data.employeeId,
+    employeeName: data.employeeName,
+    payPeriod: data.payPeriod,
+    netSalary: Math.round(data.netAmount * 100) / 100,
+    currency: data.currency,
+  };
+}
+
+export function invoiceVerificationFields(data) {
+  return {
+    type: "invoice",
+    invoiceNumber: data.invoiceNumber,
+    dateOfIssue: data.dateOfIssue,
+    total: data.totalDisplay,
+  };
+}
+
+export async function createVerificationQr(fields) {
+  return QRCode.toDataURL(await signPayload(fields), { errorCorrectionLevel: "M", margin: 1, width: 240 });
+}
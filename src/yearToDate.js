@@ -0,0 +1,32 @@
+import { fiscalYearFor } from "./tax.js";
+
+function emptyTotals(fiscalYear) {
+  return { fiscalYear, periods: 0, earnings: {}, deductions: {}, gross: 0, tax: 0, totalDeductions: 0, net: 0 };
+}
+
+function addAmount(target, key, amount) {
+  target[key] = Math.round(((target[key] ?? 0) + amount) * 100) / 100;
+}
+
+// Adds one enriched pay slip to the running totals; earlier totals from another fiscal year are discarded.
+export function addToYearToDate(prior, enriched) {
+  const fiscalYear = fiscalYearFor(enriched.payDateValue);
+  const base = prior?.fiscalYear === fiscalYear ? prior : emptyTotals(fiscalYear);
+  const totals = {
+    ...base,
+    earnings: { ...base.earnings },
+    deductions: { ...base.deductions },
+    periods: base.periods + 1,
+  };
+  enriched.earningLines.forEach((line) => {
+    if (line.kind === "earning") {
+      addAmount(totals.earnings, line.key, line.amount);
+    }
+  });
+  enriched.deductionLines.forEach((line) => addAmount(totals.deductions, line.key ?? line.label, line.amount));
+  addAmount(totals, "gross", enriched.grossEarnings);
+  addAmount(totals, "tax", enriched.taxAmount);
+  addAmount(totals, "totalDeductions", enriched.totalDeductionsAmount);
+  addAmount(totals, "net", enriched.netAmount);
+  return totals;
+}